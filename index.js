@@ -1,10 +1,169 @@
+const crypto = require('crypto');
 const express = require('express');
 const admin = require('firebase-admin');
-const TelegramBot = require('node-telegram-bot-api');
 const cors = require('cors');
 const helmet = require('helmet');
 const rateLimit = require('express-rate-limit');
 require('dotenv').config();
+const {
+  ROLE_LEVELS,
+  authenticate,
+  requireBotRole,
+  requireVoucherKey,
+  verifyTelegramInitData
+} = require('./middleware/auth');
+const {
+  botInstances,
+  getBotInstance,
+  getBotData,
+  getPublicBotData,
+  cleanupBotInstances,
+  generateReferralLink
+} = require('./services/bots');
+const {
+  WEBHOOK_SECRET_HEADER,
+  WEBHOOK_SECRET_RECHECK_MS,
+  verifyWebhookSecret,
+  registerWebhook,
+  enablePolling,
+  resumePolling,
+  migrateLegacyWebhooks,
+  getUpdatesStatus
+} = require('./services/updates');
+const {
+  normalizeBotSettings,
+  invalidateBotCaches,
+  setupBot,
+  registerBot,
+  rotateBotToken,
+  pauseBot,
+  resumeBot,
+  deleteBot
+} = require('./services/onboarding');
+const {
+  TRANSITIONS: BROADCAST_TRANSITIONS,
+  createBroadcastJob,
+  changeBroadcastStatus,
+  getBroadcastContent,
+  formatBroadcastProgress,
+  processBroadcastJobs
+} = require('./services/broadcasts');
+const {
+  DEFAULT_CAMPAIGN_ID,
+  getActiveCampaign,
+  getWheelConfig,
+  calculateAttempts,
+  getLegacyReferralsCount,
+  getUserAttempts,
+  createCampaignVersion,
+  isPrizeAvailable,
+  pickWeightedPrize
+} = require('./services/wheel');
+const {
+  validateMessageContent,
+  buildRecipientVariables,
+  renderMessage,
+  sendRenderedMessage
+} = require('./services/messages');
+const { normalizeSegmentFilters, resolveSegmentUserIds } = require('./services/segments');
+const { normalizeSequence, emitSequenceEvent } = require('./services/sequences');
+const {
+  PHONE_RULES,
+  LEAD_STATUSES,
+  normalizePhone,
+  createLead,
+  changeLeadStatus,
+  scheduleLeadStatusBackfill
+} = require('./services/leads');
+const {
+  WEBHOOK_EVENTS,
+  normalizeWebhook,
+  generateWebhookSecret,
+  emitWebhookEvent,
+  replayWebhookDelivery
+} = require('./services/webhooks');
+const { normalizeExportOptions, streamCsvExport } = require('./services/exports');
+const {
+  REFERRAL_STATUSES,
+  creditReferral,
+  qualifyReferral,
+  rejectReferral
+} = require('./services/referrals');
+const {
+  LEADERBOARD_PERIODS,
+  getPeriodRange,
+  computeLeaderboard,
+  attachUserNames,
+  normalizeContest,
+  createContest,
+  closeContest
+} = require('./services/leaderboard');
+const {
+  getRequiredChannels,
+  normalizeChannels,
+  getSubscriptionState,
+  handleChatMemberUpdate,
+  checkBotChannelAccess
+} = require('./services/subscriptions');
+const {
+  DEFAULT_TIMEZONE,
+  DAILY_METRICS,
+  isValidTimezone,
+  recordDailyStats,
+  normalizeDateRange,
+  getDailySeries,
+  sumSeries,
+  buildFunnel,
+  buildPrizeDistribution
+} = require('./services/analytics');
+const {
+  registerJobHandler,
+  scheduleJob,
+  retryDeadLetterJob,
+  processScheduledJobs
+} = require('./services/scheduler');
+const {
+  markUserUnreachable,
+  markUserReachable,
+  recountUserCounters,
+  scheduleCounterBackfill
+} = require('./services/users');
+const {
+  LEDGER_SOURCES,
+  getLedgerRef,
+  writeLedgerEntry,
+  claimDailyBonus,
+  claimChannelBonuses,
+  normalizePromoCode,
+  redeemPromoCode,
+  adjustAttempts
+} = require('./services/attempts');
+const {
+  VOUCHER_STATUSES,
+  validateVoucherSettings,
+  reserveVoucher,
+  issueVoucher,
+  uploadVoucherPool,
+  getVoucher,
+  redeemVoucher,
+  scheduleVoucherDelivery
+} = require('./services/vouchers');
+const {
+  listCommands,
+  normalizeCommand,
+  invalidateCommands,
+  publishCommandMenu,
+  handleMessage,
+  handleCallbackQuery
+} = require('./services/commands');
+const {
+  LOCALE_PATTERN,
+  renderText,
+  invalidateTemplates,
+  listTemplates,
+  normalizeTemplateVariants,
+  previewTemplate
+} = require('./services/templates');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -30,101 +189,47 @@ const apiLimiter = rateLimit({
 });
 app.use('/api/', apiLimiter);
 
-// ===== КЭШ БОТОВ =====
-const botInstances = new Map();
-
-/**
- * Получает или создает экземпляр бота по токену
- */
-async function getBotInstance(botId) {
-  try {
-    // Проверяем кэш
-    if (botInstances.has(botId)) {
-      return botInstances.get(botId);
-    }
-
-    // Получаем токен из базы данных
-    const botDoc = await db.collection('bots').doc(botId).get();
-    if (!botDoc.exists) {
-      throw new Error('Бот не найден');
-    }
-
-    const botData = botDoc.data();
-    const token = botData.botToken;
-
-    if (!token) {
-      throw new Error('Токен бота не найден');
-    }
-
-    // Создаем экземпляр бота
-    const bot = new TelegramBot(token, { polling: false });
-    
-    // Сохраняем в кэш
-    botInstances.set(botId, bot);
-    
-    return bot;
-  } catch (error) {
-    console.error('Ошибка создания экземпляра бота:', error);
-    throw error;
-  }
-}
-
-/**
- * Очищает неиспользуемые экземпляры ботов
- */
-function cleanupBotInstances() {
-  // Здесь можно добавить логику очистки старых экземпляров
-  // Пока оставляем простую реализацию
-  console.log(`Активных ботов в кэше: ${botInstances.size}`);
-}
+// Все админские роуты требуют Firebase ID токен
+app.use('/api/admin', authenticate);
 
+// ===== КЭШ БОТОВ =====
 // Запускаем периодическую очистку каждые 10 минут
 setInterval(cleanupBotInstances, 10 * 60 * 1000);
 
-// ===== ВСПОМОГАТЕЛЬНЫЕ ФУНКЦИИ =====
-/**
- * Проверяет подписку пользователя на канал
- */
-async function checkSubscription(botInstance, userId, channelId) {
-  try {
-    const member = await botInstance.getChatMember(channelId, userId);
-    return member.status !== 'left' && member.status !== 'kicked';
-  } catch (error) {
-    console.error('Ошибка проверки подписки:', error);
-    return false;
-  }
-}
+// Проверка initData Telegram WebApp для пользовательских роутов.
+// Приостановленный бот не обслуживает пользователей
+const requireTelegramUser = [requireActiveBot, verifyTelegramInitData(getBotInstance)];
 
 /**
- * Генерирует реферальную ссылку
+ * Отвечает веб-приложению ошибкой на языке пользователя (шаблон error.<code>).
+ * code возвращается, чтобы клиент мог обработать ошибку, не разбирая текст
  */
-function generateReferralLink(botUsername, userId) {
-  return `https://t.me/${botUsername}?start=${userId}`;
+async function sendUserError(req, res, status, code, extra = {}) {
+  const languageCode = req.telegramUser ? req.telegramUser.language_code : null;
+  const error = await renderText(req.params.botId, languageCode, `error.${code}`);
+  
+  res.status(status).json({ error, code, ...extra });
 }
 
 /**
- * Получает конфигурацию колеса для бота
+ * Middleware: пропускает запросы только к существующему и не приостановленному боту
  */
-async function getWheelConfig(botId) {
+async function requireActiveBot(req, res, next) {
   try {
-    const wheelItemsRef = db.collection('bots').doc(botId).collection('wheelItems');
-    const snapshot = await wheelItemsRef.orderBy('position').get();
+    const botData = await getBotData(req.params.botId);
     
-    if (snapshot.empty) {
-      // Возвращаем дефолтные настройки
-      return [
-        { label: 'Приз 1', weight: 10, winText: 'Поздравляем!' },
-        { label: 'Приз 2', weight: 10, winText: 'Удача на вашей стороне!' }
-      ];
+    if (!botData) {
+      return sendUserError(req, res, 404, 'bot_not_found');
     }
     
-    return snapshot.docs.map(doc => ({
-      id: doc.id,
-      ...doc.data()
-    }));
+    if (botData.status === 'paused') {
+      return sendUserError(req, res, 503, 'bot_paused');
+    }
+    
+    next();
   } catch (error) {
-    console.error('Ошибка получения конфигурации колеса:', error);
-    throw error;
+    console.error('Ошибка проверки статуса бота:', error);
+    await sendUserError(req, res, 500, 'internal');
   }
 }
 
@@ -150,13 +255,14 @@ app.get('/api/bot/:botId/info', async (req, res) => {
     const botDoc = await db.collection('bots').doc(botId).get();
     
     if (!botDoc.exists) {
-      return res.status(404).json({ error: 'Бот не найден' });
+      return sendUserError(req, res, 404, 'bot_not_found');
     }
     
-    res.json(botDoc.data());
+    // Токен и хэши секретов не отдаются наружу
+    res.json(getPublicBotData(botDoc.data()));
   } catch (error) {
     console.error('Ошибка получения информации о боте:', error);
-    res.status(500).json({ error: 'Внутренняя ошибка сервера' });
+    await sendUserError(req, res, 500, 'internal');
   }
 });
 
@@ -165,57 +271,54 @@ app.get('/api/bot/:botId/info', async (req, res) => {
 /**
  * Получает статус пользователя
  */
-app.post('/api/bot/:botId/status', async (req, res) => {
+app.post('/api/bot/:botId/status', requireTelegramUser, async (req, res) => {
   try {
     const { botId } = req.params;
-    const { userId } = req.body;
-    
-    if (!userId) {
-      return res.status(400).json({ error: 'Не указан userId' });
-    }
+    const userId = req.telegramUser.id.toString();
 
     const botInstance = await getBotInstance(botId);
     const botDoc = await db.collection('bots').doc(botId).get();
     const botData = botDoc.data();
     
-    // Получаем статистику пользователя
-    const userSpinsRef = db.collection('bots').doc(botId).collection('users').doc(userId);
-    const userDoc = await userSpinsRef.get();
-    
-    let totalSpins = 0;
-    let totalReferrals = 0;
-    let lastSpin = null;
-    
-    if (userDoc.exists) {
-      const userData = userDoc.data();
-      totalSpins = userData.totalSpins || 0;
-      totalReferrals = userData.referralsCount || 0;
-      lastSpin = userData.lastSpin || null;
-    }
-    
-    // Получаем рефералы
-    const referralsSnapshot = await db.collection('bots').doc(botId)
-      .collection('referrals')
-      .where('referrerId', '==', parseInt(userId))
-      .get();
+    // Начисляем ежедневный бонус и попытки за подписку на дополнительные каналы
+    const userSnapshot = await db.collection('bots').doc(botId).collection('users').doc(userId).get();
+    const dailyBonus = await claimDailyBonus(botId, botData, userId);
+    const channelBonuses = await claimChannelBonuses(
+      botId, botInstance, botData, userId, userSnapshot.exists ? userSnapshot.data() : null
+    );
     
-    totalReferrals = referralsSnapshot.size;
+    // Рассчитываем доступные попытки по правилам активной кампании
+    const {
+      attemptsLeft,
+      referralsCount: totalReferrals,
+      bonusAttempts,
+      userData,
+      wheelConfig
+    } = await getUserAttempts(botId, botData, userId);
+    
+    const totalSpins = userData.totalSpins || 0;
+    const lastSpin = userData.lastSpin || null;
+    
+    // Проверяем подписку на обязательные каналы (статус сохраняется для сегментации рассылок)
+    const { isSubscribed, subscriptionStatus, channels } = await getSubscriptionState(
+      botId, botInstance, botData, userId, userData
+    );
     
-    // Рассчитываем доступные попытки
-    const baseAttempts = botData.baseAttempts || 2;
-    const referralBonus = botData.referralBonus || 2;
-    const attemptsGranted = baseAttempts + (referralBonus * totalReferrals);
-    const attemptsLeft = Math.max(0, attemptsGranted - totalSpins);
+    // Первая подписка пользователя учитывается в воронке
+    const isFirstSubscription = subscriptionStatus === 'subscribed' && !userData.firstSubscribedAt;
     
-    // Проверяем подписку
-    const isSubscribed = await checkSubscription(
-      botInstance, 
-      userId, 
-      botData.subscriptionChannel
-    );
+    if (isFirstSubscription) {
+      await db.collection('bots').doc(botId).collection('users').doc(userId).set({
+        firstSubscribedAt: new Date().toISOString()
+      }, { merge: true });
+      
+      recordDailyStats(botId, botData, { subscriptions: 1 });
+      qualifyReferral(botId, botData, userId, 'subscribed');
+    }
     
     // Генерируем реферальную ссылку
     const referralLink = generateReferralLink(botData.botUsername, userId);
+    const claimedChannels = userData.claimedChannelBonuses || [];
     
     res.json({
       userId,
@@ -223,589 +326,3185 @@ app.post('/api/bot/:botId/status', async (req, res) => {
       totalSpins,
       totalReferrals,
       isSubscribed,
+      subscriptionStatus,
+      channels: channels.map(({ title, inviteLink, status }) => ({ title, inviteLink, status })),
       referralLink,
       lastSpin,
-      bonus: totalReferrals
+      campaignId: wheelConfig.campaignId,
+      bonus: totalReferrals,
+      bonusAttempts,
+      dailyBonus,
+      bonusChannels: (botData.bonusChannels || []).map(({ chatId, title, inviteLink, reward }) => ({
+        title,
+        inviteLink,
+        reward,
+        claimed: claimedChannels.includes(chatId)
+      })),
+      grantedChannels: channelBonuses.map(({ title, reward }) => ({ title, reward }))
     });
     
   } catch (error) {
     console.error('Ошибка получения статуса:', error);
-    res.status(500).json({ error: 'Внутренняя ошибка сервера' });
+    await sendUserError(req, res, 500, 'internal');
   }
 });
 
 /**
  * Крутим колесо
  */
-app.post('/api/bot/:botId/spin', async (req, res) => {
+app.post('/api/bot/:botId/spin', requireTelegramUser, async (req, res) => {
   try {
     const { botId } = req.params;
-    const { userId, username, referrerId } = req.body;
-    
-    if (!userId) {
-      return res.status(400).json({ error: 'Не указан userId' });
-    }
+    const userId = req.telegramUser.id.toString();
+    const username = req.telegramUser.username;
     
     const botInstance = await getBotInstance(botId);
     const botDoc = await db.collection('bots').doc(botId).get();
     const botData = botDoc.data();
     
-    // Проверяем подписку
-    const isSubscribed = await checkSubscription(
-      botInstance, 
-      userId, 
-      botData.subscriptionChannel
+    const userRef = db.collection('bots').doc(botId).collection('users').doc(userId);
+    const userSnapshot = await userRef.get();
+    
+    // Проверяем подписку на обязательные каналы
+    const { isSubscribed, subscriptionStatus, channels } = await getSubscriptionState(
+      botId, botInstance, botData, userId, userSnapshot.exists ? userSnapshot.data() : null
     );
     
     if (!isSubscribed && botData.requireSubscription) {
-      return res.status(403).json({ error: 'Требуется подписка на канал' });
+      return sendUserError(req, res, 403, 'subscription_required', {
+        channels: channels
+          .filter(channel => channel.status === 'not_member')
+          .map(({ title, inviteLink }) => ({ title, inviteLink }))
+      });
     }
     
-    // Получаем статус пользователя для проверки попыток
-    const userRef = db.collection('bots').doc(botId).collection('users').doc(userId.toString());
-    const userDoc = await userRef.get();
+    const spinsRef = db.collection('bots').doc(botId).collection('spins');
+    
+    // Повторный запрос с тем же ключом идемпотентности получает тот же спин
+    const idempotencyKey = req.headers['idempotency-key'] || req.body.idempotencyKey;
+    const spinRef = idempotencyKey
+      ? spinsRef.doc(crypto.createHash('sha256').update(`${userId}:${idempotencyKey}`).digest('hex'))
+      : spinsRef.doc();
+    const spinId = spinRef.id;
+    
+    // Получаем конфигурацию колеса активной кампании
+    const wheelConfig = await getWheelConfig(botId);
+    const wheelItems = wheelConfig.items;
+    const wheelItemRefs = wheelItems.filter(item => item.id).map(item => wheelConfig.stockCollection.doc(item.id));
+    
+    // Проверка попыток, выбор приза и запись спина выполняются одной транзакцией
+    const result = await db.runTransaction(async (transaction) => {
+      const existingSpin = await transaction.get(spinRef);
+      if (existingSpin.exists) {
+        return { replayed: true, spin: existingSpin.data() };
+      }
+      
+      const userDoc = await transaction.get(userRef);
+      const userData = userDoc.exists ? userDoc.data() : {};
+      const totalSpins = userData.totalSpins || 0;
+      
+      // Рассчитываем доступные попытки
+      const legacyReferralsCount = await getLegacyReferralsCount(botId, botData, userId, userData, transaction);
+      const { attemptsGranted, attemptsUsed } = calculateAttempts(botData, wheelConfig, userData, legacyReferralsCount);
+      
+      if (attemptsUsed >= attemptsGranted) {
+        return { exhausted: true };
+      }
+      
+      const now = new Date().toISOString();
+      const today = now.slice(0, 10);
+      const prizeWins = userData.prizeWins || {};
+      
+      // Перечитываем счётчики призов внутри транзакции
+      const itemDocs = wheelItemRefs.length > 0 ? await transaction.getAll(...wheelItemRefs) : [];
+      const currentItems = wheelItems.map(item => {
+        const itemDoc = item.id ? itemDocs.find(doc => doc.id === item.id) : null;
+        return itemDoc && itemDoc.exists ? { ...item, ...itemDoc.data() } : item;
+      });
+      
+      // Исчерпанные призы выбывают из розыгрыша
+      const availableItems = currentItems.filter(item =>
+        !item.isConsolation && isPrizeAvailable(item, prizeWins, today)
+      );
+      
+      // Призы с исчерпанным пулом кодов тоже выбывают из розыгрыша
+      let candidates = availableItems;
+      let selectedPrize = null;
+      let voucherReservation = null;
+      
+      while (!selectedPrize && candidates.length > 0) {
+        const candidate = pickWeightedPrize(candidates);
+        const reservation = await reserveVoucher(transaction, botId, candidate);
+        
+        if (reservation && reservation.empty) {
+          candidates = candidates.filter(item => item !== candidate);
+          continue;
+        }
+        
+        selectedPrize = candidate;
+        voucherReservation = reservation;
+      }
+      
+      if (!selectedPrize) {
+        selectedPrize = currentItems.find(item => item.isConsolation);
+        
+        // Утешительный приз выдаётся и без кода, если его пул исчерпан
+        if (selectedPrize) {
+          const reservation = await reserveVoucher(transaction, botId, selectedPrize);
+          voucherReservation = reservation && !reservation.empty ? reservation : null;
+        }
+      }
+      
+      if (!selectedPrize) {
+        return { outOfStock: true };
+      }
+      
+      const voucher = voucherReservation
+        ? issueVoucher(transaction, botId, selectedPrize, voucherReservation, { userId, spinId, now })
+        : null;
+      
+      const spinData = {
+        userId: parseInt(userId),
+        spinId,
+        prize: selectedPrize.label,
+        prizeId: selectedPrize.id || null,
+        isConsolation: !!selectedPrize.isConsolation,
+        winText: selectedPrize.winText,
+        campaignId: wheelConfig.campaignId,
+        configVersion: wheelConfig.version,
+        timestamp: now,
+        username: username || '',
+        isLeadCollected: false,
+        voucherCode: voucher ? voucher.code : null,
+        voucherExpiresAt: voucher ? voucher.expiresAt : null,
+        attemptsLeft: attemptsGranted - (attemptsUsed + 1)
+      };
+      
+      if (idempotencyKey) {
+        spinData.idempotencyKey = idempotencyKey;
+      }
+      
+      transaction.set(spinRef, spinData);
+      
+      const userUpdate = {
+        userId: parseInt(userId),
+        totalSpins: totalSpins + 1,
+        lastSpin: now,
+        lastPrize: selectedPrize.label,
+        username: username || '',
+        languageCode: req.telegramUser.language_code || '',
+        isSubscribed,
+        subscriptionStatus,
+        updatedAt: now
+      };
+      
+      // Фильтр списка пользователей по isUnreachable не видит документы без этого поля
+      if (userData.isUnreachable === undefined) {
+        userUpdate.isUnreachable = false;
+      }
+      
+      const isFirstSubscription = subscriptionStatus === 'subscribed' && !userData.firstSubscribedAt;
+      if (isFirstSubscription) {
+        userUpdate.firstSubscribedAt = now;
+      }
+      
+      if (wheelConfig.campaignId) {
+        userUpdate.campaignSpins = {
+          [wheelConfig.campaignId]: ((userData.campaignSpins || {})[wheelConfig.campaignId] || 0) + 1
+        };
+      }
+      
+      // Списываем приз со склада
+      if (selectedPrize.id) {
+        transaction.set(wheelConfig.stockCollection.doc(selectedPrize.id), {
+          issuedCount: (selectedPrize.issuedCount || 0) + 1,
+          issuedToday: selectedPrize.issuedDate === today ? (selectedPrize.issuedToday || 0) + 1 : 1,
+          issuedDate: today
+        }, { merge: true });
+        
+        userUpdate.prizeWins = { [selectedPrize.id]: (prizeWins[selectedPrize.id] || 0) + 1 };
+      }
+      
+      // Обновляем статистику пользователя
+      transaction.set(userRef, userUpdate, { merge: true });
+      
+      // Списание попытки записывается в журнал попыток
+      writeLedgerEntry(transaction, botId, userId, `spin_${spinId}`, {
+        source: 'spin',
+        amount: -1,
+        reference: spinId,
+        comment: selectedPrize.label
+      });
+      
+      return {
+        replayed: false,
+        spin: spinData,
+        isFirstSpin: totalSpins === 0,
+        isFirstSubscription
+      };
+    });
     
-    let totalSpins = 0;
-    if (userDoc.exists) {
-      totalSpins = userDoc.data().totalSpins || 0;
+    if (result.exhausted) {
+      return sendUserError(req, res, 400, 'attempts_exhausted');
     }
     
-    // Рассчитываем доступные попытки
-    const baseAttempts = botData.baseAttempts || 2;
-    const referralsSnapshot = await db.collection('bots').doc(botId)
-      .collection('referrals')
-      .where('referrerId', '==', parseInt(userId))
-      .get();
-    
-    const referralBonus = botData.referralBonus || 2;
-    const attemptsGranted = baseAttempts + (referralBonus * referralsSnapshot.size);
-    
-    if (totalSpins >= attemptsGranted) {
-      return res.status(400).json({ error: 'Попытки закончились' });
+    if (result.outOfStock) {
+      return sendUserError(req, res, 409, 'out_of_stock');
     }
     
-    // Получаем конфигурацию колеса
-    const wheelItems = await getWheelConfig(botId);
+    const { spin } = result;
     
-    // Выбираем приз по весам
-    const totalWeight = wheelItems.reduce((sum, item) => sum + (item.weight || 10), 0);
-    let randomWeight = Math.random() * totalWeight;
-    
-    let selectedPrize = wheelItems[0];
-    for (const item of wheelItems) {
-      randomWeight -= (item.weight || 10);
-      if (randomWeight <= 0) {
-        selectedPrize = item;
-        break;
+    // Повторный запрос возвращает исходный результат без побочных эффектов
+    if (!result.replayed) {
+      // Первый спин или подписка засчитывают реферала, пригласившего пользователя
+      if (result.isFirstSpin || result.isFirstSubscription) {
+        qualifyReferral(botId, botData, userId, result.isFirstSpin ? 'spin' : 'subscribed');
       }
+      
+      // Запускаем отложенную отправку лида (фолбэк)
+      scheduleFallbackLead(botId, spinId, userId, spin.prize, username);
+      
+      // Бот присылает победителю код приза
+      if (spin.voucherCode) {
+        scheduleVoucherDelivery(botId, spin.voucherCode);
+      }
+      
+      emitSequenceEvent(botId, userId, 'spin');
+      recordDailyStats(botId, botData, {
+        spins: 1,
+        spinners: result.isFirstSpin ? 1 : 0,
+        subscriptions: result.isFirstSubscription ? 1 : 0
+      }, spin.prizeId || spin.prize);
+      emitWebhookEvent(botId, 'spin.created', spinId, {
+        spinId,
+        userId: spin.userId,
+        username: spin.username,
+        prize: spin.prize,
+        prizeId: spin.prizeId,
+        campaignId: spin.campaignId,
+        timestamp: spin.timestamp
+      });
     }
     
-    // Создаем запись о спине
-    const spinId = Date.now().toString();
-    const spinData = {
-      userId: parseInt(userId),
-      spinId,
-      prize: selectedPrize.label,
-      winText: selectedPrize.winText,
-      timestamp: new Date().toISOString(),
-      username: username || '',
-      isLeadCollected: false
-    };
-    
-    // Сохраняем спин
-    const spinRef = db.collection('bots').doc(botId).collection('spins').doc(spinId);
-    await spinRef.set(spinData);
-    
-    // Обновляем статистику пользователя
-    await userRef.set({
-      userId: parseInt(userId),
-      totalSpins: totalSpins + 1,
-      lastSpin: new Date().toISOString(),
-      username: username || '',
-      updatedAt: new Date().toISOString()
-    }, { merge: true });
-    
-    // Обрабатываем реферала если есть
-    if (referrerId && referrerId !== userId) {
-      const referralRef = db.collection('bots').doc(botId)
-        .collection('referrals')
-        .doc(`${referrerId}_${userId}`);
-      
-      await referralRef.set({
-        referrerId: parseInt(referrerId),
-        referredId: parseInt(userId),
-        timestamp: new Date().toISOString(),
-        username: username || ''
-      }, { merge: true });
-    }
-    
-    // Запускаем отложенную отправку лида (фолбэк)
-    scheduleFallbackLead(botId, spinId, userId, selectedPrize.label, username);
-    
     res.json({
       success: true,
       spinId,
-      prize: selectedPrize.label,
-      winText: selectedPrize.winText,
-      attemptsLeft: attemptsGranted - (totalSpins + 1)
+      prize: spin.prize,
+      winText: spin.winText,
+      voucherCode: spin.voucherCode || null,
+      voucherExpiresAt: spin.voucherExpiresAt || null,
+      attemptsLeft: spin.attemptsLeft
     });
     
   } catch (error) {
     console.error('Ошибка вращения колеса:', error);
-    res.status(500).json({ error: 'Внутренняя ошибка сервера' });
+    await sendUserError(req, res, 500, 'internal');
   }
 });
 
 /**
  * Сохраняет лид (контактные данные)
  */
-app.post('/api/bot/:botId/lead', async (req, res) => {
+app.post('/api/bot/:botId/lead', requireTelegramUser, async (req, res) => {
   try {
     const { botId } = req.params;
-    const { userId, spinId, name, phone, username } = req.body;
+    const { spinId, name, phone } = req.body;
+    const userId = req.telegramUser.id.toString();
+    const username = req.telegramUser.username;
     
-    if (!userId || !spinId) {
-      return res.status(400).json({ error: 'Не указаны обязательные поля' });
+    if (!spinId || !phone) {
+      return sendUserError(req, res, 400, 'lead_fields_required');
     }
     
-    // Получаем информацию о спине
-    const spinRef = db.collection('bots').doc(botId).collection('spins').doc(spinId);
-    const spinDoc = await spinRef.get();
-    
-    if (!spinDoc.exists || spinDoc.data().userId !== parseInt(userId)) {
-      return res.status(404).json({ error: 'Спин не найден' });
+    if (name && String(name).length > 100) {
+      return sendUserError(req, res, 400, 'name_too_long');
     }
     
-    const spinData = spinDoc.data();
-    
-    // Создаем или обновляем лид
-    const leadRef = db.collection('bots').doc(botId).collection('leads').doc(userId.toString());
-    await leadRef.set({
-      userId: parseInt(userId),
-      spinId,
-      name: name || '',
-      phone: phone || '',
-      username: username || '',
-      prize: spinData.prize,
-      timestamp: new Date().toISOString(),
-      isProcessed: false
-    }, { merge: true });
+    const botDoc = await db.collection('bots').doc(botId).get();
     
-    // Отмечаем спин как обработанный
-    await spinRef.update({ isLeadCollected: true });
+    const result = await createLead(botId, botDoc.data(), { spinId, userId, username, name, phone });
     
-    // Отправляем уведомление в телеграм (если настроен канал для лидов)
-    try {
-      const botDoc = await db.collection('bots').doc(botId).get();
-      const botData = botDoc.data();
-      
-      if (botData.leadsChannel) {
-        const botInstance = await getBotInstance(botId);
-        const leadMessage = `
-📥 <b>Новый лид</b>
-Bot: ${botData.name}
-UserID: ${userId}
-Username: @${username || '—'}
-Имя: ${name || '—'}
-Телефон: ${phone || '—'}
-Приз: ${spinData.prize}
-SpinID: ${spinId}
-        `.trim();
-        
-        await botInstance.sendMessage(botData.leadsChannel, leadMessage, { parse_mode: 'HTML' });
-      }
-    } catch (telegramError) {
-      console.error('Ошибка отправки уведомления:', telegramError);
-      // Не прерываем выполнение из-за ошибки телеграма
+    if (result.error) {
+      return sendUserError(req, res, result.status, result.code);
     }
     
     res.json({ success: true });
     
   } catch (error) {
     console.error('Ошибка сохранения лида:', error);
-    res.status(500).json({ error: 'Внутренняя ошибка сервера' });
+    await sendUserError(req, res, 500, 'internal');
   }
 });
 
-// === АДМИН АПИ ===
-
 /**
- * Получает статистику бота
+ * Активирует промокод на дополнительные попытки
  */
-app.get('/api/admin/bot/:botId/stats', async (req, res) => {
+app.post('/api/bot/:botId/promo', requireTelegramUser, async (req, res) => {
   try {
     const { botId } = req.params;
-    const { adminId } = req.query;
+    const userId = req.telegramUser.id.toString();
+    const { code } = req.body;
     
-    // Проверяем права администратора
-    const adminDoc = await db.collection('users').doc(adminId).get();
-    if (!adminDoc.exists || !adminDoc.data().isAdmin) {
-      return res.status(403).json({ error: 'Доступ запрещен' });
+    if (!code) {
+      return sendUserError(req, res, 400, 'promo_required');
     }
     
-    // Получаем общую статистику
-    const [
-      usersSnapshot,
-      spinsSnapshot,
-      leadsSnapshot,
-      referralsSnapshot
-    ] = await Promise.all([
-      db.collection('bots').doc(botId).collection('users').get(),
-      db.collection('bots').doc(botId).collection('spins').get(),
-      db.collection('bots').doc(botId).collection('leads').get(),
-      db.collection('bots').doc(botId).collection('referrals').get()
-    ]);
-    
-    // Статистика за последние 7 дней
-    const weekAgo = new Date(Date.now() - 7 * 24 * 60 * 60 * 1000);
+    const result = await redeemPromoCode(botId, userId, code);
     
-    const recentSpinsSnapshot = await db.collection('bots').doc(botId)
-      .collection('spins')
-      .where('timestamp', '>=', weekAgo.toISOString())
-      .get();
+    if (result.error) {
+      return sendUserError(req, res, result.status, result.code);
+    }
     
-    const recentLeadsSnapshot = await db.collection('bots').doc(botId)
-      .collection('leads')
-      .where('timestamp', '>=', weekAgo.toISOString())
-      .get();
+    const botDoc = await db.collection('bots').doc(botId).get();
+    const { attemptsLeft } = await getUserAttempts(botId, botDoc.data(), userId);
     
-    res.json({
-      totalUsers: usersSnapshot.size,
-      totalSpins: spinsSnapshot.size,
-      totalLeads: leadsSnapshot.size,
-      totalReferrals: referralsSnapshot.size,
-      spinsLast7Days: recentSpinsSnapshot.size,
-      leadsLast7Days: recentLeadsSnapshot.size,
-      botId
-    });
+    res.json({ success: true, attempts: result.attempts, attemptsLeft });
     
   } catch (error) {
-    console.error('Ошибка получения статистики:', error);
-    res.status(500).json({ error: 'Внутренняя ошибка сервера' });
+    console.error('Ошибка активации промокода:', error);
+    await sendUserError(req, res, 500, 'internal');
   }
 });
 
+// === АДМИН АПИ ===
+
 /**
- * Получает список пользователей бота
+ * Получает список ботов, доступных текущему пользователю
  */
-app.get('/api/admin/bot/:botId/users', async (req, res) => {
+app.get('/api/admin/bots', async (req, res) => {
   try {
-    const { botId } = req.params;
-    const { adminId, limit = 50, offset = 0 } = req.query;
+    const { uid } = req.user;
+    const userDoc = await db.collection('users').doc(uid).get();
     
-    // Проверяем права администратора
-    const adminDoc = await db.collection('users').doc(adminId).get();
-    if (!adminDoc.exists || !adminDoc.data().isAdmin) {
-      return res.status(403).json({ error: 'Доступ запрещен' });
-    }
-    
-    const usersSnapshot = await db.collection('bots').doc(botId)
-      .collection('users')
-      .orderBy('lastSpin', 'desc')
-      .limit(parseInt(limit))
-      .offset(parseInt(offset))
-      .get();
+    let bots = [];
     
-    const users = [];
-    for (const doc of usersSnapshot.docs) {
-      const userData = doc.data();
-      
-      // Получаем дополнительную информацию
-      const userSpins = await db.collection('bots').doc(botId)
-        .collection('spins')
-        .where('userId', '==', userData.userId)
-        .get();
-      
-      const userLeads = await db.collection('bots').doc(botId)
-        .collection('leads')
-        .where('userId', '==', userData.userId)
-        .get();
-      
-      const userReferrals = await db.collection('bots').doc(botId)
-        .collection('referrals')
-        .where('referrerId', '==', userData.userId)
-        .get();
+    if (userDoc.exists && userDoc.data().isAdmin) {
+      // Администратор платформы видит всех ботов
+      const botsSnapshot = await db.collection('bots').get();
+      bots = botsSnapshot.docs.map(doc => ({ botId: doc.id, role: 'owner', data: doc.data() }));
+    } else {
+      const rolesSnapshot = await db.collectionGroup('admins').where('uid', '==', uid).get();
       
-      users.push({
-        userId: userData.userId,
-        username: userData.username || '',
-        totalSpins: userSpins.size,
-        totalLeads: userLeads.size,
-        totalReferrals: userReferrals.size,
-        lastActivity: userData.lastSpin || userData.updatedAt,
-        isSubscribed: true // Можно добавить проверку подписки
-      });
+      for (const roleDoc of rolesSnapshot.docs) {
+        const botDoc = await roleDoc.ref.parent.parent.get();
+        if (botDoc.exists) {
+          bots.push({ botId: botDoc.id, role: roleDoc.data().role, data: botDoc.data() });
+        }
+      }
     }
     
-    res.json({ users });
+    res.json({
+      bots: bots.map(({ botId, role, data }) => ({
+        botId,
+        role,
+        name: data.name || '',
+        botUsername: data.botUsername || '',
+        status: data.status || 'active'
+      }))
+    });
     
   } catch (error) {
-    console.error('Ошибка получения пользователей:', error);
+    console.error('Ошибка получения списка ботов:', error);
     res.status(500).json({ error: 'Внутренняя ошибка сервера' });
   }
 });
 
 /**
- * Обновляет настройки колеса
+ * Получает список администраторов бота
  */
-app.post('/api/admin/bot/:botId/wheel-config', async (req, res) => {
+app.get('/api/admin/bot/:botId/admins', requireBotRole('owner'), async (req, res) => {
   try {
     const { botId } = req.params;
-    const { adminId, items } = req.body;
-    
-    if (!items || !Array.isArray(items)) {
-      return res.status(400).json({ error: 'Неверный формат данных' });
-    }
-    
-    // Проверяем права администратора
-    const adminDoc = await db.collection('users').doc(adminId).get();
-    if (!adminDoc.exists || !adminDoc.data().isAdmin) {
-      return res.status(403).json({ error: 'Доступ запрещен' });
-    }
     
-    // Очищаем старые настройки
-    const wheelItemsRef = db.collection('bots').doc(botId).collection('wheelItems');
-    const snapshot = await wheelItemsRef.get();
+    const adminsSnapshot = await db.collection('bots').doc(botId).collection('admins').get();
     
-    const batch = db.batch();
-    snapshot.docs.forEach(doc => {
-      batch.delete(doc.ref);
+    res.json({
+      admins: adminsSnapshot.docs.map(doc => doc.data())
     });
-    await batch.commit();
-    
-    // Добавляем новые настройки
-    for (let i = 0; i < items.length; i++) {
-      const item = items[i];
-      await wheelItemsRef.add({
-        position: i,
-        label: item.label,
-        weight: item.weight || 10,
-        winText: item.winText || '',
-        isActive: true
-      });
-    }
-    
-    res.json({ success: true, count: items.length });
     
   } catch (error) {
-    console.error('Ошибка обновления конфигурации колеса:', error);
+    console.error('Ошибка получения администраторов:', error);
     res.status(500).json({ error: 'Внутренняя ошибка сервера' });
   }
 });
 
 /**
- * Отправляет рассылку
+ * Добавляет администратора бота или меняет его роль
  */
-app.post('/api/admin/bot/:botId/broadcast', async (req, res) => {
+app.post('/api/admin/bot/:botId/admins', requireBotRole('owner'), async (req, res) => {
   try {
     const { botId } = req.params;
-    const { adminId, message, userIds, attachRefLink } = req.body;
+    const { uid, email, role } = req.body;
     
-    if (!message) {
-      return res.status(400).json({ error: 'Не указано сообщение' });
+    if (!ROLE_LEVELS[role]) {
+      return res.status(400).json({ error: 'Неверная роль' });
     }
     
-    // Проверяем права администратора
-    const adminDoc = await db.collection('users').doc(adminId).get();
-    if (!adminDoc.exists || !adminDoc.data().isAdmin) {
-      return res.status(403).json({ error: 'Доступ запрещен' });
+    if (!uid && !email) {
+      return res.status(400).json({ error: 'Не указан uid или email' });
     }
     
-    const botInstance = await getBotInstance(botId);
-    const botDoc = await db.collection('bots').doc(botId).get();
-    const botData = botDoc.data();
-    
-    let usersToSend = [];
-    
-    if (userIds && Array.isArray(userIds) && userIds.length > 0) {
-      // Отправляем выбранным пользователям
-      usersToSend = userIds;
-    } else {
-      // Отправляем всем пользователям бота
-      const usersSnapshot = await db.collection('bots').doc(botId)
-        .collection('users')
-        .get();
-      
-      usersToSend = usersSnapshot.docs.map(doc => doc.data().userId);
+    let userRecord;
+    try {
+      userRecord = uid ? await admin.auth().getUser(uid) : await admin.auth().getUserByEmail(email);
+    } catch (error) {
+      return res.status(404).json({ error: 'Пользователь не найден' });
     }
     
-    const results = {
-      sent: 0,
-      failed: 0,
-      errors: []
-    };
+    const adminsRef = db.collection('bots').doc(botId).collection('admins');
     
-    // Отправляем сообщения с задержкой
-    for (const userId of usersToSend) {
-      try {
-        let finalMessage = message;
-        
-        if (attachRefLink) {
-          const referralLink = generateReferralLink(botData.botUsername, userId);
-          finalMessage += `\n\n🔗 Ваша реферальная ссылка: ${referralLink}`;
-        }
-        
-        await botInstance.sendMessage(userId, finalMessage, { parse_mode: 'HTML' });
-        results.sent++;
-        
-        // Задержка чтобы не превысить лимиты Telegram
-        await new Promise(resolve => setTimeout(resolve, 100));
-        
-      } catch (error) {
-        results.failed++;
-        results.errors.push({
-          userId,
-          error: error.message
-        });
+    // Нельзя оставить бота без владельца
+    if (role !== 'owner') {
+      const ownersSnapshot = await adminsRef.where('role', '==', 'owner').get();
+      if (ownersSnapshot.size === 1 && ownersSnapshot.docs[0].id === userRecord.uid) {
+        return res.status(400).json({ error: 'Нельзя понизить последнего владельца' });
       }
     }
     
-    // Логируем рассылку
-    await db.collection('bots').doc(botId).collection('broadcasts').add({
-      adminId,
-      message,
-      totalRecipients: usersToSend.length,
-      sent: results.sent,
-      failed: results.failed,
-      timestamp: new Date().toISOString()
-    });
+    await adminsRef.doc(userRecord.uid).set({
+      uid: userRecord.uid,
+      email: userRecord.email || '',
+      role,
+      addedBy: req.user.uid,
+      updatedAt: new Date().toISOString()
+    }, { merge: true });
     
-    res.json(results);
+    res.json({ success: true, uid: userRecord.uid, role });
     
   } catch (error) {
-    console.error('Ошибка рассылки:', error);
+    console.error('Ошибка добавления администратора:', error);
     res.status(500).json({ error: 'Внутренняя ошибка сервера' });
   }
 });
 
-// === ФОЛБЭК СИСТЕМА ===
-
 /**
- * Планирует отложенную отправку лида (фолбэк)
+ * Удаляет администратора бота
  */
-async function scheduleFallbackLead(botId, spinId, userId, prize, username) {
+app.delete('/api/admin/bot/:botId/admins/:uid', requireBotRole('owner'), async (req, res) => {
   try {
-    const fallbackRef = db.collection('bots').doc(botId).collection('fallbacks').doc(spinId);
+    const { botId, uid } = req.params;
+    const adminsRef = db.collection('bots').doc(botId).collection('admins');
     
-    await fallbackRef.set({
-      spinId,
-      userId,
-      prize,
-      username: username || '',
-      scheduledAt: new Date().toISOString(),
-      dueAt: new Date(Date.now() + 2 * 60 * 1000).toISOString(), // 2 минуты
-      status: 'pending',
-      sent: false
-    });
+    const adminDoc = await adminsRef.doc(uid).get();
+    if (!adminDoc.exists) {
+      return res.status(404).json({ error: 'Администратор не найден' });
+    }
+    
+    // Нельзя оставить бота без владельца
+    if (adminDoc.data().role === 'owner') {
+      const ownersSnapshot = await adminsRef.where('role', '==', 'owner').get();
+      if (ownersSnapshot.size <= 1) {
+        return res.status(400).json({ error: 'Нельзя удалить последнего владельца' });
+      }
+    }
+    
+    await adminsRef.doc(uid).delete();
     
-    // Запускаем таймер для проверки фолбэков
-    setTimeout(() => checkFallback(botId, spinId), 2 * 60 * 1000);
+    res.json({ success: true });
     
   } catch (error) {
-    console.error('Ошибка планирования фолбэка:', error);
+    console.error('Ошибка удаления администратора:', error);
+    res.status(500).json({ error: 'Внутренняя ошибка сервера' });
   }
-}
+});
 
 /**
- * Проверяет и отправляет фолбэк лид
+ * Получает статистику бота
  */
-async function checkFallback(botId, spinId) {
+app.get('/api/admin/bot/:botId/stats', requireBotRole('viewer'), async (req, res) => {
   try {
-    const fallbackRef = db.collection('bots').doc(botId).collection('fallbacks').doc(spinId);
-    const fallbackDoc = await fallbackRef.get();
-    
-    if (!fallbackDoc.exists) return;
+    const { botId } = req.params;
+    const botRef = db.collection('bots').doc(botId);
     
-    const fallbackData = fallbackDoc.data();
+    // Статистика за последние 7 дней
+    const weekAgo = new Date(Date.now() - 7 * 24 * 60 * 60 * 1000).toISOString();
     
-    // Проверяем, был ли собран полный лид
-    const leadRef = db.collection('bots').doc(botId).collection('leads')
-      .where('spinId', '==', spinId)
-      .limit(1);
+    // Считаем документы агрегирующими запросами, не читая коллекции целиком
+    const [
+      totalUsers,
+      blockedUsers,
+      totalSpins,
+      totalLeads,
+      totalReferrals,
+      spinsLast7Days,
+      leadsLast7Days
+    ] = await Promise.all([
+      botRef.collection('users'),
+      botRef.collection('users').where('isUnreachable', '==', true),
+      botRef.collection('spins'),
+      botRef.collection('leads'),
+      botRef.collection('referrals'),
+      botRef.collection('spins').where('timestamp', '>=', weekAgo),
+      botRef.collection('leads').where('timestamp', '>=', weekAgo)
+    ].map(async (query) => (await query.count().get()).data().count));
+    
+    // Остатки призов
+    const today = new Date().toISOString().slice(0, 10);
+    const wheelConfig = await getWheelConfig(botId);
+    const prizeStock = wheelConfig.items.map(item => ({
+      id: item.id || null,
+      label: item.label,
+      quantity: item.quantity != null ? item.quantity : null,
+      issued: item.issuedCount || 0,
+      remaining: item.quantity != null ? Math.max(0, item.quantity - (item.issuedCount || 0)) : null,
+      dailyLimit: item.dailyLimit != null ? item.dailyLimit : null,
+      issuedToday: item.issuedDate === today ? (item.issuedToday || 0) : 0,
+      perUserLimit: item.perUserLimit != null ? item.perUserLimit : null,
+      isConsolation: !!item.isConsolation
+    }));
     
-    const leadSnapshot = await leadRef.get();
+    res.json({
+      totalUsers,
+      reachableUsers: totalUsers - blockedUsers,
+      blockedUsers,
+      totalSpins,
+      totalLeads,
+      totalReferrals,
+      spinsLast7Days,
+      leadsLast7Days,
+      prizeStock,
+      campaignId: wheelConfig.campaignId,
+      configVersion: wheelConfig.version,
+      botId
+    });
     
-    if (leadSnapshot.empty && !fallbackData.sent) {
-      // Полный лид не собран, отправляем фолбэк
-      const botDoc = await db.collection('bots').doc(botId).get();
-      const botData = botDoc.data();
-      
-      if (botData.leadsChannel) {
-        const botInstance = await getBotInstance(botId);
-        const fallbackMessage = `
-📥 <b>Лид (фолбэк)</b>
-Bot: ${botData.name}
-UserID: ${fallbackData.userId}
-Username: @${fallbackData.username || '—'}
-Имя: Не указано
-Телефон: Не указан
-Приз: ${fallbackData.prize}
-SpinID: ${spinId}
-        `.trim();
-        
-        await botInstance.sendMessage(botData.leadsChannel, fallbackMessage, { parse_mode: 'HTML' });
-        
-        // Отмечаем как отправленный
-        await fallbackRef.update({ 
-          sent: true, 
-          sentAt: new Date().toISOString(),
-          status: 'sent'
-        });
-      }
-    } else if (leadSnapshot.docs.length > 0) {
-      // Полный лид собран, удаляем фолбэк
-      await fallbackRef.delete();
-    }
+  } catch (error) {
+    console.error('Ошибка получения статистики:', error);
+    res.status(500).json({ error: 'Внутренняя ошибка сервера' });
+  }
+});
+
+// Поля, по которым можно сортировать список пользователей
+const USER_SORT_FIELDS = ['joinedAt', 'lastSpin', 'totalSpins', 'totalReferrals'];
+
+/**
+ * Получает список пользователей бота.
+ * Параметры: sort, order (asc/desc), subscribed, unreachable, search (username или userId),
+ * cursor (userId последнего пользователя предыдущей страницы)
+ */
+app.get('/api/admin/bot/:botId/users', requireBotRole('viewer'), async (req, res) => {
+  try {
+    const { botId } = req.params;
+    const { sort = 'joinedAt', order = 'desc', subscribed, unreachable, search, cursor } = req.query;
+    const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+    
+    if (!USER_SORT_FIELDS.includes(sort) || !['asc', 'desc'].includes(order)) {
+      return res.status(400).json({ error: 'Неверные параметры сортировки' });
+    }
+    
+    const usersRef = db.collection('bots').doc(botId).collection('users');
+    let query = usersRef;
+    
+    if (search) {
+      const term = search.trim().replace(/^@/, '');
+      
+      if (/^\d+$/.test(term)) {
+        // Поиск по userId — точное совпадение
+        query = query.where('userId', '==', parseInt(term));
+      } else {
+        // Поиск по username — по началу строки
+        query = query.orderBy('username').startAt(term).endAt(`${term}\uf8ff`);
+      }
+    } else {
+      query = query.orderBy(sort, order);
+    }
+    
+    if (subscribed !== undefined) {
+      query = query.where('isSubscribed', '==', subscribed === 'true');
+    }
+    
+    if (unreachable !== undefined) {
+      query = query.where('isUnreachable', '==', unreachable === 'true');
+    }
+    
+    if (cursor) {
+      const cursorDoc = await usersRef.doc(cursor).get();
+      if (!cursorDoc.exists) {
+        return res.status(400).json({ error: 'Неверный курсор' });
+      }
+      query = query.startAfter(cursorDoc);
+    }
+    
+    const usersSnapshot = await query.limit(limit).get();
+    
+    // Статус подписки берётся из профиля (обновляется при входе и по событиям chat_member),
+    // без запросов к Telegram для каждой строки
+    const users = usersSnapshot.docs.map((doc) => {
+      const userData = doc.data();
+      
+      return {
+        userId: userData.userId,
+        username: userData.username || '',
+        firstName: userData.firstName || '',
+        totalSpins: userData.totalSpins || 0,
+        totalLeads: userData.totalLeads || 0,
+        totalReferrals: userData.totalReferrals || 0,
+        joinedAt: userData.joinedAt || null,
+        lastActivity: userData.lastSpin || userData.updatedAt,
+        isSubscribed: !!userData.isSubscribed,
+        subscriptionStatus: userData.subscriptionStatus || (userData.isSubscribed ? 'subscribed' : 'unknown'),
+        subscriptionCheckedAt: userData.subscriptionCheckedAt || null,
+        isUnreachable: !!userData.isUnreachable
+      };
+    });
+    
+    const lastDoc = usersSnapshot.docs[usersSnapshot.docs.length - 1];
+    
+    res.json({
+      users,
+      nextCursor: usersSnapshot.size === limit ? lastDoc.id : null
+    });
+    
+  } catch (error) {
+    console.error('Ошибка получения пользователей:', error);
+    res.status(500).json({ error: 'Внутренняя ошибка сервера' });
+  }
+});
+
+/**
+ * Пересчитывает счётчики спинов, лидов и рефералов пользователей
+ * (для пользователей, появившихся до денормализации)
+ */
+app.post('/api/admin/bot/:botId/users/recount', requireBotRole('owner'), async (req, res) => {
+  try {
+    const { botId } = req.params;
+    
+    const updatedUsers = await recountUserCounters(botId);
+    if (updatedUsers === null) {
+      return res.status(409).json({ error: 'Пересчёт уже выполняется' });
+    }
+    
+    res.json({ success: true, updatedUsers });
+    
+  } catch (error) {
+    console.error('Ошибка пересчёта счётчиков пользователей:', error);
+    res.status(500).json({ error: 'Внутренняя ошибка сервера' });
+  }
+});
+
+/**
+ * Обновляет настройки колеса.
+ * Каждое сохранение создаёт новую версию конфигурации кампании
+ */
+app.post('/api/admin/bot/:botId/wheel-config', requireBotRole('editor'), async (req, res) => {
+  try {
+    const { botId } = req.params;
+    const { items, campaignId = DEFAULT_CAMPAIGN_ID } = req.body;
+    
+    if (!items || !Array.isArray(items)) {
+      return res.status(400).json({ error: 'Неверный формат данных' });
+    }
+    
+    const voucherError = validateVoucherSettings(items);
+    if (voucherError) {
+      return res.status(400).json({ error: voucherError });
+    }
+    
+    // Кампания по умолчанию создаётся при первом сохранении конфигурации
+    if (campaignId === DEFAULT_CAMPAIGN_ID) {
+      const campaignRef = db.collection('bots').doc(botId).collection('campaigns').doc(DEFAULT_CAMPAIGN_ID);
+      const campaignDoc = await campaignRef.get();
+      
+      if (!campaignDoc.exists) {
+        await campaignRef.set({
+          name: 'Основная',
+          status: 'active',
+          startsAt: null,
+          endsAt: null,
+          latestVersion: 0,
+          currentVersion: null,
+          createdAt: new Date().toISOString()
+        });
+      }
+    }
+    
+    const version = await createCampaignVersion(botId, campaignId, items, req.user.uid);
+    
+    if (!version) {
+      return res.status(404).json({ error: 'Кампания не найдена' });
+    }
+    
+    res.json({ success: true, count: items.length, campaignId, version });
+    
+  } catch (error) {
+    console.error('Ошибка обновления конфигурации колеса:', error);
+    res.status(500).json({ error: 'Внутренняя ошибка сервера' });
+  }
+});
+
+// === ПОДКЛЮЧЕНИЕ БОТОВ ===
+
+/**
+ * Параметры настройки бота в Telegram: вебхук на публичном адресе сервера
+ * (url из запроса или PUBLIC_URL) или long polling, если передан mode = polling
+ */
+function getSetupOptions(req) {
+  return {
+    mode: req.body.mode,
+    webhookBaseUrl: req.body.url || process.env.PUBLIC_URL,
+    onUpdate: handleTelegramUpdate
+  };
+}
+
+/**
+ * Подключает бота по токену: проверяет токен через getMe, настраивает прием обновлений
+ * и меню команд, проверяет права бота в каналах. Создавший становится владельцем
+ */
+app.post('/api/admin/bots', async (req, res) => {
+  try {
+    const { token, ...rest } = req.body;
+    
+    const { settings, error } = normalizeBotSettings(rest);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    
+    const result = await registerBot(token, settings, req.user, getSetupOptions(req));
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
+    
+    res.json({ success: true, botId: result.botId, setup: result.report });
+    
+  } catch (error) {
+    console.error('Ошибка подключения бота:', error);
+    res.status(500).json({ error: 'Внутренняя ошибка сервера' });
+  }
+});
+
+/**
+ * Обновляет название, адрес веб-приложения и канал лидов бота
+ */
+app.put('/api/admin/bot/:botId', requireBotRole('owner'), async (req, res) => {
+  try {
+    const { botId } = req.params;
+    
+    const { settings, error } = normalizeBotSettings(req.body);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    
+    await db.collection('bots').doc(botId).update({
+      ...settings,
+      updatedAt: new Date().toISOString()
+    });
+    invalidateBotCaches(botId);
+    
+    res.json({ success: true, ...settings });
+    
+  } catch (error) {
+    console.error('Ошибка обновления бота:', error);
+    res.status(500).json({ error: 'Внутренняя ошибка сервера' });
+  }
+});
+
+/**
+ * Повторно настраивает бота в Telegram и проверяет права в каналах
+ */
+app.post('/api/admin/bot/:botId/setup', requireBotRole('owner'), async (req, res) => {
+  try {
+    const { botId } = req.params;
+    
+    const botData = await getBotData(botId);
+    if (!botData) {
+      return res.status(404).json({ error: 'Бот не найден' });
+    }
+    
+    if (botData.status === 'paused') {
+      return res.status(409).json({ error: 'Бот приостановлен' });
+    }
+    
+    const result = await setupBot(botId, getSetupOptions(req));
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
+    
+    res.json({ success: true, setup: result.report });
+    
+  } catch (error) {
+    console.error('Ошибка настройки бота:', error);
+    res.status(500).json({ error: 'Внутренняя ошибка сервера' });
+  }
+});
+
+/**
+ * Меняет токен бота. Вебхук и меню команд настраиваются заново
+ */
+app.post('/api/admin/bot/:botId/token', requireBotRole('owner'), async (req, res) => {
+  try {
+    const { botId } = req.params;
+    
+    const botDoc = await db.collection('bots').doc(botId).get();
+    if (!botDoc.exists) {
+      return res.status(404).json({ error: 'Бот не найден' });
+    }
+    
+    const result = await rotateBotToken(botId, botDoc.data(), req.body.token, getSetupOptions(req));
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
+    
+    res.json({ success: true, botUsername: result.botUsername, setup: result.report });
+    
+  } catch (error) {
+    console.error('Ошибка смены токена бота:', error);
+    res.status(500).json({ error: 'Внутренняя ошибка сервера' });
+  }
+});
+
+/**
+ * Приостанавливает или возобновляет работу бота (action: pause, resume)
+ */
+app.post('/api/admin/bot/:botId/:action(pause|resume)', requireBotRole('owner'), async (req, res) => {
+  try {
+    const { botId, action } = req.params;
+    
+    const botDoc = await db.collection('bots').doc(botId).get();
+    if (!botDoc.exists) {
+      return res.status(404).json({ error: 'Бот не найден' });
+    }
+    
+    if (action === 'pause') {
+      await pauseBot(botId);
+      return res.json({ success: true, status: 'paused' });
+    }
+    
+    // Без адреса в запросе используется адрес прежнего вебхука
+    const result = await resumeBot(botId, botDoc.data(), {
+      mode: req.body.mode,
+      webhookBaseUrl: req.body.url,
+      onUpdate: handleTelegramUpdate
+    });
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
+    
+    res.json({ success: true, status: 'active', setup: result.report });
+    
+  } catch (error) {
+    console.error('Ошибка изменения статуса бота:', error);
+    res.status(500).json({ error: 'Внутренняя ошибка сервера' });
+  }
+});
+
+/**
+ * Удаляет бота со всеми данными. Для подтверждения передается username бота (confirm)
+ */
+app.delete('/api/admin/bot/:botId', requireBotRole('owner'), async (req, res) => {
+  try {
+    const { botId } = req.params;
+    
+    const botDoc = await db.collection('bots').doc(botId).get();
+    if (!botDoc.exists) {
+      return res.status(404).json({ error: 'Бот не найден' });
+    }
+    
+    if (!req.body.confirm || req.body.confirm !== botDoc.data().botUsername) {
+      return res.status(400).json({ error: 'Для удаления укажите username бота в поле confirm' });
+    }
+    
+    await deleteBot(botId);
+    
+    res.json({ success: true });
+    
+  } catch (error) {
+    console.error('Ошибка удаления бота:', error);
+    res.status(500).json({ error: 'Внутренняя ошибка сервера' });
+  }
+});
+
+// === АНАЛИТИКА ===
+
+/**
+ * Получает дневную статистику за период (from, to — даты YYYY-MM-DD в часовом поясе бота).
+ * Параметр metrics ограничивает набор счётчиков
+ */
+app.get('/api/admin/bot/:botId/analytics/series', requireBotRole('viewer'), async (req, res) => {
+  try {
+    const { botId } = req.params;
+    const botDoc = await db.collection('bots').doc(botId).get();
+    const botData = botDoc.data();
+    
+    const range = normalizeDateRange(botData, req.query);
+    if (range.error) {
+      return res.status(400).json({ error: range.error });
+    }
+    
+    const metrics = req.query.metrics ? req.query.metrics.split(',') : DAILY_METRICS;
+    const unknownMetric = metrics.find(metric => !DAILY_METRICS.includes(metric));
+    if (unknownMetric) {
+      return res.status(400).json({ error: `Неизвестный показатель: ${unknownMetric}` });
+    }
+    
+    const series = await getDailySeries(botId, range.from, range.to);
+    
+    res.json({
+      from: range.from,
+      to: range.to,
+      timezone: botData.timezone || DEFAULT_TIMEZONE,
+      series: series.map(day => {
+        const point = { date: day.date };
+        metrics.forEach(metric => {
+          point[metric] = day[metric];
+        });
+        return point;
+      })
+    });
+    
+  } catch (error) {
+    console.error('Ошибка получения дневной статистики:', error);
+    res.status(500).json({ error: 'Внутренняя ошибка сервера' });
+  }
+});
+
+/**
+ * Получает воронку start → subscribed → spin → lead за период
+ */
+app.get('/api/admin/bot/:botId/analytics/funnel', requireBotRole('viewer'), async (req, res) => {
+  try {
+    const { botId } = req.params;
+    const botDoc = await db.collection('bots').doc(botId).get();
+    const botData = botDoc.data();
+    
+    const range = normalizeDateRange(botData, req.query);
+    if (range.error) {
+      return res.status(400).json({ error: range.error });
+    }
+    
+    const totals = sumSeries(await getDailySeries(botId, range.from, range.to));
+    
+    res.json({
+      from: range.from,
+      to: range.to,
+      funnel: buildFunnel(totals)
+    });
+    
+  } catch (error) {
+    console.error('Ошибка получения воронки:', error);
+    res.status(500).json({ error: 'Внутренняя ошибка сервера' });
+  }
+});
+
+/**
+ * Сравнивает фактическое распределение призов за период с весами активной конфигурации
+ */
+app.get('/api/admin/bot/:botId/analytics/prizes', requireBotRole('viewer'), async (req, res) => {
+  try {
+    const { botId } = req.params;
+    const botDoc = await db.collection('bots').doc(botId).get();
+    const botData = botDoc.data();
+    
+    const range = normalizeDateRange(botData, req.query);
+    if (range.error) {
+      return res.status(400).json({ error: range.error });
+    }
+    
+    const [series, wheelConfig] = await Promise.all([
+      getDailySeries(botId, range.from, range.to),
+      getWheelConfig(botId)
+    ]);
+    
+    res.json({
+      from: range.from,
+      to: range.to,
+      campaignId: wheelConfig.campaignId,
+      configVersion: wheelConfig.version,
+      prizes: buildPrizeDistribution(wheelConfig.items, sumSeries(series).prizes)
+    });
+    
+  } catch (error) {
+    console.error('Ошибка получения распределения призов:', error);
+    res.status(500).json({ error: 'Внутренняя ошибка сервера' });
+  }
+});
+
+/**
+ * Обновляет часовой пояс бота, по которому считаются дни статистики
+ */
+app.put('/api/admin/bot/:botId/analytics-settings', requireBotRole('editor'), async (req, res) => {
+  try {
+    const { botId } = req.params;
+    const { timezone } = req.body;
+    
+    if (!timezone || !isValidTimezone(timezone)) {
+      return res.status(400).json({ error: 'Неизвестный часовой пояс' });
+    }
+    
+    await db.collection('bots').doc(botId).update({ timezone });
+    
+    res.json({ success: true, timezone });
+    
+  } catch (error) {
+    console.error('Ошибка обновления часового пояса:', error);
+    res.status(500).json({ error: 'Внутренняя ошибка сервера' });
+  }
+});
+
+// === КАМПАНИИ ===
+
+/**
+ * Получает список кампаний бота
+ */
+app.get('/api/admin/bot/:botId/campaigns', requireBotRole('viewer'), async (req, res) => {
+  try {
+    const { botId } = req.params;
+    const [campaignsSnapshot, activeCampaign] = await Promise.all([
+      db.collection('bots').doc(botId).collection('campaigns').get(),
+      getActiveCampaign(botId)
+    ]);
+    
+    const campaigns = campaignsSnapshot.docs.map(doc => ({
+      id: doc.id,
+      ...doc.data(),
+      isRunning: !!activeCampaign && activeCampaign.id === doc.id
+    }));
+    
+    res.json({ campaigns });
+    
+  } catch (error) {
+    console.error('Ошибка получения кампаний:', error);
+    res.status(500).json({ error: 'Внутренняя ошибка сервера' });
+  }
+});
+
+/**
+ * Создает кампанию с первой версией конфигурации колеса
+ */
+app.post('/api/admin/bot/:botId/campaigns', requireBotRole('editor'), async (req, res) => {
+  try {
+    const { botId } = req.params;
+    const { name, startsAt, endsAt, baseAttempts, referralBonus, items } = req.body;
+    
+    if (!name || !items || !Array.isArray(items)) {
+      return res.status(400).json({ error: 'Неверный формат данных' });
+    }
+    
+    const voucherError = validateVoucherSettings(items);
+    if (voucherError) {
+      return res.status(400).json({ error: voucherError });
+    }
+    
+    for (const date of [startsAt, endsAt]) {
+      if (date && isNaN(new Date(date).getTime())) {
+        return res.status(400).json({ error: 'Неверный формат даты' });
+      }
+    }
+    
+    if (startsAt && endsAt && new Date(startsAt) >= new Date(endsAt)) {
+      return res.status(400).json({ error: 'Дата окончания должна быть позже даты начала' });
+    }
+    
+    const campaignRef = db.collection('bots').doc(botId).collection('campaigns').doc();
+    
+    await campaignRef.set({
+      name,
+      status: 'active',
+      startsAt: startsAt ? new Date(startsAt).toISOString() : null,
+      endsAt: endsAt ? new Date(endsAt).toISOString() : null,
+      baseAttempts: baseAttempts != null ? parseInt(baseAttempts) : null,
+      referralBonus: referralBonus != null ? parseInt(referralBonus) : null,
+      latestVersion: 0,
+      currentVersion: null,
+      createdBy: req.user.uid,
+      createdAt: new Date().toISOString()
+    });
+    
+    const version = await createCampaignVersion(botId, campaignRef.id, items, req.user.uid);
+    
+    res.json({ success: true, campaignId: campaignRef.id, version });
+    
+  } catch (error) {
+    console.error('Ошибка создания кампании:', error);
+    res.status(500).json({ error: 'Внутренняя ошибка сервера' });
+  }
+});
+
+/**
+ * Обновляет параметры кампании (название, даты, правила попыток, статус)
+ */
+app.put('/api/admin/bot/:botId/campaigns/:campaignId', requireBotRole('editor'), async (req, res) => {
+  try {
+    const { botId, campaignId } = req.params;
+    const { name, startsAt, endsAt, baseAttempts, referralBonus, status } = req.body;
+    
+    if (status && !['active', 'archived'].includes(status)) {
+      return res.status(400).json({ error: 'Неверный статус кампании' });
+    }
+    
+    for (const date of [startsAt, endsAt]) {
+      if (date && isNaN(new Date(date).getTime())) {
+        return res.status(400).json({ error: 'Неверный формат даты' });
+      }
+    }
+    
+    const campaignRef = db.collection('bots').doc(botId).collection('campaigns').doc(campaignId);
+    const campaignDoc = await campaignRef.get();
+    
+    if (!campaignDoc.exists) {
+      return res.status(404).json({ error: 'Кампания не найдена' });
+    }
+    
+    const updates = { updatedAt: new Date().toISOString() };
+    
+    if (name !== undefined) updates.name = name;
+    if (status !== undefined) updates.status = status;
+    if (startsAt !== undefined) updates.startsAt = startsAt ? new Date(startsAt).toISOString() : null;
+    if (endsAt !== undefined) updates.endsAt = endsAt ? new Date(endsAt).toISOString() : null;
+    if (baseAttempts !== undefined) updates.baseAttempts = baseAttempts != null ? parseInt(baseAttempts) : null;
+    if (referralBonus !== undefined) updates.referralBonus = referralBonus != null ? parseInt(referralBonus) : null;
+    
+    const merged = { ...campaignDoc.data(), ...updates };
+    if (merged.startsAt && merged.endsAt && merged.startsAt >= merged.endsAt) {
+      return res.status(400).json({ error: 'Дата окончания должна быть позже даты начала' });
+    }
+    
+    await campaignRef.update(updates);
+    
+    res.json({ success: true });
+    
+  } catch (error) {
+    console.error('Ошибка обновления кампании:', error);
+    res.status(500).json({ error: 'Внутренняя ошибка сервера' });
+  }
+});
+
+/**
+ * Получает историю версий конфигурации кампании
+ */
+app.get('/api/admin/bot/:botId/campaigns/:campaignId/versions', requireBotRole('viewer'), async (req, res) => {
+  try {
+    const { botId, campaignId } = req.params;
+    const campaignRef = db.collection('bots').doc(botId).collection('campaigns').doc(campaignId);
+    const [campaignDoc, versionsSnapshot] = await Promise.all([
+      campaignRef.get(),
+      campaignRef.collection('versions').orderBy('version', 'desc').get()
+    ]);
+    
+    if (!campaignDoc.exists) {
+      return res.status(404).json({ error: 'Кампания не найдена' });
+    }
+    
+    res.json({
+      currentVersion: campaignDoc.data().currentVersion,
+      versions: versionsSnapshot.docs.map(doc => doc.data())
+    });
+    
+  } catch (error) {
+    console.error('Ошибка получения версий кампании:', error);
+    res.status(500).json({ error: 'Внутренняя ошибка сервера' });
+  }
+});
+
+/**
+ * Откатывает кампанию к одной из предыдущих версий конфигурации
+ */
+app.post('/api/admin/bot/:botId/campaigns/:campaignId/rollback', requireBotRole('editor'), async (req, res) => {
+  try {
+    const { botId, campaignId } = req.params;
+    const { version } = req.body;
+    
+    if (!version) {
+      return res.status(400).json({ error: 'Не указана версия' });
+    }
+    
+    const campaignRef = db.collection('bots').doc(botId).collection('campaigns').doc(campaignId);
+    const versionDoc = await campaignRef.collection('versions').doc(String(version)).get();
+    
+    if (!versionDoc.exists) {
+      return res.status(404).json({ error: 'Версия не найдена' });
+    }
+    
+    await campaignRef.update({
+      currentVersion: parseInt(version),
+      rolledBackBy: req.user.uid,
+      rolledBackAt: new Date().toISOString(),
+      updatedAt: new Date().toISOString()
+    });
+    
+    res.json({ success: true, currentVersion: parseInt(version) });
+    
+  } catch (error) {
+    console.error('Ошибка отката версии кампании:', error);
+    res.status(500).json({ error: 'Внутренняя ошибка сервера' });
+  }
+});
+
+// === РАССЫЛКИ ===
+
+/**
+ * Ставит рассылку в очередь. Отправкой занимается фоновый воркер
+ */
+app.post('/api/admin/bot/:botId/broadcast', requireBotRole('editor'), async (req, res) => {
+  try {
+    const { botId } = req.params;
+    const { message, media, buttons, userIds, segmentId, attachRefLink } = req.body;
+    
+    const contentError = validateMessageContent({ text: message, media, buttons });
+    if (contentError) {
+      return res.status(400).json({ error: contentError });
+    }
+    
+    const hasUserIds = Array.isArray(userIds) && userIds.length > 0;
+    let filters = null;
+    
+    if (!hasUserIds && segmentId) {
+      // Отправляем пользователям сохранённого сегмента
+      const segmentDoc = await db.collection('bots').doc(botId).collection('segments').doc(segmentId).get();
+      
+      if (!segmentDoc.exists) {
+        return res.status(404).json({ error: 'Сегмент не найден' });
+      }
+      
+      filters = segmentDoc.data().filters;
+    }
+    
+    // Получатели (выбранные, сегмент или все пользователи, кроме недоступных)
+    // определяются фоновым воркером при подготовке задачи
+    const job = await createBroadcastJob(botId, {
+      message,
+      media,
+      buttons,
+      attachRefLink,
+      segmentId,
+      filters,
+      userIds: hasUserIds ? userIds : null,
+      createdBy: req.user.uid
+    });
+    
+    res.status(202).json({ success: true, status: 'preparing', ...job });
+    
+  } catch (error) {
+    console.error('Ошибка рассылки:', error);
+    res.status(500).json({ error: 'Внутренняя ошибка сервера' });
+  }
+});
+
+/**
+ * Показывает, как рассылка будет выглядеть для выбранного пользователя.
+ * Если указан sendToChatId, сообщение также отправляется в этот чат
+ */
+app.post('/api/admin/bot/:botId/broadcast/preview', requireBotRole('editor'), async (req, res) => {
+  try {
+    const { botId } = req.params;
+    const { message, media, buttons, attachRefLink, userId, sendToChatId } = req.body;
+    
+    const contentError = validateMessageContent({ text: message, media, buttons });
+    if (contentError) {
+      return res.status(400).json({ error: contentError });
+    }
+    
+    if (!userId) {
+      return res.status(400).json({ error: 'Не указан userId' });
+    }
+    
+    const botDoc = await db.collection('bots').doc(botId).get();
+    const botData = botDoc.data();
+    const content = getBroadcastContent({ message, media, buttons, attachRefLink });
+    const variables = await buildRecipientVariables(botId, botData, userId.toString());
+    const rendered = renderMessage(botId, content, variables, botData.webAppUrl);
+    
+    if (sendToChatId) {
+      const botInstance = await getBotInstance(botId);
+      await sendRenderedMessage(botInstance, sendToChatId, rendered);
+    }
+    
+    res.json({ variables, message: rendered });
+    
+  } catch (error) {
+    console.error('Ошибка предпросмотра рассылки:', error);
+    res.status(500).json({ error: 'Внутренняя ошибка сервера' });
+  }
+});
+
+/**
+ * Получает список рассылок бота
+ */
+app.get('/api/admin/bot/:botId/broadcasts', requireBotRole('viewer'), async (req, res) => {
+  try {
+    const { botId } = req.params;
+    const { limit = 20 } = req.query;
+    
+    const jobsSnapshot = await db.collection('bots').doc(botId)
+      .collection('broadcasts')
+      .orderBy('createdAt', 'desc')
+      .limit(parseInt(limit))
+      .get();
+    
+    res.json({
+      broadcasts: jobsSnapshot.docs.map(doc => formatBroadcastProgress(doc.data()))
+    });
+    
+  } catch (error) {
+    console.error('Ошибка получения рассылок:', error);
+    res.status(500).json({ error: 'Внутренняя ошибка сервера' });
+  }
+});
+
+/**
+ * Получает прогресс рассылки
+ */
+app.get('/api/admin/bot/:botId/broadcasts/:jobId', requireBotRole('viewer'), async (req, res) => {
+  try {
+    const { botId, jobId } = req.params;
+    
+    const jobDoc = await db.collection('bots').doc(botId).collection('broadcasts').doc(jobId).get();
+    
+    if (!jobDoc.exists) {
+      return res.status(404).json({ error: 'Рассылка не найдена' });
+    }
+    
+    res.json(formatBroadcastProgress(jobDoc.data()));
+    
+  } catch (error) {
+    console.error('Ошибка получения прогресса рассылки:', error);
+    res.status(500).json({ error: 'Внутренняя ошибка сервера' });
+  }
+});
+
+/**
+ * Получает состояние получателей рассылки (например, только failed)
+ */
+app.get('/api/admin/bot/:botId/broadcasts/:jobId/recipients', requireBotRole('viewer'), async (req, res) => {
+  try {
+    const { botId, jobId } = req.params;
+    const { status, limit = 100 } = req.query;
+    
+    let query = db.collection('bots').doc(botId)
+      .collection('broadcasts').doc(jobId)
+      .collection('recipients');
+    
+    if (status) {
+      query = query.where('status', '==', status);
+    }
+    
+    const recipientsSnapshot = await query.limit(parseInt(limit)).get();
+    
+    res.json({
+      recipients: recipientsSnapshot.docs.map(doc => doc.data())
+    });
+    
+  } catch (error) {
+    console.error('Ошибка получения получателей рассылки:', error);
+    res.status(500).json({ error: 'Внутренняя ошибка сервера' });
+  }
+});
+
+/**
+ * Ставит рассылку на паузу, возобновляет или отменяет её
+ */
+app.post('/api/admin/bot/:botId/broadcasts/:jobId/:action', requireBotRole('editor'), async (req, res) => {
+  try {
+    const { botId, jobId, action } = req.params;
+    
+    if (!BROADCAST_TRANSITIONS[action]) {
+      return res.status(404).json({ error: 'Неизвестное действие' });
+    }
+    
+    const result = await changeBroadcastStatus(botId, jobId, action);
+    
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
+    
+    res.json({ success: true, status: result.status });
+    
+  } catch (error) {
+    console.error('Ошибка изменения статуса рассылки:', error);
+    res.status(500).json({ error: 'Внутренняя ошибка сервера' });
+  }
+});
+
+// Продолжаем незавершённые рассылки каждые 5 секунд
+setInterval(processBroadcastJobs, 5 * 1000);
+
+// === СЕГМЕНТЫ АУДИТОРИИ ===
+
+/**
+ * Получает список сохранённых сегментов
+ */
+app.get('/api/admin/bot/:botId/segments', requireBotRole('viewer'), async (req, res) => {
+  try {
+    const { botId } = req.params;
+    
+    const segmentsSnapshot = await db.collection('bots').doc(botId).collection('segments').get();
+    
+    res.json({
+      segments: segmentsSnapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }))
+    });
+    
+  } catch (error) {
+    console.error('Ошибка получения сегментов:', error);
+    res.status(500).json({ error: 'Внутренняя ошибка сервера' });
+  }
+});
+
+/**
+ * Создает сегмент
+ */
+app.post('/api/admin/bot/:botId/segments', requireBotRole('editor'), async (req, res) => {
+  try {
+    const { botId } = req.params;
+    const { name } = req.body;
+    
+    if (!name) {
+      return res.status(400).json({ error: 'Не указано название сегмента' });
+    }
+    
+    const { filters, error } = normalizeSegmentFilters(req.body.filters);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    
+    const segmentRef = await db.collection('bots').doc(botId).collection('segments').add({
+      name,
+      filters,
+      createdBy: req.user.uid,
+      createdAt: new Date().toISOString()
+    });
+    
+    res.json({ success: true, segmentId: segmentRef.id });
+    
+  } catch (error) {
+    console.error('Ошибка создания сегмента:', error);
+    res.status(500).json({ error: 'Внутренняя ошибка сервера' });
+  }
+});
+
+/**
+ * Обновляет сегмент
+ */
+app.put('/api/admin/bot/:botId/segments/:segmentId', requireBotRole('editor'), async (req, res) => {
+  try {
+    const { botId, segmentId } = req.params;
+    const { name } = req.body;
+    
+    const segmentRef = db.collection('bots').doc(botId).collection('segments').doc(segmentId);
+    const segmentDoc = await segmentRef.get();
+    
+    if (!segmentDoc.exists) {
+      return res.status(404).json({ error: 'Сегмент не найден' });
+    }
+    
+    const updates = { updatedAt: new Date().toISOString() };
+    
+    if (name !== undefined) {
+      updates.name = name;
+    }
+    
+    if (req.body.filters !== undefined) {
+      const { filters, error } = normalizeSegmentFilters(req.body.filters);
+      if (error) {
+        return res.status(400).json({ error });
+      }
+      updates.filters = filters;
+    }
+    
+    await segmentRef.update(updates);
+    
+    res.json({ success: true });
+    
+  } catch (error) {
+    console.error('Ошибка обновления сегмента:', error);
+    res.status(500).json({ error: 'Внутренняя ошибка сервера' });
+  }
+});
+
+/**
+ * Удаляет сегмент
+ */
+app.delete('/api/admin/bot/:botId/segments/:segmentId', requireBotRole('editor'), async (req, res) => {
+  try {
+    const { botId, segmentId } = req.params;
+    
+    await db.collection('bots').doc(botId).collection('segments').doc(segmentId).delete();
+    
+    res.json({ success: true });
+    
+  } catch (error) {
+    console.error('Ошибка удаления сегмента:', error);
+    res.status(500).json({ error: 'Внутренняя ошибка сервера' });
+  }
+});
+
+/**
+ * Оценивает размер аудитории по сохранённому сегменту (segmentId)
+ * или по фильтрам, которые ещё не сохранены (filters)
+ */
+app.post('/api/admin/bot/:botId/segments/count', requireBotRole('viewer'), async (req, res) => {
+  try {
+    const { botId } = req.params;
+    const { segmentId } = req.body;
+    
+    let filters;
+    
+    if (segmentId) {
+      const segmentDoc = await db.collection('bots').doc(botId).collection('segments').doc(segmentId).get();
+      
+      if (!segmentDoc.exists) {
+        return res.status(404).json({ error: 'Сегмент не найден' });
+      }
+      
+      filters = segmentDoc.data().filters;
+    } else {
+      const normalized = normalizeSegmentFilters(req.body.filters);
+      if (normalized.error) {
+        return res.status(400).json({ error: normalized.error });
+      }
+      filters = normalized.filters;
+    }
+    
+    const userIds = await resolveSegmentUserIds(botId, filters);
+    
+    res.json({ count: userIds.length, filters });
+    
+  } catch (error) {
+    console.error('Ошибка подсчёта аудитории:', error);
+    res.status(500).json({ error: 'Внутренняя ошибка сервера' });
+  }
+});
+
+// === КОМАНДЫ БОТА ===
+
+/**
+ * Получает команды бота: встроенные (с текстами по умолчанию) и пользовательские
+ */
+app.get('/api/admin/bot/:botId/commands', requireBotRole('viewer'), async (req, res) => {
+  try {
+    const { botId } = req.params;
+    
+    const commands = await listCommands(botId);
+    
+    res.json({ commands });
+    
+  } catch (error) {
+    console.error('Ошибка получения команд бота:', error);
+    res.status(500).json({ error: 'Внутренняя ошибка сервера' });
+  }
+});
+
+/**
+ * Создает или обновляет команду бота.
+ * Для встроенной команды заменяет текст ответа, для новой — задаёт ответ целиком
+ */
+app.put('/api/admin/bot/:botId/commands/:command', requireBotRole('editor'), async (req, res) => {
+  try {
+    const { botId } = req.params;
+    
+    const { command, error } = normalizeCommand(req.params.command, req.body);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    
+    await db.collection('bots').doc(botId).collection('commands').doc(command.command).set({
+      ...command,
+      updatedBy: req.user.uid,
+      updatedAt: new Date().toISOString()
+    });
+    
+    invalidateCommands(botId);
+    
+    res.json({ success: true, command });
+    
+  } catch (error) {
+    console.error('Ошибка сохранения команды бота:', error);
+    res.status(500).json({ error: 'Внутренняя ошибка сервера' });
+  }
+});
+
+/**
+ * Удаляет пользовательскую команду или возвращает встроенной текст по умолчанию
+ */
+app.delete('/api/admin/bot/:botId/commands/:command', requireBotRole('editor'), async (req, res) => {
+  try {
+    const { botId, command } = req.params;
+    
+    const commandRef = db.collection('bots').doc(botId).collection('commands').doc(command);
+    const commandDoc = await commandRef.get();
+    
+    if (!commandDoc.exists) {
+      return res.status(404).json({ error: 'Команда не найдена' });
+    }
+    
+    await commandRef.delete();
+    invalidateCommands(botId);
+    
+    res.json({ success: true });
+    
+  } catch (error) {
+    console.error('Ошибка удаления команды бота:', error);
+    res.status(500).json({ error: 'Внутренняя ошибка сервера' });
+  }
+});
+
+/**
+ * Публикует меню команд в Telegram (список, который видит пользователь по кнопке «Меню»)
+ */
+app.post('/api/admin/bot/:botId/commands/publish', requireBotRole('editor'), async (req, res) => {
+  try {
+    const { botId } = req.params;
+    
+    const botInstance = await getBotInstance(botId);
+    const commands = await publishCommandMenu(botId, botInstance);
+    
+    res.json({ success: true, commands });
+    
+  } catch (error) {
+    console.error('Ошибка публикации меню команд:', error);
+    res.status(500).json({ error: 'Внутренняя ошибка сервера' });
+  }
+});
+
+// === ШАБЛОНЫ И ЯЗЫКИ ===
+
+/**
+ * Получает все тексты, которые отправляет бэкенд: текст по умолчанию,
+ * доступные переменные и варианты бота по языкам
+ */
+app.get('/api/admin/bot/:botId/templates', requireBotRole('viewer'), async (req, res) => {
+  try {
+    const { botId } = req.params;
+    
+    const { defaultLocale, templates } = await listTemplates(botId);
+    
+    res.json({ defaultLocale, templates });
+    
+  } catch (error) {
+    console.error('Ошибка получения шаблонов:', error);
+    res.status(500).json({ error: 'Внутренняя ошибка сервера' });
+  }
+});
+
+/**
+ * Сохраняет варианты шаблона по языкам ({ variants: { ru, en, kk, ... } }).
+ * Пустой список вариантов возвращает текст по умолчанию
+ */
+app.put('/api/admin/bot/:botId/templates/:key', requireBotRole('editor'), async (req, res) => {
+  try {
+    const { botId, key } = req.params;
+    
+    const { variants, error } = normalizeTemplateVariants(key, req.body.variants);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    
+    const templateRef = db.collection('bots').doc(botId).collection('templates').doc(key);
+    
+    if (Object.keys(variants).length === 0) {
+      await templateRef.delete();
+    } else {
+      await templateRef.set({
+        key,
+        variants,
+        updatedBy: req.user.uid,
+        updatedAt: new Date().toISOString()
+      });
+    }
+    
+    invalidateTemplates(botId);
+    
+    res.json({ success: true, key, variants });
+    
+  } catch (error) {
+    console.error('Ошибка сохранения шаблона:', error);
+    res.status(500).json({ error: 'Внутренняя ошибка сервера' });
+  }
+});
+
+/**
+ * Показывает шаблон с примерами переменных.
+ * text — несохранённый текст для проверки, locale — язык сохранённого варианта
+ */
+app.post('/api/admin/bot/:botId/templates/:key/preview', requireBotRole('viewer'), async (req, res) => {
+  try {
+    const { botId, key } = req.params;
+    const { locale, text, variables } = req.body;
+    
+    const { error } = normalizeTemplateVariants(key, locale && text ? { [locale]: text } : {});
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    
+    const preview = await previewTemplate(botId, key, { locale, text, variables });
+    
+    res.json({ key, locale: locale || null, text: preview });
+    
+  } catch (error) {
+    console.error('Ошибка предпросмотра шаблона:', error);
+    res.status(500).json({ error: 'Внутренняя ошибка сервера' });
+  }
+});
+
+/**
+ * Обновляет язык бота по умолчанию: он используется, если для языка
+ * пользователя нет варианта шаблона, и для уведомлений в канал лидов
+ */
+app.put('/api/admin/bot/:botId/locale-settings', requireBotRole('editor'), async (req, res) => {
+  try {
+    const { botId } = req.params;
+    const { defaultLocale } = req.body;
+    
+    if (!LOCALE_PATTERN.test(defaultLocale || '')) {
+      return res.status(400).json({ error: 'Язык указывается двухбуквенным кодом, например ru или en' });
+    }
+    
+    await db.collection('bots').doc(botId).update({ defaultLocale });
+    invalidateTemplates(botId);
+    
+    res.json({ success: true, defaultLocale });
+    
+  } catch (error) {
+    console.error('Ошибка обновления языка бота:', error);
+    res.status(500).json({ error: 'Внутренняя ошибка сервера' });
+  }
+});
+
+// === ЦЕПОЧКИ СООБЩЕНИЙ ===
+
+/**
+ * Получает список цепочек бота
+ */
+app.get('/api/admin/bot/:botId/sequences', requireBotRole('viewer'), async (req, res) => {
+  try {
+    const { botId } = req.params;
+    
+    const sequencesSnapshot = await db.collection('bots').doc(botId).collection('sequences').get();
+    
+    res.json({
+      sequences: sequencesSnapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }))
+    });
+    
+  } catch (error) {
+    console.error('Ошибка получения цепочек:', error);
+    res.status(500).json({ error: 'Внутренняя ошибка сервера' });
+  }
+});
+
+/**
+ * Создает цепочку сообщений
+ */
+app.post('/api/admin/bot/:botId/sequences', requireBotRole('editor'), async (req, res) => {
+  try {
+    const { botId } = req.params;
+    
+    const { sequence, error } = normalizeSequence(req.body);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    
+    const sequenceRef = await db.collection('bots').doc(botId).collection('sequences').add({
+      ...sequence,
+      createdBy: req.user.uid,
+      createdAt: new Date().toISOString()
+    });
+    
+    res.json({ success: true, sequenceId: sequenceRef.id });
+    
+  } catch (error) {
+    console.error('Ошибка создания цепочки:', error);
+    res.status(500).json({ error: 'Внутренняя ошибка сервера' });
+  }
+});
+
+/**
+ * Обновляет цепочку. Пользователи, уже идущие по цепочке, получат новые шаги
+ */
+app.put('/api/admin/bot/:botId/sequences/:sequenceId', requireBotRole('editor'), async (req, res) => {
+  try {
+    const { botId, sequenceId } = req.params;
+    
+    const sequenceRef = db.collection('bots').doc(botId).collection('sequences').doc(sequenceId);
+    const sequenceDoc = await sequenceRef.get();
+    
+    if (!sequenceDoc.exists) {
+      return res.status(404).json({ error: 'Цепочка не найдена' });
+    }
+    
+    const { sequence, error } = normalizeSequence({ ...sequenceDoc.data(), ...req.body });
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    
+    await sequenceRef.update({
+      ...sequence,
+      updatedAt: new Date().toISOString()
+    });
+    
+    res.json({ success: true });
+    
+  } catch (error) {
+    console.error('Ошибка обновления цепочки:', error);
+    res.status(500).json({ error: 'Внутренняя ошибка сервера' });
+  }
+});
+
+/**
+ * Отключает цепочку. Шаги, которые ещё не отправлены, отправлены не будут
+ */
+app.delete('/api/admin/bot/:botId/sequences/:sequenceId', requireBotRole('editor'), async (req, res) => {
+  try {
+    const { botId, sequenceId } = req.params;
+    
+    const sequenceRef = db.collection('bots').doc(botId).collection('sequences').doc(sequenceId);
+    const sequenceDoc = await sequenceRef.get();
+    
+    if (!sequenceDoc.exists) {
+      return res.status(404).json({ error: 'Цепочка не найдена' });
+    }
+    
+    await sequenceRef.update({ isActive: false, updatedAt: new Date().toISOString() });
+    
+    res.json({ success: true });
+    
+  } catch (error) {
+    console.error('Ошибка отключения цепочки:', error);
+    res.status(500).json({ error: 'Внутренняя ошибка сервера' });
+  }
+});
+
+/**
+ * Получает участников цепочки и их прогресс
+ */
+app.get('/api/admin/bot/:botId/sequences/:sequenceId/enrollments', requireBotRole('viewer'), async (req, res) => {
+  try {
+    const { botId, sequenceId } = req.params;
+    const { status, limit = 100 } = req.query;
+    
+    let query = db.collection('bots').doc(botId)
+      .collection('sequenceEnrollments')
+      .where('sequenceId', '==', sequenceId);
+    
+    if (status) {
+      query = query.where('status', '==', status);
+    }
+    
+    const enrollmentsSnapshot = await query.limit(parseInt(limit)).get();
+    
+    res.json({
+      enrollments: enrollmentsSnapshot.docs.map(doc => doc.data())
+    });
+    
+  } catch (error) {
+    console.error('Ошибка получения участников цепочки:', error);
+    res.status(500).json({ error: 'Внутренняя ошибка сервера' });
+  }
+});
+
+// === ЛИДЫ ===
+
+/**
+ * Получает лиды бота с фильтрами по статусу, телефону и дубликатам
+ */
+app.get('/api/admin/bot/:botId/leads', requireBotRole('viewer'), async (req, res) => {
+  try {
+    const { botId } = req.params;
+    const { status, phone, duplicates, cursor } = req.query;
+    const limit = Math.min(parseInt(req.query.limit) || 100, 500);
+    
+    if (status && !LEAD_STATUSES.includes(status)) {
+      return res.status(400).json({ error: 'Неверный статус лида' });
+    }
+    
+    const leadsRef = db.collection('bots').doc(botId).collection('leads');
+    
+    // Новые лиды первыми
+    let query = leadsRef.orderBy('timestamp', 'desc');
+    
+    if (status) {
+      query = query.where('status', '==', status);
+    }
+    
+    if (phone) {
+      const botDoc = await db.collection('bots').doc(botId).get();
+      query = query.where('phone', '==', normalizePhone(phone, botDoc.data().phoneCountries) || phone);
+    }
+    
+    if (duplicates === 'true') {
+      query = query.where('isDuplicate', '==', true);
+    }
+    
+    if (cursor) {
+      const cursorDoc = await leadsRef.doc(cursor).get();
+      if (!cursorDoc.exists) {
+        return res.status(400).json({ error: 'Неверный курсор' });
+      }
+      query = query.startAfter(cursorDoc);
+    }
+    
+    const leadsSnapshot = await query.limit(limit).get();
+    const lastDoc = leadsSnapshot.docs[leadsSnapshot.docs.length - 1];
+    
+    res.json({
+      leads: leadsSnapshot.docs.map(doc => ({ leadId: doc.id, status: 'new', ...doc.data() })),
+      nextCursor: leadsSnapshot.size === limit ? lastDoc.id : null
+    });
+  
+  } catch (error) {
+    console.error('Ошибка получения лидов:', error);
+    res.status(500).json({ error: 'Внутренняя ошибка сервера' });
+  }
+});
+
+/**
+ * Меняет статус лида: new, contacted, prize_issued, rejected
+ */
+app.post('/api/admin/bot/:botId/leads/:leadId/status', requireBotRole('editor'), async (req, res) => {
+  try {
+    const { botId, leadId } = req.params;
+    const { status, comment } = req.body;
+    
+    if (!LEAD_STATUSES.includes(status)) {
+      return res.status(400).json({ error: 'Неверный статус лида' });
+    }
+    
+    const result = await changeLeadStatus(botId, leadId, status, {
+      changedBy: { uid: req.user.uid, email: req.user.email || '' },
+      comment
+    });
+    
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
+    
+    res.json({ success: true, status: result.status });
+  
+  } catch (error) {
+    console.error('Ошибка изменения статуса лида:', error);
+    res.status(500).json({ error: 'Внутренняя ошибка сервера' });
+  }
+});
+
+/**
+ * Получает историю изменений статуса лида
+ */
+app.get('/api/admin/bot/:botId/leads/:leadId/history', requireBotRole('viewer'), async (req, res) => {
+  try {
+    const { botId, leadId } = req.params;
+    
+    const historySnapshot = await db.collection('bots').doc(botId)
+      .collection('leads').doc(leadId)
+      .collection('history')
+      .orderBy('changedAt', 'desc')
+      .get();
+    
+    res.json({
+      history: historySnapshot.docs.map(doc => doc.data())
+    });
+  
+  } catch (error) {
+    console.error('Ошибка получения истории лида:', error);
+    res.status(500).json({ error: 'Внутренняя ошибка сервера' });
+  }
+});
+
+/**
+ * Обновляет страны, по правилам которых проверяются телефоны лидов
+ */
+app.put('/api/admin/bot/:botId/lead-settings', requireBotRole('editor'), async (req, res) => {
+  try {
+    const { botId } = req.params;
+    const { phoneCountries } = req.body;
+    
+    if (!Array.isArray(phoneCountries) || phoneCountries.length === 0 ||
+        phoneCountries.some(country => !PHONE_RULES[country])) {
+      return res.status(400).json({
+        error: `Укажите страны из списка: ${Object.keys(PHONE_RULES).join(', ')}`
+      });
+    }
+    
+    await db.collection('bots').doc(botId).update({ phoneCountries });
+    
+    res.json({ success: true, phoneCountries });
+  
+  } catch (error) {
+    console.error('Ошибка обновления настроек лидов:', error);
+    res.status(500).json({ error: 'Внутренняя ошибка сервера' });
+  }
+});
+
+// === ОБЯЗАТЕЛЬНЫЕ КАНАЛЫ ===
+
+/**
+ * Получает обязательные каналы бота: может ли бот проверять подписчиков,
+ * последняя ошибка проверки и число пользователей, подписку которых проверить не удалось
+ */
+app.get('/api/admin/bot/:botId/channels', requireBotRole('viewer'), async (req, res) => {
+  try {
+    const { botId } = req.params;
+    
+    const botInstance = await getBotInstance(botId);
+    const botDoc = await db.collection('bots').doc(botId).get();
+    const botData = botDoc.data();
+    const channelErrors = botData.channelErrors || {};
+    
+    const channels = await Promise.all(getRequiredChannels(botData).map(async (channel) => ({
+      ...channel,
+      ...(await checkBotChannelAccess(botInstance, channel.chatId)),
+      lastError: channelErrors[channel.chatId] || null
+    })));
+    
+    const unverifiedSnapshot = await db.collection('bots').doc(botId)
+      .collection('users')
+      .where('subscriptionStatus', '==', 'unknown')
+      .count()
+      .get();
+    
+    res.json({
+      channels,
+      unverifiedUsers: unverifiedSnapshot.data().count
+    });
+    
+  } catch (error) {
+    console.error('Ошибка получения каналов:', error);
+    res.status(500).json({ error: 'Внутренняя ошибка сервера' });
+  }
+});
+
+/**
+ * Обновляет список обязательных каналов.
+ * Для каналов без ссылки бот пробует создать пригласительную ссылку
+ */
+app.put('/api/admin/bot/:botId/channels', requireBotRole('editor'), async (req, res) => {
+  try {
+    const { botId } = req.params;
+    
+    const { channels, error } = normalizeChannels(req.body.channels);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    
+    const botInstance = await getBotInstance(botId);
+    
+    for (const channel of channels) {
+      if (!channel.inviteLink) {
+        try {
+          const invite = await botInstance.createChatInviteLink(channel.chatId);
+          channel.inviteLink = invite.invite_link;
+        } catch (inviteError) {
+          return res.status(400).json({
+            error: `Не удалось создать ссылку для ${channel.chatId}: укажите inviteLink или сделайте бота администратором`
+          });
+        }
+      }
+    }
+    
+    await db.collection('bots').doc(botId).update({
+      requiredChannels: channels,
+      channelErrors: {}
+    });
+    
+    res.json({ success: true, channels });
+    
+  } catch (error) {
+    console.error('Ошибка обновления каналов:', error);
+    res.status(500).json({ error: 'Внутренняя ошибка сервера' });
+  }
+});
+
+// === РЕФЕРАЛЫ ===
+
+/**
+ * Получает рефералов бота (например, status=review — ожидающие проверки)
+ */
+app.get('/api/admin/bot/:botId/referrals', requireBotRole('viewer'), async (req, res) => {
+  try {
+    const { botId } = req.params;
+    const { status, referrerId, cursor } = req.query;
+    const limit = Math.min(parseInt(req.query.limit) || 100, 500);
+    
+    if (status && !REFERRAL_STATUSES.includes(status)) {
+      return res.status(400).json({ error: 'Неверный статус реферала' });
+    }
+    
+    const referralsRef = db.collection('bots').doc(botId).collection('referrals');
+    
+    // Новые рефералы первыми
+    let query = referralsRef.orderBy('timestamp', 'desc');
+    
+    if (status) {
+      query = query.where('status', '==', status);
+    }
+    
+    if (referrerId) {
+      query = query.where('referrerId', '==', parseInt(referrerId));
+    }
+    
+    if (cursor) {
+      const cursorDoc = await referralsRef.doc(cursor).get();
+      if (!cursorDoc.exists) {
+        return res.status(400).json({ error: 'Неверный курсор' });
+      }
+      query = query.startAfter(cursorDoc);
+    }
+    
+    const referralsSnapshot = await query.limit(limit).get();
+    const lastDoc = referralsSnapshot.docs[referralsSnapshot.docs.length - 1];
+    
+    res.json({
+      referrals: referralsSnapshot.docs.map(doc => ({ referralId: doc.id, ...doc.data() })),
+      nextCursor: referralsSnapshot.size === limit ? lastDoc.id : null
+    });
+    
+  } catch (error) {
+    console.error('Ошибка получения рефералов:', error);
+    res.status(500).json({ error: 'Внутренняя ошибка сервера' });
+  }
+});
+
+/**
+ * Подтверждает реферала и начисляет награду (в том числе сверх дневного лимита)
+ */
+app.post('/api/admin/bot/:botId/referrals/:referralId/approve', requireBotRole('editor'), async (req, res) => {
+  try {
+    const { botId, referralId } = req.params;
+    
+    const botDoc = await db.collection('bots').doc(botId).get();
+    const referralRef = db.collection('bots').doc(botId).collection('referrals').doc(referralId);
+    
+    const result = await creditReferral(botId, botDoc.data(), referralRef, {
+      ignoreCap: true,
+      reviewedBy: req.user.uid
+    });
+    
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
+    
+    res.json({ success: true, credits: result.credits });
+    
+  } catch (error) {
+    console.error('Ошибка подтверждения реферала:', error);
+    res.status(500).json({ error: 'Внутренняя ошибка сервера' });
+  }
+});
+
+/**
+ * Отклоняет реферала: награда не начисляется
+ */
+app.post('/api/admin/bot/:botId/referrals/:referralId/reject', requireBotRole('editor'), async (req, res) => {
+  try {
+    const { botId, referralId } = req.params;
+    
+    const result = await rejectReferral(botId, referralId, req.user.uid);
+    
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
+    
+    res.json({ success: true });
+    
+  } catch (error) {
+    console.error('Ошибка отклонения реферала:', error);
+    res.status(500).json({ error: 'Внутренняя ошибка сервера' });
+  }
+});
+
+/**
+ * Обновляет правила реферальной программы: награды по уровням,
+ * дневной лимит на пригласившего и порог всплеска приглашений за час
+ */
+app.put('/api/admin/bot/:botId/referral-settings', requireBotRole('editor'), async (req, res) => {
+  try {
+    const { botId } = req.params;
+    const { referralRewards, referralDailyCap, referralBurstLimit } = req.body;
+    
+    if (!Array.isArray(referralRewards) || referralRewards.length === 0 ||
+        referralRewards.some(reward => !Number.isInteger(reward) || reward < 0)) {
+      return res.status(400).json({ error: 'Награды по уровням должны быть неотрицательными целыми числами' });
+    }
+    
+    for (const limit of [referralDailyCap, referralBurstLimit]) {
+      if (limit != null && (!Number.isInteger(limit) || limit < 1)) {
+        return res.status(400).json({ error: 'Лимиты должны быть положительными целыми числами' });
+      }
+    }
+    
+    const settings = {
+      referralRewards,
+      referralDailyCap: referralDailyCap || null,
+      referralBurstLimit: referralBurstLimit || null
+    };
+    
+    await db.collection('bots').doc(botId).update(settings);
+    
+    res.json({ success: true, ...settings });
+    
+  } catch (error) {
+    console.error('Ошибка обновления реферальной программы:', error);
+    res.status(500).json({ error: 'Внутренняя ошибка сервера' });
+  }
+});
+
+// === ПОПЫТКИ ===
+
+/**
+ * Получает баланс попыток пользователя и журнал начислений и списаний.
+ * Параметры: source, limit
+ */
+app.get('/api/admin/bot/:botId/users/:userId/attempts', requireBotRole('viewer'), async (req, res) => {
+  try {
+    const { botId, userId } = req.params;
+    const { source, cursor } = req.query;
+    const limit = Math.min(parseInt(req.query.limit) || 100, 500);
+    
+    if (source && !LEDGER_SOURCES.includes(source)) {
+      return res.status(400).json({ error: 'Неверный источник попыток' });
+    }
+    
+    const botDoc = await db.collection('bots').doc(botId).get();
+    const { attemptsGranted, attemptsUsed, attemptsLeft, bonusAttempts, referralsCount } =
+      await getUserAttempts(botId, botDoc.data(), userId);
+    
+    const ledgerRef = getLedgerRef(botId, userId);
+    
+    // Новые записи первыми
+    let query = ledgerRef.orderBy('createdAt', 'desc');
+    
+    if (source) {
+      query = query.where('source', '==', source);
+    }
+    
+    if (cursor) {
+      const cursorDoc = await ledgerRef.doc(cursor).get();
+      if (!cursorDoc.exists) {
+        return res.status(400).json({ error: 'Неверный курсор' });
+      }
+      query = query.startAfter(cursorDoc);
+    }
+    
+    const ledgerSnapshot = await query.limit(limit).get();
+    const lastDoc = ledgerSnapshot.docs[ledgerSnapshot.docs.length - 1];
+    
+    res.json({
+      userId: parseInt(userId),
+      attemptsGranted,
+      attemptsUsed,
+      attemptsLeft,
+      bonusAttempts,
+      referralsCount,
+      entries: ledgerSnapshot.docs.map(doc => doc.data()),
+      nextCursor: ledgerSnapshot.size === limit ? lastDoc.id : null
+    });
+    
+  } catch (error) {
+    console.error('Ошибка получения журнала попыток:', error);
+    res.status(500).json({ error: 'Внутренняя ошибка сервера' });
+  }
+});
+
+/**
+ * Начисляет или списывает попытки пользователя вручную.
+ * amount — положительное (начисление) или отрицательное (списание) целое число
+ */
+app.post('/api/admin/bot/:botId/users/:userId/attempts', requireBotRole('editor'), async (req, res) => {
+  try {
+    const { botId, userId } = req.params;
+    const { amount, comment } = req.body;
+    
+    if (!Number.isInteger(amount) || amount === 0) {
+      return res.status(400).json({ error: 'Количество попыток должно быть ненулевым целым числом' });
+    }
+    
+    if (!comment) {
+      return res.status(400).json({ error: 'Укажите причину корректировки' });
+    }
+    
+    const userDoc = await db.collection('bots').doc(botId).collection('users').doc(userId).get();
+    if (!userDoc.exists) {
+      return res.status(404).json({ error: 'Пользователь не найден' });
+    }
+    
+    const entryId = await adjustAttempts(botId, userId, {
+      amount,
+      comment,
+      createdBy: req.user.uid
+    });
+    
+    const botDoc = await db.collection('bots').doc(botId).get();
+    const { attemptsLeft } = await getUserAttempts(botId, botDoc.data(), userId);
+    
+    res.json({ success: true, entryId, attemptsLeft });
+    
+  } catch (error) {
+    console.error('Ошибка корректировки попыток:', error);
+    res.status(500).json({ error: 'Внутренняя ошибка сервера' });
+  }
+});
+
+/**
+ * Получает промокоды бота
+ */
+app.get('/api/admin/bot/:botId/promo-codes', requireBotRole('viewer'), async (req, res) => {
+  try {
+    const { botId } = req.params;
+    
+    const promoSnapshot = await db.collection('bots').doc(botId)
+      .collection('promoCodes')
+      .orderBy('createdAt', 'desc')
+      .get();
+    
+    const promoCodes = promoSnapshot.docs.map(doc => doc.data());
+    
+    res.json({ promoCodes });
+    
+  } catch (error) {
+    console.error('Ошибка получения промокодов:', error);
+    res.status(500).json({ error: 'Внутренняя ошибка сервера' });
+  }
+});
+
+/**
+ * Создает или обновляет промокод на дополнительные попытки
+ */
+app.post('/api/admin/bot/:botId/promo-codes', requireBotRole('editor'), async (req, res) => {
+  try {
+    const { botId } = req.params;
+    
+    const { promoCode, error } = normalizePromoCode(req.body);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    
+    const promoRef = db.collection('bots').doc(botId).collection('promoCodes').doc(promoCode.code);
+    const promoDoc = await promoRef.get();
+    const now = new Date().toISOString();
+    
+    await promoRef.set({
+      ...promoCode,
+      redemptions: promoDoc.exists ? (promoDoc.data().redemptions || 0) : 0,
+      createdBy: promoDoc.exists ? promoDoc.data().createdBy : req.user.uid,
+      createdAt: promoDoc.exists ? promoDoc.data().createdAt : now,
+      updatedAt: now
+    });
+    
+    res.json({ success: true, code: promoCode.code });
+    
+  } catch (error) {
+    console.error('Ошибка сохранения промокода:', error);
+    res.status(500).json({ error: 'Внутренняя ошибка сервера' });
+  }
+});
+
+/**
+ * Обновляет бонусы за активность: ежедневный бонус за вход
+ * и каналы, подписка на которые даёт дополнительные попытки
+ */
+app.put('/api/admin/bot/:botId/attempts-settings', requireBotRole('editor'), async (req, res) => {
+  try {
+    const { botId } = req.params;
+    const { dailyBonusAttempts = 0, bonusChannels = [] } = req.body;
+    
+    if (!Number.isInteger(dailyBonusAttempts) || dailyBonusAttempts < 0) {
+      return res.status(400).json({ error: 'Ежедневный бонус должен быть неотрицательным целым числом' });
+    }
+    
+    const { channels, error } = normalizeChannels(bonusChannels);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    
+    if (bonusChannels.some(channel => !Number.isInteger(channel.reward) || channel.reward < 1)) {
+      return res.status(400).json({ error: 'Награда за подписку должна быть положительным целым числом' });
+    }
+    
+    const settings = {
+      dailyBonusAttempts,
+      bonusChannels: channels.map((channel, index) => ({ ...channel, reward: bonusChannels[index].reward }))
+    };
+    
+    await db.collection('bots').doc(botId).update(settings);
+    
+    res.json({ success: true, ...settings });
+    
+  } catch (error) {
+    console.error('Ошибка обновления бонусов за активность:', error);
+    res.status(500).json({ error: 'Внутренняя ошибка сервера' });
+  }
+});
+
+// === КОДЫ ПРИЗОВ ===
+
+/**
+ * Проверяет код приза (для кассы или системы партнёра, ключ в заголовке X-Voucher-Key)
+ */
+app.get('/api/bot/:botId/vouchers/:code', requireVoucherKey, async (req, res) => {
+  try {
+    const { botId, code } = req.params;
+    
+    const voucher = await getVoucher(botId, code);
+    
+    if (!voucher) {
+      return res.status(404).json({ error: 'Код не найден' });
+    }
+    
+    res.json(voucher);
+    
+  } catch (error) {
+    console.error('Ошибка проверки кода:', error);
+    res.status(500).json({ error: 'Внутренняя ошибка сервера' });
+  }
+});
+
+/**
+ * Гасит код приза (для кассы или системы партнёра).
+ * location — необязательное название точки, где выдан приз
+ */
+app.post('/api/bot/:botId/vouchers/:code/redeem', requireVoucherKey, async (req, res) => {
+  try {
+    const { botId, code } = req.params;
+    const { location } = req.body;
+    
+    const result = await redeemVoucher(botId, code, location ? `partner:${location}` : 'partner');
+    
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error, voucher: result.voucher });
+    }
+    
+    emitWebhookEvent(botId, 'voucher.redeemed', result.voucher.code, result.voucher);
+    
+    res.json({ success: true, voucher: result.voucher });
+    
+  } catch (error) {
+    console.error('Ошибка погашения кода:', error);
+    res.status(500).json({ error: 'Внутренняя ошибка сервера' });
+  }
+});
+
+/**
+ * Получает коды призов со сводкой по статусам.
+ * Параметры: status, itemId, cursor (код последней записи предыдущей страницы), limit
+ */
+app.get('/api/admin/bot/:botId/vouchers', requireBotRole('viewer'), async (req, res) => {
+  try {
+    const { botId } = req.params;
+    const { status, itemId, cursor } = req.query;
+    const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+    
+    if (status && !VOUCHER_STATUSES.includes(status)) {
+      return res.status(400).json({ error: 'Неверный статус кода' });
+    }
+    
+    const vouchersRef = db.collection('bots').doc(botId).collection('vouchers');
+    let query = vouchersRef;
+    
+    if (status) {
+      query = query.where('status', '==', status);
+    }
+    
+    if (itemId) {
+      query = query.where('itemId', '==', itemId);
+    }
+    
+    // Сводка по статусам с учётом фильтра по призу
+    const summaryQuery = itemId ? vouchersRef.where('itemId', '==', itemId) : vouchersRef;
+    const counts = await Promise.all(VOUCHER_STATUSES.map(async (voucherStatus) =>
+      (await summaryQuery.where('status', '==', voucherStatus).count().get()).data().count
+    ));
+    
+    query = query.orderBy('createdAt', 'desc');
+    
+    if (cursor) {
+      const cursorDoc = await vouchersRef.doc(cursor).get();
+      if (!cursorDoc.exists) {
+        return res.status(400).json({ error: 'Неверный курсор' });
+      }
+      query = query.startAfter(cursorDoc);
+    }
+    
+    const vouchersSnapshot = await query.limit(limit).get();
+    const vouchers = vouchersSnapshot.docs.map(doc => doc.data());
+    const lastDoc = vouchersSnapshot.docs[vouchersSnapshot.docs.length - 1];
+    
+    res.json({
+      summary: Object.fromEntries(VOUCHER_STATUSES.map((voucherStatus, index) => [voucherStatus, counts[index]])),
+      vouchers,
+      nextCursor: vouchersSnapshot.size === limit ? lastDoc.id : null
+    });
+    
+  } catch (error) {
+    console.error('Ошибка получения кодов призов:', error);
+    res.status(500).json({ error: 'Внутренняя ошибка сервера' });
+  }
+});
+
+/**
+ * Загружает пул готовых кодов для приза (например, коды партнёра)
+ */
+app.post('/api/admin/bot/:botId/vouchers/pool', requireBotRole('editor'), async (req, res) => {
+  try {
+    const { botId } = req.params;
+    const { itemId, codes, expiresAt } = req.body;
+    
+    if (!itemId || !Array.isArray(codes)) {
+      return res.status(400).json({ error: 'Неверный формат данных' });
+    }
+    
+    if (expiresAt && isNaN(new Date(expiresAt).getTime())) {
+      return res.status(400).json({ error: 'Неверная дата окончания действия' });
+    }
+    
+    const result = await uploadVoucherPool(botId, itemId, codes, expiresAt ? new Date(expiresAt).toISOString() : null);
+    
+    if (result.error) {
+      return res.status(400).json({ error: result.error });
+    }
+    
+    res.json({ success: true, added: result.added, skipped: result.skipped });
+    
+  } catch (error) {
+    console.error('Ошибка загрузки пула кодов:', error);
+    res.status(500).json({ error: 'Внутренняя ошибка сервера' });
+  }
+});
+
+/**
+ * Гасит код приза из админки (например, кассиром с доступом к панели)
+ */
+app.post('/api/admin/bot/:botId/vouchers/:code/redeem', requireBotRole('editor'), async (req, res) => {
+  try {
+    const { botId, code } = req.params;
+    
+    const result = await redeemVoucher(botId, code, req.user.uid);
+    
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error, voucher: result.voucher });
+    }
+    
+    emitWebhookEvent(botId, 'voucher.redeemed', result.voucher.code, result.voucher);
+    
+    res.json({ success: true, voucher: result.voucher });
+    
+  } catch (error) {
+    console.error('Ошибка погашения кода:', error);
+    res.status(500).json({ error: 'Внутренняя ошибка сервера' });
+  }
+});
+
+/**
+ * Создает новый ключ доступа партнёра к кодам призов.
+ * Ключ показывается один раз, прежний ключ перестаёт действовать
+ */
+app.post('/api/admin/bot/:botId/voucher-key', requireBotRole('owner'), async (req, res) => {
+  try {
+    const { botId } = req.params;
+    
+    const key = crypto.randomBytes(24).toString('hex');
+    
+    await db.collection('bots').doc(botId).update({
+      voucherKeyHash: crypto.createHash('sha256').update(key).digest('hex'),
+      voucherKeyCreatedAt: new Date().toISOString(),
+      voucherKeyCreatedBy: req.user.uid
+    });
+    
+    res.json({ success: true, key });
+    
+  } catch (error) {
+    console.error('Ошибка создания ключа доступа:', error);
+    res.status(500).json({ error: 'Внутренняя ошибка сервера' });
+  }
+});
+
+// === РЕЙТИНГ И КОНКУРСЫ ===
+
+/**
+ * Получает рейтинг пригласивших за период: daily, weekly или campaign (с campaignId)
+ */
+app.get('/api/admin/bot/:botId/leaderboard', requireBotRole('viewer'), async (req, res) => {
+  try {
+    const { botId } = req.params;
+    const { period = 'weekly', campaignId, limit = 50 } = req.query;
+    
+    if (!LEADERBOARD_PERIODS.includes(period)) {
+      return res.status(400).json({ error: 'Неверный период рейтинга' });
+    }
+    
+    const botDoc = await db.collection('bots').doc(botId).get();
+    const range = await getPeriodRange(botId, botDoc.data(), period, campaignId);
+    
+    if (!range) {
+      return res.status(404).json({ error: 'Кампания не найдена' });
+    }
+    
+    const ranking = await computeLeaderboard(botId, range.from, range.to);
+    
+    res.json({
+      period,
+      from: range.from,
+      to: range.to,
+      participants: ranking.length,
+      leaderboard: await attachUserNames(botId, ranking.slice(0, parseInt(limit)))
+    });
+    
+  } catch (error) {
+    console.error('Ошибка получения рейтинга:', error);
+    res.status(500).json({ error: 'Внутренняя ошибка сервера' });
+  }
+});
+
+/**
+ * Получает конкурсы бота
+ */
+app.get('/api/admin/bot/:botId/contests', requireBotRole('viewer'), async (req, res) => {
+  try {
+    const { botId } = req.params;
+    
+    const contestsSnapshot = await db.collection('bots').doc(botId).collection('contests').get();
+    
+    res.json({
+      contests: contestsSnapshot.docs
+        .map(doc => doc.data())
+        .sort((a, b) => (a.createdAt < b.createdAt ? 1 : -1))
+    });
+    
+  } catch (error) {
+    console.error('Ошибка получения конкурсов:', error);
+    res.status(500).json({ error: 'Внутренняя ошибка сервера' });
+  }
+});
+
+/**
+ * Создает конкурс рефералов. Он закроется автоматически в момент endsAt
+ */
+app.post('/api/admin/bot/:botId/contests', requireBotRole('editor'), async (req, res) => {
+  try {
+    const { botId } = req.params;
+    
+    const { contest, error } = normalizeContest(req.body);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    
+    const contestId = await createContest(botId, contest, req.user.uid);
+    
+    res.json({ success: true, contestId });
+    
+  } catch (error) {
+    console.error('Ошибка создания конкурса:', error);
+    res.status(500).json({ error: 'Внутренняя ошибка сервера' });
+  }
+});
+
+/**
+ * Досрочно закрывает конкурс и подводит итоги
+ */
+app.post('/api/admin/bot/:botId/contests/:contestId/close', requireBotRole('editor'), async (req, res) => {
+  try {
+    const { botId, contestId } = req.params;
+    
+    const contestRef = db.collection('bots').doc(botId).collection('contests').doc(contestId);
+    const contestDoc = await contestRef.get();
+    
+    if (!contestDoc.exists) {
+      return res.status(404).json({ error: 'Конкурс не найден' });
+    }
+    
+    if (contestDoc.data().status !== 'active') {
+      return res.status(409).json({ error: 'Конкурс уже закрыт' });
+    }
+    
+    await closeContest({ botId, contestId });
+    
+    res.json((await contestRef.get()).data());
+    
+  } catch (error) {
+    console.error('Ошибка закрытия конкурса:', error);
+    res.status(500).json({ error: 'Внутренняя ошибка сервера' });
+  }
+});
+
+/**
+ * Получает архив итогов конкурса (полный рейтинг участников)
+ */
+app.get('/api/admin/bot/:botId/contests/:contestId/results', requireBotRole('viewer'), async (req, res) => {
+  try {
+    const { botId, contestId } = req.params;
+    
+    const resultsSnapshot = await db.collection('bots').doc(botId)
+      .collection('contests').doc(contestId)
+      .collection('results')
+      .orderBy('rank')
+      .get();
+    
+    res.json({
+      results: resultsSnapshot.docs.map(doc => doc.data())
+    });
+    
+  } catch (error) {
+    console.error('Ошибка получения итогов конкурса:', error);
+    res.status(500).json({ error: 'Внутренняя ошибка сервера' });
+  }
+});
+
+// === ВЕБХУКИ ===
+
+/**
+ * Получает подписки бота на вебхуки. Секрет не возвращается
+ */
+app.get('/api/admin/bot/:botId/webhooks', requireBotRole('viewer'), async (req, res) => {
+  try {
+    const { botId } = req.params;
+    
+    const webhooksSnapshot = await db.collection('bots').doc(botId).collection('webhooks').get();
+    
+    res.json({
+      webhooks: webhooksSnapshot.docs.map(doc => {
+        const { secret, ...webhook } = doc.data();
+        return webhook;
+      }),
+      events: WEBHOOK_EVENTS
+    });
+  
+  } catch (error) {
+    console.error('Ошибка получения вебхуков:', error);
+    res.status(500).json({ error: 'Внутренняя ошибка сервера' });
+  }
+});
+
+/**
+ * Создает подписку на вебхук. Секрет для проверки подписи возвращается один раз
+ */
+app.post('/api/admin/bot/:botId/webhooks', requireBotRole('editor'), async (req, res) => {
+  try {
+    const { botId } = req.params;
     
+    const { webhook, error } = normalizeWebhook(req.body);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    
+    const webhookRef = db.collection('bots').doc(botId).collection('webhooks').doc();
+    const secret = generateWebhookSecret();
+    
+    await webhookRef.set({
+      webhookId: webhookRef.id,
+      ...webhook,
+      secret,
+      createdBy: req.user.uid,
+      createdAt: new Date().toISOString()
+    });
+    
+    res.json({ success: true, webhookId: webhookRef.id, secret });
+  
   } catch (error) {
-    console.error('Ошибка проверки фолбэка:', error);
+    console.error('Ошибка создания вебхука:', error);
+    res.status(500).json({ error: 'Внутренняя ошибка сервера' });
   }
-}
+});
 
 /**
- * Фоновая задача для обработки просроченных фолбэков
+ * Обновляет подписку. С rotateSecret: true выдаёт новый секрет
  */
-async function processExpiredFallbacks() {
+app.put('/api/admin/bot/:botId/webhooks/:webhookId', requireBotRole('editor'), async (req, res) => {
   try {
-    const botsSnapshot = await db.collection('bots').get();
+    const { botId, webhookId } = req.params;
     
-    for (const botDoc of botsSnapshot.docs) {
-      const botId = botDoc.id;
-      
-      const expiredFallbacks = await db.collection('bots').doc(botId)
-        .collection('fallbacks')
-        .where('status', '==', 'pending')
-        .where('dueAt', '<=', new Date().toISOString())
-        .limit(10)
-        .get();
-      
-      for (const fallbackDoc of expiredFallbacks.docs) {
-        const fallbackData = fallbackDoc.data();
-        await checkFallback(botId, fallbackData.spinId);
+    const webhookRef = db.collection('bots').doc(botId).collection('webhooks').doc(webhookId);
+    const webhookDoc = await webhookRef.get();
+    
+    if (!webhookDoc.exists) {
+      return res.status(404).json({ error: 'Вебхук не найден' });
+    }
+    
+    const { webhook, error } = normalizeWebhook({ ...webhookDoc.data(), ...req.body });
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    
+    const updates = {
+      ...webhook,
+      updatedAt: new Date().toISOString()
+    };
+    
+    if (req.body.rotateSecret) {
+      updates.secret = generateWebhookSecret();
+    }
+    
+    await webhookRef.update(updates);
+    
+    res.json({ success: true, secret: updates.secret });
+  
+  } catch (error) {
+    console.error('Ошибка обновления вебхука:', error);
+    res.status(500).json({ error: 'Внутренняя ошибка сервера' });
+  }
+});
+
+/**
+ * Удаляет подписку. Недоставленные события по ней отменяются
+ */
+app.delete('/api/admin/bot/:botId/webhooks/:webhookId', requireBotRole('editor'), async (req, res) => {
+  try {
+    const { botId, webhookId } = req.params;
+    
+    const webhookRef = db.collection('bots').doc(botId).collection('webhooks').doc(webhookId);
+    const webhookDoc = await webhookRef.get();
+    
+    if (!webhookDoc.exists) {
+      return res.status(404).json({ error: 'Вебхук не найден' });
+    }
+    
+    await webhookRef.delete();
+    
+    res.json({ success: true });
+  
+  } catch (error) {
+    console.error('Ошибка удаления вебхука:', error);
+    res.status(500).json({ error: 'Внутренняя ошибка сервера' });
+  }
+});
+
+/**
+ * Получает доставки вебхуков (например, только failed)
+ */
+app.get('/api/admin/bot/:botId/webhook-deliveries', requireBotRole('viewer'), async (req, res) => {
+  try {
+    const { botId } = req.params;
+    const { webhookId, status, cursor } = req.query;
+    const limit = Math.min(parseInt(req.query.limit) || 100, 500);
+    
+    const deliveriesRef = db.collection('bots').doc(botId).collection('webhookDeliveries');
+    
+    // Новые доставки первыми
+    let query = deliveriesRef.orderBy('createdAt', 'desc');
+    
+    if (webhookId) {
+      query = query.where('webhookId', '==', webhookId);
+    }
+    
+    if (status) {
+      query = query.where('status', '==', status);
+    }
+    
+    if (cursor) {
+      const cursorDoc = await deliveriesRef.doc(cursor).get();
+      if (!cursorDoc.exists) {
+        return res.status(400).json({ error: 'Неверный курсор' });
       }
+      query = query.startAfter(cursorDoc);
+    }
+    
+    const deliveriesSnapshot = await query.limit(limit).get();
+    const lastDoc = deliveriesSnapshot.docs[deliveriesSnapshot.docs.length - 1];
+    
+    res.json({
+      deliveries: deliveriesSnapshot.docs.map(doc => doc.data()),
+      nextCursor: deliveriesSnapshot.size === limit ? lastDoc.id : null
+    });
+  
+  } catch (error) {
+    console.error('Ошибка получения доставок вебхуков:', error);
+    res.status(500).json({ error: 'Внутренняя ошибка сервера' });
+  }
+});
+
+/**
+ * Получает журнал попыток доставки
+ */
+app.get('/api/admin/bot/:botId/webhook-deliveries/:deliveryId/attempts', requireBotRole('viewer'), async (req, res) => {
+  try {
+    const { botId, deliveryId } = req.params;
+    
+    const attemptsSnapshot = await db.collection('bots').doc(botId)
+      .collection('webhookDeliveries').doc(deliveryId)
+      .collection('attempts')
+      .orderBy('attemptedAt')
+      .get();
+    
+    res.json({
+      attempts: attemptsSnapshot.docs.map(doc => doc.data())
+    });
+  
+  } catch (error) {
+    console.error('Ошибка получения попыток доставки:', error);
+    res.status(500).json({ error: 'Внутренняя ошибка сервера' });
+  }
+});
+
+/**
+ * Повторно отправляет доставку вебхука
+ */
+app.post('/api/admin/bot/:botId/webhook-deliveries/:deliveryId/replay', requireBotRole('editor'), async (req, res) => {
+  try {
+    const { botId, deliveryId } = req.params;
+    
+    if (!(await replayWebhookDelivery(botId, deliveryId))) {
+      return res.status(404).json({ error: 'Доставка не найдена' });
+    }
+    
+    res.json({ success: true });
+  
+  } catch (error) {
+    console.error('Ошибка повтора доставки вебхука:', error);
+    res.status(500).json({ error: 'Внутренняя ошибка сервера' });
+  }
+});
+
+// === ВЫГРУЗКИ ===
+
+/**
+ * Выгружает лиды, спины, пользователей или рефералов в CSV.
+ * Параметры: from, to (даты), columns (через запятую)
+ */
+app.get('/api/admin/bot/:botId/export/:type', requireBotRole('viewer'), async (req, res) => {
+  try {
+    const { botId, type } = req.params;
+    const { format = 'csv' } = req.query;
+    
+    if (format !== 'csv') {
+      return res.status(400).json({ error: 'Поддерживается только формат csv' });
+    }
+    
+    const { options, error } = normalizeExportOptions(type, req.query);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    
+    const fileName = `${botId}_${type}_${new Date().toISOString().slice(0, 10)}.csv`;
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="${fileName}"`);
+    
+    await streamCsvExport(botId, options, res);
+    
+  } catch (error) {
+    console.error('Ошибка выгрузки:', error);
+    
+    // Если выгрузка уже началась, ответ со статусом отправить нельзя
+    if (res.headersSent) {
+      return res.destroy(error);
     }
+    
+    res.status(500).json({ error: 'Внутренняя ошибка сервера' });
+  }
+});
+
+// === ФОЛБЭК СИСТЕМА ===
+
+// Задержка фолбэка по умолчанию, если у бота не задан fallbackDelayMinutes
+const DEFAULT_FALLBACK_DELAY_MINUTES = 2;
+
+/**
+ * Планирует отложенную отправку лида (фолбэк)
+ */
+async function scheduleFallbackLead(botId, spinId, userId, prize, username) {
+  try {
+    const botDoc = await db.collection('bots').doc(botId).get();
+    const delayMinutes = botDoc.data().fallbackDelayMinutes || DEFAULT_FALLBACK_DELAY_MINUTES;
+    const dueAt = new Date(Date.now() + delayMinutes * 60 * 1000).toISOString();
+    
+    const fallbackRef = db.collection('bots').doc(botId).collection('fallbacks').doc(spinId);
+    
+    await fallbackRef.set({
+      spinId,
+      userId,
+      prize,
+      username: username || '',
+      scheduledAt: new Date().toISOString(),
+      dueAt,
+      status: 'pending',
+      sent: false
+    });
+    
+    await scheduleJob('lead.fallback', { botId, spinId }, {
+      botId,
+      runAt: dueAt,
+      jobId: `fallback_${botId}_${spinId}`
+    });
+    
   } catch (error) {
-    console.error('Ошибка обработки просроченных фолбэков:', error);
+    console.error('Ошибка планирования фолбэка:', error);
   }
 }
 
-// Запускаем обработку фолбэков каждую минуту
-setInterval(processExpiredFallbacks, 60 * 1000);
+/**
+ * Проверяет и отправляет фолбэк лид.
+ * Ошибка отправки пробрасывается, чтобы планировщик повторил задачу
+ */
+async function checkFallback({ botId, spinId }) {
+  const fallbackRef = db.collection('bots').doc(botId).collection('fallbacks').doc(spinId);
+  const fallbackDoc = await fallbackRef.get();
+  
+  if (!fallbackDoc.exists) return;
+  
+  const fallbackData = fallbackDoc.data();
+  
+  if (fallbackData.sent) return;
+  
+  // Проверяем, был ли собран полный лид
+  const leadRef = db.collection('bots').doc(botId).collection('leads')
+    .where('spinId', '==', spinId)
+    .limit(1);
+  
+  const leadSnapshot = await leadRef.get();
+  
+  if (!leadSnapshot.empty) {
+    // Полный лид собран, удаляем фолбэк
+    await fallbackRef.delete();
+    return;
+  }
+  
+  // Фолбэк по недоступному пользователю не отправляем
+  const userDoc = await db.collection('bots').doc(botId)
+    .collection('users').doc(fallbackData.userId.toString())
+    .get();
+  
+  if (userDoc.exists && userDoc.data().isUnreachable) {
+    await fallbackRef.update({ status: 'skipped', skippedAt: new Date().toISOString() });
+    return;
+  }
+  
+  // Полный лид не собран, отправляем фолбэк
+  await emitWebhookEvent(botId, 'lead.fallback', spinId, {
+    spinId,
+    userId: fallbackData.userId,
+    username: fallbackData.username || '',
+    prize: fallbackData.prize
+  });
+  
+  const botDoc = await db.collection('bots').doc(botId).get();
+  const botData = botDoc.data();
+  
+  if (!botData.leadsChannel) {
+    await fallbackRef.update({ status: 'skipped', skippedAt: new Date().toISOString() });
+    return;
+  }
+  
+  const botInstance = await getBotInstance(botId);
+  const fallbackMessage = await renderText(botId, null, 'notify.fallback', {
+    bot_name: botData.name,
+    user_id: fallbackData.userId,
+    username: fallbackData.username || '—',
+    prize: fallbackData.prize,
+    spin_id: spinId
+  }, { html: true });
+  
+  await botInstance.sendMessage(botData.leadsChannel, fallbackMessage, { parse_mode: 'HTML' });
+  
+  // Отмечаем как отправленный
+  await fallbackRef.update({ 
+    sent: true, 
+    sentAt: new Date().toISOString(),
+    status: 'sent'
+  });
+}
 
-// === WEBHOOK ДЛЯ TELEGRAM ===
+registerJobHandler('lead.fallback', checkFallback);
 
 /**
- * Устанавливает webhook для бота
+ * Обновляет задержку фолбэка бота
  */
-app.post('/api/bot/:botId/webhook', async (req, res) => {
+app.put('/api/admin/bot/:botId/fallback-settings', requireBotRole('editor'), async (req, res) => {
   try {
     const { botId } = req.params;
-    const { url } = req.body;
+    const delayMinutes = parseInt(req.body.fallbackDelayMinutes);
     
-    const botInstance = await getBotInstance(botId);
-    await botInstance.setWebHook(url);
+    if (isNaN(delayMinutes) || delayMinutes < 1) {
+      return res.status(400).json({ error: 'Задержка фолбэка должна быть не меньше 1 минуты' });
+    }
+    
+    await db.collection('bots').doc(botId).update({ fallbackDelayMinutes: delayMinutes });
+    
+    res.json({ success: true, fallbackDelayMinutes: delayMinutes });
+    
+  } catch (error) {
+    console.error('Ошибка обновления настроек фолбэка:', error);
+    res.status(500).json({ error: 'Внутренняя ошибка сервера' });
+  }
+});
+
+// === ОТЛОЖЕННЫЕ ЗАДАЧИ ===
+
+/**
+ * Получает задачи бота, которые не удалось выполнить (dead-letter)
+ */
+app.get('/api/admin/bot/:botId/dead-letters', requireBotRole('viewer'), async (req, res) => {
+  try {
+    const { botId } = req.params;
+    
+    const deadLettersSnapshot = await db.collection('deadLetterJobs')
+      .where('botId', '==', botId)
+      .get();
+    
+    res.json({
+      jobs: deadLettersSnapshot.docs.map(doc => doc.data())
+    });
+    
+  } catch (error) {
+    console.error('Ошибка получения dead-letter задач:', error);
+    res.status(500).json({ error: 'Внутренняя ошибка сервера' });
+  }
+});
+
+/**
+ * Повторно ставит задачу из dead-letter в очередь
+ */
+app.post('/api/admin/bot/:botId/dead-letters/:jobId/retry', requireBotRole('editor'), async (req, res) => {
+  try {
+    const { botId, jobId } = req.params;
+    
+    const deadLetterDoc = await db.collection('deadLetterJobs').doc(jobId).get();
+    if (!deadLetterDoc.exists || deadLetterDoc.data().botId !== botId) {
+      return res.status(404).json({ error: 'Задача не найдена' });
+    }
+    
+    await retryDeadLetterJob(jobId);
     
     res.json({ success: true });
+    
+  } catch (error) {
+    console.error('Ошибка повтора задачи:', error);
+    res.status(500).json({ error: 'Внутренняя ошибка сервера' });
+  }
+});
+
+// Выполняем отложенные задачи каждые 10 секунд
+setInterval(processScheduledJobs, 10 * 1000);
+
+// === ОБНОВЛЕНИЯ TELEGRAM ===
+
+/**
+ * Получает способ приема обновлений бота и состояние вебхука в Telegram
+ */
+app.get('/api/bot/:botId/webhook', authenticate, requireBotRole('owner'), async (req, res) => {
+  try {
+    const { botId } = req.params;
+    
+    const botData = await getBotData(botId);
+    if (!botData) {
+      return res.status(404).json({ error: 'Бот не найден' });
+    }
+    
+    res.json(await getUpdatesStatus(botId, botData));
+  } catch (error) {
+    console.error('Ошибка получения состояния webhook:', error);
+    res.status(500).json({ error: 'Внутренняя ошибка сервера' });
+  }
+});
+
+/**
+ * Настраивает прием обновлений бота.
+ * mode = webhook (по умолчанию): вебхук <url>/webhook/<botId> с secret_token, url по умолчанию PUBLIC_URL;
+ * mode = polling: long polling для ботов без публичного адреса
+ */
+app.post('/api/bot/:botId/webhook', authenticate, requireBotRole('owner'), async (req, res) => {
+  try {
+    const { botId } = req.params;
+    const { mode = 'webhook', url = process.env.PUBLIC_URL } = req.body;
+    
+    if (mode === 'polling') {
+      await enablePolling(botId, handleTelegramUpdate);
+      return res.json({ success: true, updateMode: 'polling' });
+    }
+    
+    if (mode !== 'webhook') {
+      return res.status(400).json({ error: 'Неверный способ приема обновлений' });
+    }
+    
+    if (!url || !/^https:\/\//.test(url)) {
+      return res.status(400).json({ error: 'Укажите публичный https-адрес сервера' });
+    }
+    
+    const webhookUrl = await registerWebhook(botId, url);
+    
+    res.json({ success: true, updateMode: 'webhook', webhookUrl });
   } catch (error) {
     console.error('Ошибка установки webhook:', error);
     res.status(500).json({ error: 'Внутренняя ошибка сервера' });
@@ -813,14 +3512,13 @@ app.post('/api/bot/:botId/webhook', async (req, res) => {
 });
 
 /**
- * Получает обновления от Telegram
+ * Старый вебхук <url>/webhook/<botToken> без secret_token.
+ * Работает, пока бот не переведён на новый вебхук (см. migrateLegacyWebhooks)
  */
-app.post('/webhook/:botToken', async (req, res) => {
+app.post('/webhook/:botToken(\\d+:[A-Za-z0-9_-]+)', async (req, res) => {
   try {
     const { botToken } = req.params;
-    const update = req.body;
     
-    // Находим бота по токену (в реальном проекте нужно кэшировать)
     const botsSnapshot = await db.collection('bots')
       .where('botToken', '==', botToken)
       .limit(1)
@@ -830,8 +3528,57 @@ app.post('/webhook/:botToken', async (req, res) => {
       return res.status(404).json({ error: 'Бот не найден' });
     }
     
-    const botData = botsSnapshot.docs[0].data();
     const botId = botsSnapshot.docs[0].id;
+    const botData = botsSnapshot.docs[0].data();
+    
+    // После перевода на вебхук с секретом старый адрес больше не принимается
+    if (botData.webhookSecretHash) {
+      return res.status(401).json({ error: 'Неверный секрет webhook' });
+    }
+    
+    if (botData.status === 'paused') {
+      return res.json({ ok: true });
+    }
+    
+    await handleTelegramUpdate(botId, req.body);
+    
+    res.json({ ok: true });
+  } catch (error) {
+    console.error('Ошибка обработки webhook:', error);
+    res.status(500).json({ error: 'Внутренняя ошибка сервера' });
+  }
+});
+
+/**
+ * Получает обновления от Telegram.
+ * Запрос принимается, только если secret_token совпадает с выданным при регистрации вебхука
+ */
+app.post('/webhook/:botId', async (req, res) => {
+  try {
+    const { botId } = req.params;
+    const update = req.body;
+    
+    const secret = req.get(WEBHOOK_SECRET_HEADER);
+    
+    let botData = await getBotData(botId);
+    if (!botData) {
+      return res.status(404).json({ error: 'Бот не найден' });
+    }
+    
+    // Секрет мог смениться на другом экземпляре сервера (смена токена, возобновление):
+    // перед отказом данные бота перечитываются, но не чаще раза в WEBHOOK_SECRET_RECHECK_MS
+    if (!verifyWebhookSecret(botData, secret)) {
+      botData = await getBotData(botId, { maxAgeMs: WEBHOOK_SECRET_RECHECK_MS });
+      
+      if (!botData || !verifyWebhookSecret(botData, secret)) {
+        return res.status(401).json({ error: 'Неверный секрет webhook' });
+      }
+    }
+    
+    // Обновления, пришедшие до снятия вебхука, у приостановленного бота пропускаются
+    if (botData.status === 'paused') {
+      return res.json({ ok: true });
+    }
     
     // Обрабатываем обновление
     await handleTelegramUpdate(botId, update);
@@ -844,86 +3591,33 @@ app.post('/webhook/:botToken', async (req, res) => {
 });
 
 /**
- * Обрабатывает обновления от Telegram
+ * Обрабатывает обновления от Telegram (из вебхука и из polling)
  */
 async function handleTelegramUpdate(botId, update) {
   try {
     const botInstance = await getBotInstance(botId);
+    const botData = await getBotData(botId);
     
+    // Команды, кнопки и диалоги обрабатывает роутер команд бота
     if (update.message) {
-      const { chat, text, from } = update.message;
-      
-      // Обработка команды /start
-      if (text && text.startsWith('/start')) {
-        const referrerId = text.split(' ')[1];
-        const welcomeMessage = `
-🎉 Добро пожаловать!
-      
-Крутите колесо фортуны и выигрывайте призы!
-
-Для начала проверьте подписку на канал и нажмите /spin
-        `.trim();
-        
-        await botInstance.sendMessage(chat.id, welcomeMessage);
-        
-        // Сохраняем пользователя в базу
-        const userRef = db.collection('bots').doc(botId).collection('users').doc(from.id.toString());
-        await userRef.set({
-          userId: from.id,
-          username: from.username || '',
-          firstName: from.first_name || '',
-          lastName: from.last_name || '',
-          joinedAt: new Date().toISOString(),
-          updatedAt: new Date().toISOString()
-        }, { merge: true });
-        
-        // Обрабатываем реферала если есть
-        if (referrerId && referrerId !== from.id.toString()) {
-          const referralRef = db.collection('bots').doc(botId)
-            .collection('referrals')
-            .doc(`${referrerId}_${from.id}`);
-          
-          await referralRef.set({
-            referrerId: parseInt(referrerId),
-            referredId: from.id,
-            timestamp: new Date().toISOString(),
-            username: from.username || ''
-          }, { merge: true });
-        }
-      }
+      await handleMessage(botId, botInstance, botData, update.message);
+    } else if (update.callback_query) {
+      await handleCallbackQuery(botId, botInstance, botData, update.callback_query);
+    }
+    
+    // Пользователь подписался на обязательный канал или отписался от него
+    if (update.chat_member) {
+      await handleChatMemberUpdate(botId, botData, update.chat_member);
+    }
+    
+    // Пользователь заблокировал или разблокировал бота
+    if (update.my_chat_member && update.my_chat_member.chat.type === 'private') {
+      const { from, new_chat_member: newMember } = update.my_chat_member;
       
-      // Обработка команды /spin
-      else if (text === '/spin') {
-        const botDoc = await db.collection('bots').doc(botId).get();
-        const botData = botDoc.data();
-        
-        // Проверяем подписку
-        const isSubscribed = await checkSubscription(
-          botInstance, 
-          from.id, 
-          botData.subscriptionChannel
-        );
-        
-        if (!isSubscribed && botData.requireSubscription) {
-          await botInstance.sendMessage(chat.id, 
-            `📢 Пожалуйста, подпишитесь на наш канал: ${botData.subscriptionChannel}`
-          );
-          return;
-        }
-        
-        // Отправляем ссылку на веб-приложение
-        const webAppUrl = `${process.env.WEB_APP_URL}/wheel?bot=${botId}&user=${from.id}`;
-        const keyboard = {
-          inline_keyboard: [[{
-            text: '🎡 Крутить колесо',
-            web_app: { url: webAppUrl }
-          }]]
-        };
-        
-        await botInstance.sendMessage(chat.id, 
-          '🎡 Нажмите кнопку ниже, чтобы открыть колесо фортуны:',
-          { reply_markup: keyboard }
-        );
+      if (newMember.status === 'kicked') {
+        await markUserUnreachable(botId, from.id, 'blocked');
+      } else if (newMember.status === 'member') {
+        await markUserReachable(botId, from.id);
       }
     }
     
@@ -937,6 +3631,26 @@ app.listen(PORT, () => {
   console.log(`🚀 Сервер запущен на порту ${PORT}`);
   console.log(`📊 Подключено к Firebase`);
   console.log(`🤖 Готов к работе с множеством ботов`);
+  
+  // Боты без вебхука получают обновления через long polling
+  resumePolling(handleTelegramUpdate).catch(error => {
+    console.error('Ошибка запуска polling:', error);
+  });
+  
+  // Боты со старым вебхуком без secret_token регистрируются заново
+  migrateLegacyWebhooks().catch(error => {
+    console.error('Ошибка перевода старых вебхуков:', error);
+  });
+  
+  // Счётчики пользователей, записанных до учёта рефералов по уровням
+  scheduleCounterBackfill().catch(error => {
+    console.error('Ошибка планирования пересчёта счётчиков:', error);
+  });
+  
+  // Статусы лидов, сохранённых до появления статусов
+  scheduleLeadStatusBackfill().catch(error => {
+    console.error('Ошибка планирования заполнения статусов лидов:', error);
+  });
 });
 
 // Обработка ошибок
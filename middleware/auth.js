@@ -1,4 +1,12 @@
+const crypto = require('crypto');
 const admin = require('firebase-admin');
+const { renderText } = require('../services/templates');
+
+// Уровни ролей администраторов бота
+const ROLE_LEVELS = { viewer: 1, editor: 2, owner: 3 };
+
+// Максимальный возраст initData в секундах (по умолчанию сутки)
+const INIT_DATA_MAX_AGE = parseInt(process.env.TELEGRAM_INIT_DATA_MAX_AGE) || 24 * 60 * 60;
 
 /**
  * Middleware для проверки аутентификации
@@ -21,17 +29,12 @@ async function authenticate(req, res, next) {
 }
 
 /**
- * Middleware для проверки прав администратора
+ * Middleware для проверки прав администратора платформы.
+ * Используется после authenticate
  */
 async function requireAdmin(req, res, next) {
   try {
-    const { adminId } = req.body;
-    
-    if (!adminId) {
-      return res.status(400).json({ error: 'Не указан adminId' });
-    }
-    
-    const userDoc = await admin.firestore().collection('users').doc(adminId).get();
+    const userDoc = await admin.firestore().collection('users').doc(req.user.uid).get();
     
     if (!userDoc.exists || !userDoc.data().isAdmin) {
       return res.status(403).json({ error: 'Требуются права администратора' });
@@ -44,4 +47,181 @@ async function requireAdmin(req, res, next) {
   }
 }
 
-module.exports = { authenticate, requireAdmin };
+/**
+ * Возвращает роль пользователя в боте или null.
+ * Администратор платформы считается владельцем любого бота
+ */
+async function getBotRole(uid, botId) {
+  const db = admin.firestore();
+  const [userDoc, roleDoc] = await Promise.all([
+    db.collection('users').doc(uid).get(),
+    db.collection('bots').doc(botId).collection('admins').doc(uid).get()
+  ]);
+  
+  if (userDoc.exists && userDoc.data().isAdmin) {
+    return 'owner';
+  }
+  
+  return roleDoc.exists ? roleDoc.data().role : null;
+}
+
+/**
+ * Middleware для проверки роли в боте (owner, editor, viewer).
+ * Используется после authenticate
+ */
+function requireBotRole(role) {
+  return async function (req, res, next) {
+    try {
+      const botRole = await getBotRole(req.user.uid, req.params.botId);
+      
+      // Неизвестная роль (например, опечатка в документе администратора) доступа не дает
+      if (!(botRole in ROLE_LEVELS) || ROLE_LEVELS[botRole] < ROLE_LEVELS[role]) {
+        return res.status(403).json({ error: 'Доступ запрещен' });
+      }
+      
+      req.botRole = botRole;
+      next();
+    } catch (error) {
+      console.error('Ошибка проверки роли:', error);
+      res.status(500).json({ error: 'Внутренняя ошибка сервера' });
+    }
+  };
+}
+
+/**
+ * Middleware для проверки ключа партнёра, который проверяет и гасит коды призов
+ * (заголовок X-Voucher-Key). В боте хранится только SHA-256 хэш ключа
+ */
+async function requireVoucherKey(req, res, next) {
+  try {
+    const key = req.headers['x-voucher-key'];
+    
+    if (!key) {
+      return res.status(401).json({ error: 'Требуется ключ доступа' });
+    }
+    
+    const botDoc = await admin.firestore().collection('bots').doc(req.params.botId).get();
+    const keyHash = botDoc.exists ? botDoc.data().voucherKeyHash : null;
+    const actualHash = Buffer.from(crypto.createHash('sha256').update(String(key)).digest('hex'));
+    const expectedHash = Buffer.from(String(keyHash || ''));
+    
+    // timingSafeEqual бросает исключение на буферах разной длины (например, испорченный хэш)
+    if (!keyHash || actualHash.length !== expectedHash.length ||
+        !crypto.timingSafeEqual(actualHash, expectedHash)) {
+      return res.status(401).json({ error: 'Недействительный ключ доступа' });
+    }
+    
+    next();
+  } catch (error) {
+    console.error('Ошибка проверки ключа доступа:', error);
+    res.status(500).json({ error: 'Внутренняя ошибка сервера' });
+  }
+}
+
+/**
+ * Проверяет подпись initData Telegram Mini App.
+ * Возвращает разобранные данные или null, если подпись неверна или данные устарели
+ */
+function validateInitData(initData, botToken, maxAge = INIT_DATA_MAX_AGE) {
+  const params = new URLSearchParams(initData);
+  const hash = params.get('hash');
+
+  if (!hash) {
+    return null;
+  }
+
+  params.delete('hash');
+
+  const dataCheckString = [...params.entries()]
+    .sort(([a], [b]) => (a < b ? -1 : 1))
+    .map(([key, value]) => `${key}=${value}`)
+    .join('\n');
+
+  const secretKey = crypto.createHmac('sha256', 'WebAppData').update(botToken).digest();
+  const expectedHash = crypto.createHmac('sha256', secretKey).update(dataCheckString).digest('hex');
+
+  if (hash.length !== expectedHash.length ||
+      !crypto.timingSafeEqual(Buffer.from(hash), Buffer.from(expectedHash))) {
+    return null;
+  }
+
+  const authDate = parseInt(params.get('auth_date'));
+  if (!authDate || Date.now() / 1000 - authDate > maxAge) {
+    return null;
+  }
+
+  const user = params.get('user') ? JSON.parse(params.get('user')) : null;
+  if (!user || !user.id) {
+    return null;
+  }
+
+  return {
+    user,
+    authDate,
+    queryId: params.get('query_id'),
+    startParam: params.get('start_param')
+  };
+}
+
+/**
+ * Отвечает ошибкой проверки initData на языке бота по умолчанию
+ * (язык пользователя до проверки подписи неизвестен)
+ */
+async function sendInitDataError(req, res, status, code) {
+  let error;
+  try {
+    error = await renderText(req.params.botId, null, `error.${code}`);
+  } catch (renderError) {
+    // Без шаблона ответ всё равно отправляется, иначе запрос повиснет
+    console.error('Ошибка получения текста ошибки initData:', renderError);
+    error = 'Недействительные данные Telegram';
+  }
+  res.status(status).json({ error, code });
+}
+
+/**
+ * Middleware для проверки initData Telegram WebApp.
+ * Токен бота берётся из экземпляра, который возвращает getBotInstance
+ */
+function verifyTelegramInitData(getBotInstance) {
+  return async function (req, res, next) {
+    try {
+      const initData = req.headers['x-telegram-init-data'] || req.body?.initData;
+
+      if (!initData) {
+        return sendInitDataError(req, res, 401, 'init_data_required');
+      }
+
+      let botInstance;
+      try {
+        botInstance = await getBotInstance(req.params.botId);
+      } catch (error) {
+        return sendInitDataError(req, res, 404, 'bot_not_found');
+      }
+
+      const verified = validateInitData(initData, botInstance.token);
+
+      if (!verified) {
+        return sendInitDataError(req, res, 401, 'init_data_invalid');
+      }
+
+      req.telegramUser = verified.user;
+      req.telegramInitData = verified;
+      next();
+    } catch (error) {
+      console.error('Ошибка проверки initData:', error);
+      await sendInitDataError(req, res, 401, 'init_data_invalid');
+    }
+  };
+}
+
+module.exports = {
+  ROLE_LEVELS,
+  authenticate,
+  requireAdmin,
+  getBotRole,
+  requireBotRole,
+  requireVoucherKey,
+  verifyTelegramInitData,
+  validateInitData
+};
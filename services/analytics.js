@@ -0,0 +1,250 @@
+const admin = require('firebase-admin');
+
+const DEFAULT_TIMEZONE = 'Europe/Moscow';
+const MAX_RANGE_DAYS = 366;
+
+// Счётчики дневной статистики.
+// starts, subscriptions, spinners и leadUsers считают уникальных пользователей
+// (первый старт, первая подписка, первый спин, первый лид) и образуют воронку
+const DAILY_METRICS = ['starts', 'subscriptions', 'spins', 'spinners', 'leads', 'leadUsers', 'referrals'];
+
+const FUNNEL_STEPS = [
+  { step: 'start', metric: 'starts' },
+  { step: 'subscribed', metric: 'subscriptions' },
+  { step: 'spin', metric: 'spinners' },
+  { step: 'lead', metric: 'leadUsers' }
+];
+
+/**
+ * Проверяет, что часовой пояс известен Intl
+ */
+function isValidTimezone(timezone) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Возвращает дату (YYYY-MM-DD) в часовом поясе бота
+ */
+function getLocalDate(timezone, date = new Date()) {
+  // Локаль en-CA форматирует дату как YYYY-MM-DD
+  return new Intl.DateTimeFormat('en-CA', {
+    timeZone: timezone || DEFAULT_TIMEZONE,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit'
+  }).format(date);
+}
+
+/**
+ * Возвращает смещение часового пояса относительно UTC в миллисекундах
+ */
+function getTimezoneOffsetMs(timezone, date) {
+  const parts = {};
+  new Intl.DateTimeFormat('en-US', {
+    timeZone: timezone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit'
+  }).formatToParts(date).forEach(({ type, value }) => {
+    parts[type] = parseInt(value);
+  });
+
+  const asUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return asUtc - Math.floor(date.getTime() / 1000) * 1000;
+}
+
+/**
+ * Возвращает момент начала дня (YYYY-MM-DD) в часовом поясе бота как ISO-строку UTC
+ */
+function getLocalDayStart(timezone, localDate) {
+  const zone = timezone || DEFAULT_TIMEZONE;
+  const midnightUtc = new Date(`${localDate}T00:00:00Z`).getTime();
+  const guess = midnightUtc - getTimezoneOffsetMs(zone, new Date(midnightUtc));
+
+  // Повторно учитываем смещение на случай перехода на летнее время
+  return new Date(midnightUtc - getTimezoneOffsetMs(zone, new Date(guess))).toISOString();
+}
+
+/**
+ * Увеличивает дневные счётчики бота.
+ * prize — id или название выигранного приза
+ */
+async function recordDailyStats(botId, botData, counters, prize) {
+  try {
+    const { FieldValue } = admin.firestore;
+    const date = getLocalDate(botData.timezone);
+    const update = { date };
+
+    for (const [metric, value] of Object.entries(counters)) {
+      update[metric] = FieldValue.increment(value);
+    }
+
+    if (prize) {
+      update.prizes = { [prize]: FieldValue.increment(1) };
+    }
+
+    await admin.firestore().collection('bots').doc(botId)
+      .collection('dailyStats').doc(date)
+      .set(update, { merge: true });
+  } catch (error) {
+    console.error('Ошибка записи дневной статистики:', error);
+  }
+}
+
+/**
+ * Проверяет диапазон дат (YYYY-MM-DD, включительно).
+ * По умолчанию — последние 30 дней в часовом поясе бота
+ */
+function normalizeDateRange(botData, { from, to }) {
+  const datePattern = /^\d{4}-\d{2}-\d{2}$/;
+  const today = getLocalDate(botData.timezone);
+  const rangeTo = to || today;
+  const rangeFrom = from || shiftDate(rangeTo, -29);
+
+  if (!datePattern.test(rangeFrom) || !datePattern.test(rangeTo) ||
+      isNaN(new Date(rangeFrom).getTime()) || isNaN(new Date(rangeTo).getTime())) {
+    return { error: 'Даты должны быть в формате YYYY-MM-DD' };
+  }
+
+  if (rangeFrom > rangeTo) {
+    return { error: 'Начало периода позже конца' };
+  }
+
+  if (listDates(rangeFrom, rangeTo).length > MAX_RANGE_DAYS) {
+    return { error: `Период не может быть длиннее ${MAX_RANGE_DAYS} дней` };
+  }
+
+  return { from: rangeFrom, to: rangeTo };
+}
+
+/**
+ * Сдвигает дату YYYY-MM-DD на указанное число дней
+ */
+function shiftDate(date, days) {
+  const shifted = new Date(`${date}T00:00:00Z`);
+  shifted.setUTCDate(shifted.getUTCDate() + days);
+  return shifted.toISOString().slice(0, 10);
+}
+
+/**
+ * Возвращает все даты периода включительно
+ */
+function listDates(from, to) {
+  const dates = [];
+  for (let date = from; date <= to && dates.length <= MAX_RANGE_DAYS; date = shiftDate(date, 1)) {
+    dates.push(date);
+  }
+  return dates;
+}
+
+/**
+ * Получает дневную статистику за период. Дни без событий заполняются нулями
+ */
+async function getDailySeries(botId, from, to) {
+  const statsSnapshot = await admin.firestore().collection('bots').doc(botId)
+    .collection('dailyStats')
+    .where('date', '>=', from)
+    .where('date', '<=', to)
+    .get();
+
+  const statsByDate = new Map(statsSnapshot.docs.map(doc => [doc.id, doc.data()]));
+
+  return listDates(from, to).map(date => {
+    const stats = statsByDate.get(date) || {};
+    const day = { date, prizes: stats.prizes || {} };
+
+    DAILY_METRICS.forEach(metric => {
+      day[metric] = stats[metric] || 0;
+    });
+
+    return day;
+  });
+}
+
+/**
+ * Суммирует дневную статистику за период
+ */
+function sumSeries(series) {
+  const totals = { prizes: {} };
+
+  DAILY_METRICS.forEach(metric => {
+    totals[metric] = series.reduce((sum, day) => sum + day[metric], 0);
+  });
+
+  series.forEach(day => {
+    Object.entries(day.prizes).forEach(([prize, count]) => {
+      totals.prizes[prize] = (totals.prizes[prize] || 0) + count;
+    });
+  });
+
+  return totals;
+}
+
+/**
+ * Строит воронку start → subscribed → spin → lead с конверсией
+ * от первого шага и от предыдущего
+ */
+function buildFunnel(totals) {
+  const firstCount = totals[FUNNEL_STEPS[0].metric];
+
+  return FUNNEL_STEPS.map(({ step, metric }, index) => {
+    const count = totals[metric];
+    const previousCount = index > 0 ? totals[FUNNEL_STEPS[index - 1].metric] : count;
+
+    return {
+      step,
+      count,
+      conversionFromStart: firstCount > 0 ? count / firstCount : null,
+      conversionFromPrevious: previousCount > 0 ? count / previousCount : null
+    };
+  });
+}
+
+/**
+ * Сравнивает фактическую долю выигрышей каждого приза с долей по весам.
+ * Утешительный приз выпадает только когда остальные исчерпаны, поэтому веса у него нет
+ */
+function buildPrizeDistribution(wheelItems, prizeCounts) {
+  const totalWeight = wheelItems
+    .filter(item => !item.isConsolation)
+    .reduce((sum, item) => sum + (item.weight || 10), 0);
+  const totalWins = Object.values(prizeCounts).reduce((sum, count) => sum + count, 0);
+
+  return wheelItems.map(item => {
+    const wins = prizeCounts[item.id || item.label] || 0;
+
+    return {
+      id: item.id || null,
+      label: item.label,
+      weight: item.isConsolation ? null : (item.weight || 10),
+      configuredShare: item.isConsolation || totalWeight === 0 ? null : (item.weight || 10) / totalWeight,
+      wins,
+      actualShare: totalWins > 0 ? wins / totalWins : null,
+      isConsolation: !!item.isConsolation
+    };
+  });
+}
+
+module.exports = {
+  DEFAULT_TIMEZONE,
+  DAILY_METRICS,
+  isValidTimezone,
+  getLocalDate,
+  getLocalDayStart,
+  shiftDate,
+  recordDailyStats,
+  normalizeDateRange,
+  getDailySeries,
+  sumSeries,
+  buildFunnel,
+  buildPrizeDistribution
+};
@@ -0,0 +1,237 @@
+const admin = require('firebase-admin');
+const { getLocalDate } = require('./analytics');
+const { getChannelStatuses } = require('./subscriptions');
+
+// Источники записей журнала попыток.
+// Бонусные источники меняют userData.bonusAttempts, который входит в расчёт попыток.
+// Записи referral и spin — история: их влияние считается по referralCredits и счётчику спинов
+const LEDGER_SOURCES = ['daily_bonus', 'channel', 'admin', 'promo', 'referral', 'spin'];
+const BONUS_SOURCES = ['daily_bonus', 'channel', 'admin', 'promo'];
+
+/**
+ * Возвращает ссылку на журнал попыток пользователя
+ */
+function getLedgerRef(botId, userId) {
+  return admin.firestore().collection('bots').doc(botId)
+    .collection('users').doc(userId.toString())
+    .collection('attemptsLedger');
+}
+
+/**
+ * Добавляет запись в журнал внутри транзакции.
+ * Бонусная запись сразу меняет баланс бонусных попыток пользователя
+ */
+function writeLedgerEntry(transaction, botId, userId, entryId, { source, amount, reference, createdBy, comment }) {
+  const { FieldValue } = admin.firestore;
+  const entryRef = getLedgerRef(botId, userId).doc(entryId);
+
+  transaction.set(entryRef, {
+    entryId,
+    type: amount >= 0 ? 'credit' : 'debit',
+    source,
+    amount,
+    reference: reference || null,
+    createdBy: createdBy || null,
+    comment: comment || '',
+    createdAt: new Date().toISOString()
+  });
+
+  if (BONUS_SOURCES.includes(source)) {
+    transaction.set(entryRef.parent.parent, {
+      userId: parseInt(userId),
+      bonusAttempts: FieldValue.increment(amount)
+    }, { merge: true });
+  }
+}
+
+/**
+ * Начисляет попытки один раз на entryId.
+ * Возвращает false, если запись с таким id уже есть
+ */
+async function grantAttemptsOnce(botId, userId, entryId, entry) {
+  const db = admin.firestore();
+  const entryRef = getLedgerRef(botId, userId).doc(entryId);
+
+  return db.runTransaction(async (transaction) => {
+    const entryDoc = await transaction.get(entryRef);
+    if (entryDoc.exists) {
+      return false;
+    }
+
+    writeLedgerEntry(transaction, botId, userId, entryId, entry);
+    return true;
+  });
+}
+
+/**
+ * Начисляет ежедневный бонус за вход (botData.dailyBonusAttempts), раз в сутки по времени бота
+ */
+async function claimDailyBonus(botId, botData, userId) {
+  if (!botData.dailyBonusAttempts) {
+    return 0;
+  }
+
+  const today = getLocalDate(botData.timezone);
+  const granted = await grantAttemptsOnce(botId, userId, `daily_bonus_${today}`, {
+    source: 'daily_bonus',
+    amount: botData.dailyBonusAttempts,
+    reference: today
+  });
+
+  return granted ? botData.dailyBonusAttempts : 0;
+}
+
+/**
+ * Начисляет попытки за подписку на дополнительные каналы (botData.bonusChannels).
+ * За каждый канал награда выдаётся один раз
+ */
+async function claimChannelBonuses(botId, botInstance, botData, userId, userData) {
+  const bonusChannels = botData.bonusChannels || [];
+  if (bonusChannels.length === 0) {
+    return [];
+  }
+
+  const claimed = (userData && userData.claimedChannelBonuses) || [];
+  const pending = bonusChannels.filter(channel => !claimed.includes(channel.chatId));
+  const { statuses, updates } = await getChannelStatuses(botId, botInstance, pending, userId, userData);
+
+  const granted = [];
+
+  for (let i = 0; i < pending.length; i++) {
+    if (statuses[i] !== 'member') {
+      continue;
+    }
+
+    const channel = pending[i];
+    const isGranted = await grantAttemptsOnce(botId, userId, `channel_${channel.chatId}`, {
+      source: 'channel',
+      amount: channel.reward,
+      reference: channel.chatId
+    });
+
+    if (isGranted) {
+      granted.push({ chatId: channel.chatId, title: channel.title, reward: channel.reward });
+    }
+  }
+
+  const userUpdate = { userId: parseInt(userId) };
+
+  if (Object.keys(updates).length > 0) {
+    userUpdate.channelStatuses = updates;
+  }
+
+  if (granted.length > 0) {
+    userUpdate.claimedChannelBonuses = admin.firestore.FieldValue.arrayUnion(...granted.map(({ chatId }) => chatId));
+  }
+
+  await admin.firestore().collection('bots').doc(botId)
+    .collection('users').doc(userId.toString())
+    .set(userUpdate, { merge: true });
+
+  return granted;
+}
+
+/**
+ * Проверяет промокод. Возвращает { promoCode } или { error }
+ */
+function normalizePromoCode({ code, attempts, maxRedemptions, expiresAt, isActive }) {
+  if (!code || !/^[A-Za-z0-9_-]{3,32}$/.test(code)) {
+    return { error: 'Промокод должен состоять из 3-32 латинских букв, цифр, _ или -' };
+  }
+
+  if (!Number.isInteger(attempts) || attempts < 1) {
+    return { error: 'Количество попыток должно быть положительным целым числом' };
+  }
+
+  if (maxRedemptions != null && (!Number.isInteger(maxRedemptions) || maxRedemptions < 1)) {
+    return { error: 'Лимит активаций должен быть положительным целым числом' };
+  }
+
+  if (expiresAt && isNaN(new Date(expiresAt).getTime())) {
+    return { error: 'Неверная дата окончания действия' };
+  }
+
+  return {
+    promoCode: {
+      code: code.toUpperCase(),
+      attempts,
+      maxRedemptions: maxRedemptions || null,
+      expiresAt: expiresAt ? new Date(expiresAt).toISOString() : null,
+      isActive: isActive !== false
+    }
+  };
+}
+
+/**
+ * Активирует промокод: каждый пользователь может активировать код один раз,
+ * общее число активаций ограничено maxRedemptions.
+ * Ошибка возвращается как { error, code, status }, где code — ключ шаблона error.<code>
+ */
+async function redeemPromoCode(botId, userId, code) {
+  const db = admin.firestore();
+  const promoCode = String(code || '').trim().toUpperCase();
+  const promoRef = db.collection('bots').doc(botId).collection('promoCodes').doc(promoCode || '-');
+  const entryId = `promo_${promoCode}`;
+  const entryRef = getLedgerRef(botId, userId).doc(entryId);
+
+  return db.runTransaction(async (transaction) => {
+    const [promoDoc, entryDoc] = await Promise.all([transaction.get(promoRef), transaction.get(entryRef)]);
+
+    if (!promoDoc.exists || !promoDoc.data().isActive) {
+      return { error: 'Промокод не найден', code: 'promo_not_found', status: 404 };
+    }
+
+    const promo = promoDoc.data();
+
+    if (promo.expiresAt && promo.expiresAt < new Date().toISOString()) {
+      return { error: 'Срок действия промокода истёк', code: 'promo_expired', status: 410 };
+    }
+
+    if (entryDoc.exists) {
+      return { error: 'Промокод уже активирован', code: 'promo_redeemed', status: 409 };
+    }
+
+    if (promo.maxRedemptions && (promo.redemptions || 0) >= promo.maxRedemptions) {
+      return { error: 'Промокод больше не действует', code: 'promo_exhausted', status: 410 };
+    }
+
+    transaction.update(promoRef, { redemptions: (promo.redemptions || 0) + 1 });
+    writeLedgerEntry(transaction, botId, userId, entryId, {
+      source: 'promo',
+      amount: promo.attempts,
+      reference: promoCode
+    });
+
+    return { attempts: promo.attempts };
+  });
+}
+
+/**
+ * Корректирует попытки пользователя вручную (положительное или отрицательное число)
+ */
+async function adjustAttempts(botId, userId, { amount, comment, createdBy }) {
+  const db = admin.firestore();
+  const entryId = getLedgerRef(botId, userId).doc().id;
+
+  await db.runTransaction(async (transaction) => {
+    writeLedgerEntry(transaction, botId, userId, entryId, {
+      source: 'admin',
+      amount,
+      createdBy,
+      comment
+    });
+  });
+
+  return entryId;
+}
+
+module.exports = {
+  LEDGER_SOURCES,
+  getLedgerRef,
+  writeLedgerEntry,
+  claimDailyBonus,
+  claimChannelBonuses,
+  normalizePromoCode,
+  redeemPromoCode,
+  adjustAttempts
+};
@@ -0,0 +1,131 @@
+const admin = require('firebase-admin');
+const TelegramBot = require('node-telegram-bot-api');
+
+// ===== КЭШ БОТОВ =====
+// Экземпляры ботов: botId → { bot, token, usedAt }
+const botInstances = new Map();
+
+// Экземпляр бота, к которому не обращались дольше этого времени, удаляется из кэша
+const BOT_INSTANCE_IDLE_MS = 30 * 60 * 1000;
+
+// Данные ботов для обработки обновлений Telegram: botId → { botData, loadedAt }
+const botDataCache = new Map();
+const BOT_DATA_CACHE_TTL_MS = 60 * 1000;
+
+/**
+ * Получает данные бота из кэша или из базы данных.
+ * maxAgeMs ограничивает возраст кэша (например, чтобы перечитать сменившийся секрет).
+ * Возвращает null, если бота нет
+ */
+async function getBotData(botId, { maxAgeMs = BOT_DATA_CACHE_TTL_MS } = {}) {
+  const cached = botDataCache.get(botId);
+  if (cached && Date.now() - cached.loadedAt < maxAgeMs) {
+    return cached.botData;
+  }
+
+  const botDoc = await admin.firestore().collection('bots').doc(botId).get();
+  const botData = botDoc.exists ? botDoc.data() : null;
+
+  botDataCache.set(botId, { botData, loadedAt: Date.now() });
+  return botData;
+}
+
+/**
+ * Получает или создает экземпляр бота по токену.
+ * Токен сверяется с данными бота (кэш на BOT_DATA_CACHE_TTL_MS), поэтому после смены токена
+ * на другом экземпляре сервера старый экземпляр бота заменяется
+ */
+async function getBotInstance(botId) {
+  try {
+    const botData = await getBotData(botId);
+    if (!botData) {
+      throw new Error('Бот не найден');
+    }
+
+    const token = botData.botToken;
+
+    if (!token) {
+      throw new Error('Токен бота не найден');
+    }
+
+    // Проверяем кэш
+    const cached = botInstances.get(botId);
+    if (cached && cached.token === token) {
+      cached.usedAt = Date.now();
+      return cached.bot;
+    }
+
+    // Создаем экземпляр бота
+    const bot = new TelegramBot(token, { polling: false });
+    
+    // Сохраняем в кэш
+    botInstances.set(botId, { bot, token, usedAt: Date.now() });
+    
+    return bot;
+  } catch (error) {
+    console.error('Ошибка создания экземпляра бота:', error);
+    throw error;
+  }
+}
+
+/**
+ * Сбрасывает экземпляр и данные бота в кэше (после смены токена или настроек)
+ */
+function invalidateBot(botId) {
+  botInstances.delete(botId);
+  botDataCache.delete(botId);
+}
+
+/**
+ * Возвращает данные бота без секретов для публичных роутов
+ */
+function getPublicBotData(botData) {
+  const { botToken, voucherKeyHash, webhookSecretHash, ...publicData } = botData;
+  return publicData;
+}
+
+/**
+ * Удаляет из кэша экземпляры ботов, к которым давно не обращались,
+ * и устаревшие данные ботов (например, удалённых)
+ */
+function cleanupBotInstances() {
+  const now = Date.now();
+
+  for (const [botId, { usedAt }] of botInstances) {
+    if (now - usedAt > BOT_INSTANCE_IDLE_MS) {
+      botInstances.delete(botId);
+    }
+  }
+
+  for (const [botId, { loadedAt }] of botDataCache) {
+    if (now - loadedAt > BOT_DATA_CACHE_TTL_MS) {
+      botDataCache.delete(botId);
+    }
+  }
+}
+
+/**
+ * Генерирует реферальную ссылку
+ */
+function generateReferralLink(botUsername, userId) {
+  return `https://t.me/${botUsername}?start=${userId}`;
+}
+
+/**
+ * Формирует ссылку на веб-приложение колеса.
+ * baseUrl — адрес веб-приложения бота (botData.webAppUrl), по умолчанию WEB_APP_URL
+ */
+function getWebAppUrl(botId, userId, baseUrl) {
+  return `${baseUrl || process.env.WEB_APP_URL}/wheel?bot=${botId}&user=${userId}`;
+}
+
+module.exports = {
+  botInstances,
+  getBotInstance,
+  getBotData,
+  invalidateBot,
+  getPublicBotData,
+  cleanupBotInstances,
+  generateReferralLink,
+  getWebAppUrl
+};
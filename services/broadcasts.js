@@ -0,0 +1,571 @@
+const os = require('os');
+const admin = require('firebase-admin');
+const { getBotInstance } = require('./bots');
+const { waitForSendSlot, getRetryAfter, delayBot } = require('./throttle');
+const { getWheelConfig } = require('./wheel');
+const { getUnreachableReason, markUserUnreachable, filterReachableUserIds } = require('./users');
+const { resolveSegmentUserIds } = require('./segments');
+const {
+  hasPlaceholders,
+  buildRecipientVariables,
+  renderMessage,
+  sendRenderedMessage
+} = require('./messages');
+
+// Идентификатор экземпляра, который держит аренду задачи
+const WORKER_ID = `${os.hostname()}:${process.pid}`;
+const LEASE_MS = 60 * 1000;
+const BATCH_SIZE = 50;
+const MAX_ATTEMPTS = 3;
+
+// Сколько одна задача отправляет за проход воркера, чтобы не задерживать другие рассылки бота
+const JOB_SLICE_MS = 30 * 1000;
+
+// Переходы статусов задачи по командам администратора
+const TRANSITIONS = {
+  pause: { from: ['queued', 'running'], to: 'paused' },
+  resume: { from: ['paused'], to: 'queued' },
+  cancel: { from: ['preparing', 'queued', 'running', 'paused'], to: 'cancelled' }
+};
+
+let isProcessing = false;
+
+/**
+ * Возвращает аренду задачи, начинающуюся сейчас
+ */
+function getLeaseUntil() {
+  return new Date(Date.now() + LEASE_MS).toISOString();
+}
+
+/**
+ * Документ аренды отправки рассылок бота. Рассылки одного бота отправляет
+ * только экземпляр, держащий аренду, поэтому лимиты отправки из throttle.js
+ * (они хранятся в памяти процесса) соблюдаются и при нескольких экземплярах сервера
+ */
+function getSenderLockRef(botId) {
+  return admin.firestore().collection('bots').doc(botId).collection('locks').doc('broadcasts');
+}
+
+/**
+ * Захватывает или продлевает аренду отправки рассылок бота.
+ * Возвращает false, если аренду держит другой экземпляр
+ */
+async function claimSenderLock(botId) {
+  const lockRef = getSenderLockRef(botId);
+
+  return admin.firestore().runTransaction(async (transaction) => {
+    const lockDoc = await transaction.get(lockRef);
+    const lock = lockDoc.exists ? lockDoc.data() : {};
+
+    if (lock.leaseUntil > new Date().toISOString() && lock.leaseOwner !== WORKER_ID) {
+      return false;
+    }
+
+    transaction.set(lockRef, { leaseOwner: WORKER_ID, leaseUntil: getLeaseUntil() });
+    return true;
+  });
+}
+
+/**
+ * Освобождает аренду отправки, если она принадлежит этому экземпляру
+ */
+async function releaseSenderLock(botId) {
+  const lockRef = getSenderLockRef(botId);
+
+  await admin.firestore().runTransaction(async (transaction) => {
+    const lockDoc = await transaction.get(lockRef);
+
+    if (lockDoc.exists && lockDoc.data().leaseOwner === WORKER_ID) {
+      transaction.delete(lockRef);
+    }
+  });
+}
+
+/**
+ * Определяет получателей рассылки: выбранные пользователи (userIds)
+ * или пользователи сегмента (filters, пустые фильтры — все пользователи).
+ * Недоступные пользователи исключаются
+ */
+async function resolveAudience(botId, audience) {
+  const userIds = audience.userIds
+    ? await filterReachableUserIds(botId, audience.userIds)
+    : await resolveSegmentUserIds(botId, audience.filters || {});
+
+  return [...new Set(userIds.map(userId => userId.toString()))];
+}
+
+/**
+ * Записывает получателей и ставит задачу в очередь, если её не отменили за время подготовки.
+ * Запись идемпотентна, поэтому прерванную подготовку можно повторить
+ */
+async function prepareRecipients(botId, jobRef, audience) {
+  const db = admin.firestore();
+  const recipients = await resolveAudience(botId, audience);
+
+  for (let i = 0; i < recipients.length; i += 500) {
+    const batch = db.batch();
+    recipients.slice(i, i + 500).forEach(userId => {
+      batch.set(jobRef.collection('recipients').doc(userId), {
+        userId: parseInt(userId),
+        status: 'pending',
+        attempts: 0
+      });
+    });
+    // Большой список пишется долго: продлеваем аренду подготовки
+    batch.update(jobRef, { leaseUntil: getLeaseUntil() });
+    await batch.commit();
+  }
+
+  await db.runTransaction(async (transaction) => {
+    const job = (await transaction.get(jobRef)).data();
+
+    if (job.status !== 'preparing' || job.leaseOwner !== WORKER_ID) {
+      return;
+    }
+
+    transaction.update(jobRef, {
+      status: 'queued',
+      totalRecipients: recipients.length,
+      leaseOwner: null,
+      leaseUntil: null,
+      updatedAt: new Date().toISOString()
+    });
+  });
+
+  return recipients.length;
+}
+
+/**
+ * Создает задачу рассылки в статусе preparing. Получателей определяет и записывает
+ * фоновый воркер: для больших ботов это дольше HTTP-запроса.
+ * Аудитория сохраняется в задаче, чтобы подготовку можно было повторить после сбоя
+ */
+async function createBroadcastJob(botId, { message, media, buttons, attachRefLink, segmentId, filters, userIds, createdBy }) {
+  const db = admin.firestore();
+  const jobRef = db.collection('bots').doc(botId).collection('broadcasts').doc();
+  const audience = {
+    userIds: userIds ? userIds.map(userId => userId.toString()) : null,
+    filters: userIds ? null : (filters || {})
+  };
+  const now = new Date().toISOString();
+
+  await jobRef.set({
+    jobId: jobRef.id,
+    status: 'preparing',
+    message: message || '',
+    media: media || null,
+    buttons: buttons || null,
+    attachRefLink: !!attachRefLink,
+    segmentId: segmentId || null,
+    audience,
+    totalRecipients: 0,
+    sent: 0,
+    failed: 0,
+    createdBy,
+    createdAt: now,
+    updatedAt: now,
+    leaseOwner: null,
+    leaseUntil: null
+  });
+
+  return { jobId: jobRef.id };
+}
+
+/**
+ * Меняет статус задачи: pause, resume или cancel
+ */
+async function changeBroadcastStatus(botId, jobId, action) {
+  const db = admin.firestore();
+  const jobRef = db.collection('bots').doc(botId).collection('broadcasts').doc(jobId);
+  const transition = TRANSITIONS[action];
+
+  return db.runTransaction(async (transaction) => {
+    const jobDoc = await transaction.get(jobRef);
+
+    if (!jobDoc.exists || !jobDoc.data().status) {
+      return { error: 'Рассылка не найдена', status: 404 };
+    }
+
+    if (!transition.from.includes(jobDoc.data().status)) {
+      return { error: 'Недопустимое действие для текущего статуса', status: 409 };
+    }
+
+    const updates = {
+      status: transition.to,
+      updatedAt: new Date().toISOString(),
+      leaseOwner: null,
+      leaseUntil: null
+    };
+
+    if (transition.to === 'cancelled') {
+      updates.finishedAt = updates.updatedAt;
+    }
+
+    transaction.update(jobRef, updates);
+
+    return { status: transition.to };
+  });
+}
+
+/**
+ * Возвращает содержимое рассылки. Реферальная ссылка добавляется плейсхолдером
+ */
+function getBroadcastContent(job) {
+  let text = job.message || '';
+
+  if (job.attachRefLink) {
+    text += '\n\n🔗 Ваша реферальная ссылка: {{referral_link}}';
+  }
+
+  return {
+    text,
+    media: job.media || null,
+    buttons: job.buttons || null
+  };
+}
+
+/**
+ * Формирует прогресс задачи для ответа API
+ */
+function formatBroadcastProgress(job) {
+  return {
+    jobId: job.jobId,
+    status: job.status,
+    message: job.message,
+    media: job.media || null,
+    buttons: job.buttons || null,
+    segmentId: job.segmentId || null,
+    totalRecipients: job.totalRecipients,
+    sent: job.sent,
+    failed: job.failed,
+    unreachable: job.unreachable || 0,
+    uncertain: job.uncertain || 0,
+    pending: Math.max(0, job.totalRecipients - job.sent - job.failed - (job.uncertain || 0)),
+    createdBy: job.createdBy,
+    createdAt: job.createdAt,
+    startedAt: job.startedAt || null,
+    finishedAt: job.finishedAt || null
+  };
+}
+
+/**
+ * Захватывает аренду задачи, чтобы её не обрабатывали два экземпляра сразу.
+ * Задача в статусе preparing возвращается для подготовки получателей;
+ * подготовку, прерванную падением экземпляра, можно захватить после истечения аренды
+ */
+async function claimJob(jobRef) {
+  const db = admin.firestore();
+
+  return db.runTransaction(async (transaction) => {
+    const jobDoc = await transaction.get(jobRef);
+    const job = jobDoc.data();
+    const now = new Date().toISOString();
+
+    if (!['preparing', 'queued', 'running'].includes(job.status)) {
+      return false;
+    }
+
+    if (job.leaseUntil && job.leaseUntil > now && job.leaseOwner !== WORKER_ID) {
+      return false;
+    }
+
+    if (job.status === 'preparing') {
+      transaction.update(jobRef, { leaseOwner: WORKER_ID, leaseUntil: getLeaseUntil(), updatedAt: now });
+      return 'preparing';
+    }
+
+    transaction.update(jobRef, {
+      status: 'running',
+      leaseOwner: WORKER_ID,
+      leaseUntil: getLeaseUntil(),
+      startedAt: job.startedAt || now,
+      updatedAt: now
+    });
+
+    return 'running';
+  });
+}
+
+/**
+ * Продлевает аренду задачи и аренду отправки бота, если с прошлого продления прошла треть срока.
+ * Возвращает false, если задачу остановили или одну из аренд захватил другой экземпляр
+ */
+async function renewLease(context) {
+  if (Date.now() - context.leaseRenewedAt < LEASE_MS / 3) {
+    return true;
+  }
+
+  const db = admin.firestore();
+  const lockRef = getSenderLockRef(context.botId);
+  const isOwner = await db.runTransaction(async (transaction) => {
+    const job = (await transaction.get(context.jobRef)).data();
+    const lockDoc = await transaction.get(lockRef);
+
+    if (job.status !== 'running' || job.leaseOwner !== WORKER_ID) {
+      return false;
+    }
+
+    if (!lockDoc.exists || lockDoc.data().leaseOwner !== WORKER_ID) {
+      return false;
+    }
+
+    const leaseUntil = getLeaseUntil();
+    transaction.update(context.jobRef, { leaseUntil });
+    transaction.update(lockRef, { leaseUntil });
+    return true;
+  });
+
+  context.leaseRenewedAt = Date.now();
+  return isOwner;
+}
+
+/**
+ * Отправляет сообщение одному получателю и сохраняет результат.
+ * Перед отправкой получатель помечается sending: если результат не удалось сохранить,
+ * сообщение не отправляется повторно. Если аренда потеряна, сообщение не отправляется
+ * и context.leaseLost = true
+ */
+async function sendToRecipient(context, recipientDoc) {
+  const { botId, botInstance, botData, wheelConfig, job, jobRef } = context;
+  const { FieldValue } = admin.firestore;
+  const recipient = recipientDoc.data();
+  const now = new Date().toISOString();
+  const content = getBroadcastContent(job);
+  let isSent = false;
+
+  try {
+    // Данные пользователя загружаем, только если они нужны для подстановки
+    const variables = hasPlaceholders(content)
+      ? await buildRecipientVariables(botId, botData, recipient.userId, wheelConfig)
+      : { user_id: recipient.userId };
+
+    await waitForSendSlot(botId, recipient.userId);
+
+    // Ожидание после 429 может быть дольше аренды: проверяем её перед отправкой
+    if (!(await renewLease(context))) {
+      context.leaseLost = true;
+      return;
+    }
+
+    await recipientDoc.ref.update({ status: 'sending', sendingAt: now });
+    await sendRenderedMessage(botInstance, recipient.userId, renderMessage(botId, content, variables, botData.webAppUrl));
+    isSent = true;
+
+    const batch = admin.firestore().batch();
+    batch.update(recipientDoc.ref, { status: 'sent', sentAt: now, attempts: recipient.attempts + 1 });
+    batch.update(jobRef, { sent: FieldValue.increment(1), updatedAt: now });
+    await batch.commit();
+  } catch (error) {
+    // Сообщение доставлено, но результат не сохранён: получатель остаётся в статусе sending
+    // и при завершении задачи учитывается как uncertain
+    if (isSent) {
+      console.error(`Не удалось сохранить отправку рассылки получателю ${recipient.userId}:`, error);
+      return;
+    }
+
+    // 429: получатель остаётся в очереди, все отправки бота откладываются
+    const retryAfter = getRetryAfter(error);
+    if (retryAfter) {
+      delayBot(botId, retryAfter);
+      await recipientDoc.ref.update({ status: 'pending' });
+      return;
+    }
+
+    const attempts = recipient.attempts + 1;
+
+    // Ошибки Telegram API повторять бессмысленно, сетевые ошибки повторяем
+    if (error.code !== 'ETELEGRAM' && attempts < MAX_ATTEMPTS) {
+      await recipientDoc.ref.update({ status: 'pending', attempts, error: error.message });
+      return;
+    }
+
+    // Заблокировавшие бота больше не получают рассылки
+    const unreachableReason = getUnreachableReason(error);
+    if (unreachableReason) {
+      await markUserUnreachable(botId, recipient.userId, unreachableReason);
+    }
+
+    const batch = admin.firestore().batch();
+    batch.update(recipientDoc.ref, {
+      status: 'failed',
+      attempts,
+      error: error.message,
+      unreachable: !!unreachableReason,
+      failedAt: now
+    });
+    batch.update(jobRef, {
+      failed: FieldValue.increment(1),
+      unreachable: FieldValue.increment(unreachableReason ? 1 : 0),
+      updatedAt: now
+    });
+    await batch.commit();
+  }
+}
+
+/**
+ * Переводит получателей, отправка которым прервалась (статус sending), в статус uncertain:
+ * сообщение могло быть доставлено, поэтому повторно оно не отправляется.
+ * Возвращает общее число таких получателей задачи
+ */
+async function settleInterruptedSends(jobRef) {
+  const snapshot = await jobRef.collection('recipients')
+    .where('status', '==', 'sending')
+    .get();
+
+  for (let i = 0; i < snapshot.docs.length; i += 500) {
+    const batch = admin.firestore().batch();
+    snapshot.docs.slice(i, i + 500).forEach(doc => {
+      batch.update(doc.ref, { status: 'uncertain', error: 'Отправка прервана, сообщение могло быть доставлено' });
+    });
+    await batch.commit();
+  }
+
+  const uncertainSnapshot = await jobRef.collection('recipients')
+    .where('status', '==', 'uncertain')
+    .count()
+    .get();
+
+  return uncertainSnapshot.data().count;
+}
+
+/**
+ * Обрабатывает задачу пачками, пока она не завершится, не будет остановлена
+ * или не истечёт время прохода (тогда задача продолжится на следующем проходе)
+ */
+async function runJob(botId, jobRef) {
+  const botInstance = await getBotInstance(botId);
+  const botDoc = await admin.firestore().collection('bots').doc(botId).get();
+  const botData = botDoc.data();
+  const wheelConfig = await getWheelConfig(botId);
+  const sliceEndsAt = Date.now() + JOB_SLICE_MS;
+  const context = { botId, botInstance, botData, wheelConfig, jobRef, leaseRenewedAt: Date.now(), leaseLost: false };
+
+  while (Date.now() < sliceEndsAt) {
+    // Перечитываем задачу, чтобы заметить паузу или отмену
+    const job = (await jobRef.get()).data();
+    if (job.status !== 'running' || job.leaseOwner !== WORKER_ID) {
+      return;
+    }
+
+    const recipientsSnapshot = await jobRef.collection('recipients')
+      .where('status', '==', 'pending')
+      .limit(BATCH_SIZE)
+      .get();
+
+    if (recipientsSnapshot.empty) {
+      const uncertain = await settleInterruptedSends(jobRef);
+      const now = new Date().toISOString();
+      await jobRef.update({
+        status: 'completed',
+        uncertain,
+        finishedAt: now,
+        updatedAt: now,
+        leaseOwner: null,
+        leaseUntil: null
+      });
+      return;
+    }
+
+    context.job = job;
+    for (const recipientDoc of recipientsSnapshot.docs) {
+      await sendToRecipient(context, recipientDoc);
+
+      if (context.leaseLost) {
+        return;
+      }
+    }
+  }
+}
+
+/**
+ * Определяет и записывает получателей задачи (в том числе после сбоя во время подготовки).
+ * Задачи без сохранённой аудитории (созданные до её хранения) подготовить нельзя
+ */
+async function runPreparation(botId, jobRef) {
+  const job = (await jobRef.get()).data();
+
+  if (!job.audience) {
+    const now = new Date().toISOString();
+    await jobRef.update({
+      status: 'failed',
+      error: 'Подготовка рассылки прервана',
+      finishedAt: now,
+      updatedAt: now,
+      leaseOwner: null,
+      leaseUntil: null
+    });
+    return;
+  }
+
+  await prepareRecipients(botId, jobRef, job.audience);
+}
+
+/**
+ * Обрабатывает рассылки одного бота по очереди, начиная со старых.
+ * Бот обрабатывается, только пока этот экземпляр держит аренду отправки
+ */
+async function processBotJobs(botId, jobDocs) {
+  const sortedDocs = jobDocs.sort((a, b) => a.data().createdAt.localeCompare(b.data().createdAt));
+
+  try {
+    for (const jobDoc of sortedDocs) {
+      // Аренда продлевается перед каждой задачей: подготовка может быть долгой
+      if (!(await claimSenderLock(botId))) {
+        return;
+      }
+
+      try {
+        const claimed = await claimJob(jobDoc.ref);
+
+        if (claimed === 'preparing') {
+          await runPreparation(botId, jobDoc.ref);
+        } else if (claimed === 'running') {
+          await runJob(botId, jobDoc.ref);
+        }
+      } catch (error) {
+        console.error(`Ошибка обработки рассылки ${jobDoc.id}:`, error);
+      }
+    }
+  } finally {
+    await releaseSenderLock(botId).catch(error => {
+      console.error(`Ошибка освобождения аренды рассылок бота ${botId}:`, error);
+    });
+  }
+}
+
+/**
+ * Фоновая задача: находит незавершённые рассылки и продолжает их.
+ * После перезапуска аренда истекает, и задачу подхватывает любой экземпляр
+ */
+async function processBroadcastJobs() {
+  if (isProcessing) return;
+  isProcessing = true;
+
+  try {
+    const jobsSnapshot = await admin.firestore().collectionGroup('broadcasts')
+      .where('status', 'in', ['preparing', 'queued', 'running'])
+      .get();
+
+    const jobsByBot = new Map();
+    for (const jobDoc of jobsSnapshot.docs) {
+      const botId = jobDoc.ref.parent.parent.id;
+      jobsByBot.set(botId, [...(jobsByBot.get(botId) || []), jobDoc]);
+    }
+
+    // Боты обрабатываются параллельно: большая рассылка одного бота не задерживает других
+    await Promise.all([...jobsByBot].map(([botId, jobDocs]) => processBotJobs(botId, jobDocs)));
+  } catch (error) {
+    console.error('Ошибка обработки очереди рассылок:', error);
+  } finally {
+    isProcessing = false;
+  }
+}
+
+module.exports = {
+  TRANSITIONS,
+  createBroadcastJob,
+  changeBroadcastStatus,
+  getBroadcastContent,
+  formatBroadcastProgress,
+  processBroadcastJobs
+};
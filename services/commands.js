@@ -0,0 +1,543 @@
+const admin = require('firebase-admin');
+const { getWheelConfig, getUserAttempts } = require('./wheel');
+const {
+  validateMessageContent,
+  buildRecipientVariables,
+  renderMessage,
+  sendRenderedMessage
+} = require('./messages');
+const { getSubscriptionState } = require('./subscriptions');
+const { registerReferral } = require('./referrals');
+const { recordDailyStats } = require('./analytics');
+const { emitSequenceEvent } = require('./sequences');
+const { emitWebhookEvent } = require('./webhooks');
+const { getActiveContest, getPeriodRange, computeLeaderboard } = require('./leaderboard');
+const { createLead } = require('./leads');
+const { getTemplateText, renderText } = require('./templates');
+
+// Сколько хранятся в памяти настройки команд бота
+const COMMAND_CACHE_TTL_MS = 60 * 1000;
+
+// Через сколько незавершённый диалог сбрасывается
+const CONVERSATION_TTL_MS = 30 * 60 * 1000;
+
+// Telegram допускает в командах латиницу в нижнем регистре, цифры и _
+const COMMAND_PATTERN = /^[a-z0-9_]{1,32}$/;
+const DESCRIPTION_LIMIT = 256;
+
+// Встроенные команды. Текст ответа берётся из шаблона command.<имя> на языке пользователя,
+// в настройках команды его можно заменить своим сообщением
+const BUILTIN_COMMANDS = {
+  start: { description: 'Начать', run: runStart },
+  spin: { description: 'Крутить колесо', run: runSpin },
+  balance: { description: 'Мои попытки', run: runBalance },
+  ref: { description: 'Пригласить друга' },
+  prizes: { description: 'Призы', run: runPrizes },
+  rank: { description: 'Моё место в рейтинге', run: runRank },
+  lead: { description: 'Оставить контакты для получения приза', run: runLead },
+  help: { description: 'Помощь', run: runHelp }
+};
+
+const commandsCache = new Map();
+
+/**
+ * Загружает настройки команд бота (с кэшем в памяти)
+ */
+async function getCommandSettings(botId) {
+  const cached = commandsCache.get(botId);
+  if (cached && Date.now() - cached.loadedAt < COMMAND_CACHE_TTL_MS) {
+    return cached.commands;
+  }
+
+  const commandsSnapshot = await admin.firestore().collection('bots').doc(botId)
+    .collection('commands')
+    .get();
+
+  const commands = new Map(commandsSnapshot.docs.map(doc => [doc.id, doc.data()]));
+  commandsCache.set(botId, { commands, loadedAt: Date.now() });
+
+  return commands;
+}
+
+/**
+ * Сбрасывает кэш команд бота после изменения настроек
+ */
+function invalidateCommands(botId) {
+  commandsCache.delete(botId);
+}
+
+/**
+ * Возвращает все команды бота: встроенные с учётом настроек и пользовательские
+ */
+async function listCommands(botId) {
+  const settings = await getCommandSettings(botId);
+  const names = [...new Set([...Object.keys(BUILTIN_COMMANDS), ...settings.keys()])];
+
+  return names.map(name => {
+    const builtin = BUILTIN_COMMANDS[name];
+    const configured = settings.get(name) || {};
+
+    return {
+      command: name,
+      isBuiltin: !!builtin,
+      description: configured.description || (builtin ? builtin.description : ''),
+      content: configured.content || null,
+      template: builtin ? `command.${name}` : null,
+      isActive: configured.isActive !== false,
+      showInMenu: configured.showInMenu !== false && name !== 'start'
+    };
+  });
+}
+
+/**
+ * Проверяет настройки команды.
+ * Для встроенной команды текст необязателен (используется текст по умолчанию).
+ * Возвращает { command } или { error }
+ */
+function normalizeCommand(name, { description, content, isActive, showInMenu }) {
+  if (!COMMAND_PATTERN.test(name)) {
+    return { error: 'Команда может содержать только латинские буквы в нижнем регистре, цифры и _' };
+  }
+
+  const isBuiltin = !!BUILTIN_COMMANDS[name];
+
+  if (!content && !isBuiltin) {
+    return { error: 'Не указан ответ на команду' };
+  }
+
+  if (content) {
+    const contentError = validateMessageContent(content);
+    if (contentError) {
+      return { error: contentError };
+    }
+  }
+
+  if (description && String(description).length > DESCRIPTION_LIMIT) {
+    return { error: `Описание команды не может быть длиннее ${DESCRIPTION_LIMIT} символов` };
+  }
+
+  return {
+    command: {
+      command: name,
+      description: description || (isBuiltin ? BUILTIN_COMMANDS[name].description : name),
+      content: content ? { text: content.text || '', media: content.media || null, buttons: content.buttons || null } : null,
+      isActive: isActive !== false,
+      showInMenu: showInMenu !== false
+    }
+  };
+}
+
+/**
+ * Публикует меню команд бота в Telegram
+ */
+async function publishCommandMenu(botId, botInstance) {
+  const commands = (await listCommands(botId))
+    .filter(command => command.isActive && command.showInMenu)
+    .map(({ command, description }) => ({ command, description }));
+
+  await botInstance.setMyCommands(commands);
+
+  return commands;
+}
+
+/**
+ * Отправляет сообщение бота с подстановкой переменных пользователя
+ */
+async function sendContent(context, content, variables) {
+  const message = renderMessage(context.botId, content, variables, context.botData.webAppUrl);
+  return sendRenderedMessage(context.botInstance, context.chatId, message);
+}
+
+/**
+ * Отправляет текст шаблона на языке пользователя
+ */
+async function sendText(context, key, variables = {}, replyMarkup = null) {
+  const options = {};
+  if (replyMarkup) {
+    options.reply_markup = replyMarkup;
+  }
+
+  const text = await renderText(context.botId, context.languageCode, key, variables);
+  return context.botInstance.sendMessage(context.chatId, text, options);
+}
+
+/**
+ * Собирает ответ встроенной команды из шаблонов на языке пользователя
+ */
+async function getDefaultContent(context, name) {
+  const content = { text: await getTemplateText(context.botId, context.languageCode, `command.${name}`) };
+
+  if (name === 'spin') {
+    const buttonText = await getTemplateText(context.botId, context.languageCode, 'command.spin_button');
+    content.buttons = [[{ text: buttonText, webApp: true }]];
+  }
+
+  return content;
+}
+
+/**
+ * Выполняет команду: встроенный обработчик готовит переменные,
+ * затем отправляется текст команды (из настроек или по умолчанию)
+ */
+async function runCommand(context, name, args) {
+  const settings = await getCommandSettings(context.botId);
+  const builtin = BUILTIN_COMMANDS[name];
+  const configured = settings.get(name);
+
+  if ((!builtin && !configured) || (configured && configured.isActive === false)) {
+    return sendText(context, 'bot.unknown_command');
+  }
+
+  let extraVariables = {};
+  if (builtin && builtin.run) {
+    extraVariables = await builtin.run(context, args);
+
+    // Обработчик уже ответил сам (например, попросил подписаться)
+    if (extraVariables === null) {
+      return;
+    }
+  }
+
+  const variables = {
+    ...await buildRecipientVariables(context.botId, context.botData, context.userId),
+    ...extraVariables
+  };
+
+  const content = (configured && configured.content) || await getDefaultContent(context, name);
+  await sendContent(context, content, variables);
+}
+
+/**
+ * /start: сохраняет пользователя и записывает реферала
+ */
+async function runStart(context, [referrerId]) {
+  const { botId, botData, from } = context;
+  const userRef = admin.firestore().collection('bots').doc(botId).collection('users').doc(from.id.toString());
+  const userDoc = await userRef.get();
+  const isNewUser = !userDoc.exists || !userDoc.data().joinedAt;
+
+  const userUpdate = {
+    userId: from.id,
+    username: from.username || '',
+    firstName: from.first_name || '',
+    lastName: from.last_name || '',
+    languageCode: from.language_code || '',
+    updatedAt: new Date().toISOString()
+  };
+
+  // Дата регистрации не перезаписывается повторным /start
+  if (isNewUser) {
+    userUpdate.joinedAt = userUpdate.updatedAt;
+  }
+
+  // Фильтр списка пользователей по isUnreachable не видит документы без этого поля
+  if (!userDoc.exists || userDoc.data().isUnreachable === undefined) {
+    userUpdate.isUnreachable = false;
+  }
+
+  await userRef.set(userUpdate, { merge: true });
+
+  if (isNewUser) {
+    recordDailyStats(botId, botData, { starts: 1 });
+  }
+
+  emitSequenceEvent(botId, from.id, 'start');
+
+  // Реферал засчитывается только при самом первом /start пользователя. Документ пользователя
+  // может появиться раньше (например, из события канала), поэтому проверяется joinedAt
+  if (referrerId && isNewUser) {
+    const referral = await registerReferral(botId, botData, {
+      referrerId,
+      userId: from.id,
+      username: from.username
+    });
+
+    if (referral) {
+      emitWebhookEvent(botId, 'referral.created', referral.referralId, {
+        referrerId: referral.referrerId,
+        referredId: referral.referredId,
+        username: referral.username,
+        flags: referral.flags
+      });
+    }
+  }
+
+  return {};
+}
+
+/**
+ * /spin: проверяет подписку на обязательные каналы перед открытием колеса
+ */
+async function runSpin(context) {
+  const { botId, botInstance, botData, userId, userData } = context;
+
+  const { isSubscribed, channels } = await getSubscriptionState(botId, botInstance, botData, userId, userData);
+
+  if (!isSubscribed && botData.requireSubscription) {
+    const missingChannels = channels.filter(channel => channel.status === 'not_member');
+
+    await sendText(context, 'bot.subscribe_first', {}, {
+      inline_keyboard: missingChannels
+        .filter(channel => channel.inviteLink)
+        .map(channel => [{ text: channel.title, url: channel.inviteLink }])
+    });
+    return null;
+  }
+
+  return {};
+}
+
+/**
+ * /balance: остаток попыток и число приглашённых
+ */
+async function runBalance(context) {
+  const { referralsCount, bonusAttempts } = await getUserAttempts(context.botId, context.botData, context.userId);
+  return { referrals_count: referralsCount, bonus_attempts: bonusAttempts };
+}
+
+/**
+ * /prizes: список призов активной кампании
+ */
+async function runPrizes(context) {
+  const wheelConfig = await getWheelConfig(context.botId);
+  const prizes = wheelConfig.items
+    .filter(item => !item.isConsolation)
+    .map(item => `• ${item.label}`)
+    .join('\n');
+
+  return { prizes };
+}
+
+/**
+ * /rank: место в активном конкурсе или в рейтинге недели
+ */
+async function runRank(context) {
+  const { botId, botData, from } = context;
+  const contest = await getActiveContest(botId);
+
+  const range = contest
+    ? { from: contest.startsAt, to: contest.endsAt }
+    : await getPeriodRange(botId, botData, 'weekly');
+
+  const ranking = await computeLeaderboard(botId, range.from, range.to);
+  const entry = ranking.find(row => row.userId === from.id);
+
+  return {
+    rating_title: contest
+      ? await renderText(botId, context.languageCode, 'bot.rating_contest', { contest_name: contest.name })
+      : await renderText(botId, context.languageCode, 'bot.rating_week'),
+    place: entry
+      ? `${entry.rank} / ${ranking.length}`
+      : await renderText(botId, context.languageCode, 'bot.not_ranked'),
+    referrals: entry ? entry.referrals : 0
+  };
+}
+
+/**
+ * /lead: начинает диалог сбора контактов по последнему выигрышу без лида
+ */
+async function runLead(context) {
+  const { botId, userId } = context;
+
+  const spinsSnapshot = await admin.firestore().collection('bots').doc(botId)
+    .collection('spins')
+    .where('userId', '==', parseInt(userId))
+    .where('isLeadCollected', '==', false)
+    .get();
+
+  const lastSpin = spinsSnapshot.docs
+    .map(doc => doc.data())
+    .sort((a, b) => b.timestamp.localeCompare(a.timestamp))[0];
+
+  if (!lastSpin) {
+    await sendText(context, 'bot.no_spin_for_lead');
+    return null;
+  }
+
+  await setConversation(context, { flow: 'lead', step: 'name', spinId: lastSpin.spinId });
+
+  return { prize: lastSpin.prize };
+}
+
+/**
+ * /help: список команд из меню бота
+ */
+async function runHelp(context) {
+  const commands = (await listCommands(context.botId))
+    .filter(command => command.isActive && command.showInMenu)
+    .map(({ command, description }) => `/${command} — ${description}`)
+    .join('\n');
+
+  return { commands };
+}
+
+/**
+ * Сохраняет состояние диалога с пользователем
+ */
+async function setConversation(context, conversation) {
+  // update заменяет состояние целиком, а не сливает с предыдущим шагом
+  await admin.firestore().collection('bots').doc(context.botId)
+    .collection('users').doc(context.userId)
+    .update({
+      conversation: {
+        ...conversation,
+        expiresAt: new Date(Date.now() + CONVERSATION_TTL_MS).toISOString()
+      }
+    });
+}
+
+/**
+ * Завершает диалог с пользователем
+ */
+async function clearConversation(context) {
+  await admin.firestore().collection('bots').doc(context.botId)
+    .collection('users').doc(context.userId)
+    .update({ conversation: admin.firestore.FieldValue.delete() });
+}
+
+/**
+ * Продолжает диалог сбора контактов: сначала имя, затем телефон
+ */
+async function continueLeadConversation(context, message) {
+  const { botId, botData, from, userData } = context;
+  const { conversation } = userData;
+  const removeKeyboard = { remove_keyboard: true };
+
+  if (conversation.step === 'name') {
+    const name = (message.text || '').trim();
+
+    if (!name) {
+      return sendText(context, 'bot.ask_name');
+    }
+
+    if (name.length > 100) {
+      return sendText(context, 'bot.name_too_long');
+    }
+
+    await setConversation(context, { ...conversation, step: 'phone', name });
+
+    const buttonText = await renderText(botId, context.languageCode, 'bot.share_phone_button');
+
+    return sendText(context, 'bot.ask_phone', { name }, {
+      keyboard: [[{ text: buttonText, request_contact: true }]],
+      resize_keyboard: true,
+      one_time_keyboard: true
+    });
+  }
+
+  // Номер принимается только из своего контакта или текстом
+  const { contact } = message;
+  if (contact && contact.user_id !== from.id) {
+    return sendText(context, 'bot.foreign_contact');
+  }
+
+  const phone = contact ? contact.phone_number : (message.text || '').trim();
+
+  const result = await createLead(botId, botData, {
+    spinId: conversation.spinId,
+    userId: context.userId,
+    username: from.username,
+    name: conversation.name,
+    phone,
+    source: 'bot'
+  });
+
+  // Неверный номер можно ввести заново, остальные ошибки завершают диалог
+  if (result.error && result.status === 400) {
+    return sendText(context, `error.${result.code}`);
+  }
+
+  await clearConversation(context);
+
+  if (result.error) {
+    return sendText(context, `error.${result.code}`, {}, removeKeyboard);
+  }
+
+  return sendText(context, 'bot.lead_saved', { prize: result.lead.prize, name: result.lead.name }, removeKeyboard);
+}
+
+/**
+ * Собирает контекст обработки обновления от пользователя
+ */
+async function buildContext(botId, botInstance, botData, chat, from) {
+  const userDoc = await admin.firestore().collection('bots').doc(botId)
+    .collection('users').doc(from.id.toString())
+    .get();
+
+  return {
+    botId,
+    botInstance,
+    botData,
+    chatId: chat.id,
+    from,
+    languageCode: from.language_code,
+    userId: from.id.toString(),
+    userData: userDoc.exists ? userDoc.data() : null
+  };
+}
+
+/**
+ * Обрабатывает входящее сообщение: команду или ответ в активном диалоге
+ */
+async function handleMessage(botId, botInstance, botData, message) {
+  const { chat, from, text } = message;
+  if (!from || from.is_bot) {
+    return;
+  }
+
+  const context = await buildContext(botId, botInstance, botData, chat, from);
+  const conversation = context.userData && context.userData.conversation;
+  const isConversationActive = conversation && chat.type === 'private' &&
+    conversation.expiresAt > new Date().toISOString();
+
+  if (text && text.startsWith('/')) {
+    const [commandToken, ...args] = text.trim().split(/\s+/);
+    // В группах команда приходит как /command@bot_username
+    const name = commandToken.slice(1).split('@')[0].toLowerCase();
+
+    // Любая команда прерывает незавершённый диалог
+    if (conversation) {
+      await clearConversation(context);
+    }
+
+    if (name === 'cancel' && isConversationActive) {
+      return sendText(context, 'bot.cancelled', {}, { remove_keyboard: true });
+    }
+
+    return runCommand(context, name, args);
+  }
+
+  if (isConversationActive && conversation.flow === 'lead') {
+    return continueLeadConversation(context, message);
+  }
+}
+
+/**
+ * Обрабатывает нажатие inline-кнопки.
+ * callback_data вида /command выполняет команду так же, как сообщение
+ */
+async function handleCallbackQuery(botId, botInstance, botData, callbackQuery) {
+  const { id, data, from, message } = callbackQuery;
+
+  // Убираем индикатор загрузки на кнопке
+  await botInstance.answerCallbackQuery(id);
+
+  if (!message || !data || !data.startsWith('/')) {
+    return;
+  }
+
+  const context = await buildContext(botId, botInstance, botData, message.chat, from);
+  const [commandToken, ...args] = data.trim().split(/\s+/);
+
+  await runCommand(context, commandToken.slice(1).toLowerCase(), args);
+}
+
+module.exports = {
+  BUILTIN_COMMANDS,
+  listCommands,
+  normalizeCommand,
+  invalidateCommands,
+  publishCommandMenu,
+  handleMessage,
+  handleCallbackQuery
+};
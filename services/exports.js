@@ -0,0 +1,159 @@
+const admin = require('firebase-admin');
+
+const PAGE_SIZE = 500;
+
+// Выгружаемые коллекции: поле id документа, поле даты для фильтра и колонки по умолчанию
+const EXPORT_TYPES = {
+  leads: {
+    collection: 'leads',
+    idField: 'leadId',
+    dateField: 'timestamp',
+    columns: ['leadId', 'spinId', 'userId', 'username', 'name', 'phone', 'prize', 'status',
+      'isDuplicate', 'timestamp', 'statusChangedAt']
+  },
+  spins: {
+    collection: 'spins',
+    idField: 'spinId',
+    dateField: 'timestamp',
+    columns: ['spinId', 'userId', 'username', 'prize', 'prizeId', 'isConsolation', 'campaignId',
+      'configVersion', 'isLeadCollected', 'timestamp']
+  },
+  users: {
+    collection: 'users',
+    dateField: 'joinedAt',
+    columns: ['userId', 'username', 'firstName', 'lastName', 'totalSpins', 'lastPrize', 'isSubscribed',
+      'isUnreachable', 'joinedAt', 'lastSpin']
+  },
+  referrals: {
+    collection: 'referrals',
+    dateField: 'timestamp',
+    columns: ['referrerId', 'referredId', 'username', 'timestamp']
+  }
+};
+
+/**
+ * Экранирует значение для CSV. Значения, которые табличный редактор
+ * выполнил бы как формулу, предваряются апострофом
+ */
+function toCsvValue(value) {
+  if (value === undefined || value === null) {
+    return '';
+  }
+
+  let text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+
+  if (/^[=@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+
+  return /[",\r\n;]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Проверяет параметры выгрузки.
+ * Возвращает { options } или { error }
+ */
+function normalizeExportOptions(type, { from, to, columns }) {
+  const exportType = EXPORT_TYPES[type];
+  if (!exportType) {
+    return { error: `Неизвестный тип выгрузки. Доступны: ${Object.keys(EXPORT_TYPES).join(', ')}` };
+  }
+
+  for (const date of [from, to]) {
+    if (date && isNaN(new Date(date).getTime())) {
+      return { error: 'Неверный формат даты' };
+    }
+  }
+
+  const selectedColumns = columns ? String(columns).split(',').map(column => column.trim()).filter(Boolean) : [];
+  const unknownColumn = selectedColumns.find(column => !exportType.columns.includes(column));
+  if (unknownColumn) {
+    return { error: `Неизвестная колонка: ${unknownColumn}` };
+  }
+
+  return {
+    options: {
+      ...exportType,
+      from: from ? new Date(from).toISOString() : null,
+      to: to ? new Date(to).toISOString() : null,
+      columns: selectedColumns.length > 0 ? selectedColumns : exportType.columns
+    }
+  };
+}
+
+/**
+ * Записывает строку в поток с учётом backpressure.
+ * Если клиент отключился, ожидание тоже завершается
+ */
+async function writeChunk(res, chunk) {
+  if (res.write(chunk)) {
+    return;
+  }
+
+  await new Promise(resolve => {
+    const done = () => {
+      res.off('drain', done);
+      res.off('close', done);
+      resolve();
+    };
+    res.on('drain', done);
+    res.on('close', done);
+  });
+}
+
+/**
+ * Выгружает коллекцию бота в CSV постранично через курсор Firestore.
+ * Без фильтра по дате документы упорядочены по id, чтобы в выгрузку
+ * попали и записи без поля даты
+ */
+async function streamCsvExport(botId, options, res) {
+  const { FieldPath } = admin.firestore;
+  const collectionRef = admin.firestore().collection('bots').doc(botId).collection(options.collection);
+  const hasDateFilter = options.from || options.to;
+
+  let query = hasDateFilter ? collectionRef.orderBy(options.dateField) : collectionRef.orderBy(FieldPath.documentId());
+
+  if (options.from) {
+    query = query.where(options.dateField, '>=', options.from);
+  }
+
+  if (options.to) {
+    query = query.where(options.dateField, '<=', options.to);
+  }
+
+  // BOM нужен, чтобы Excel открыл кириллицу в UTF-8
+  await writeChunk(res, '\uFEFF' + options.columns.join(',') + '\r\n');
+
+  let lastDoc = null;
+
+  while (!res.destroyed) {
+    const pageQuery = lastDoc ? query.startAfter(lastDoc).limit(PAGE_SIZE) : query.limit(PAGE_SIZE);
+    const pageSnapshot = await pageQuery.get();
+
+    if (pageSnapshot.empty) {
+      break;
+    }
+
+    const rows = pageSnapshot.docs.map(doc => {
+      const data = options.idField ? { [options.idField]: doc.id, ...doc.data() } : doc.data();
+      return options.columns.map(column => toCsvValue(data[column])).join(',');
+    });
+
+    await writeChunk(res, rows.join('\r\n') + '\r\n');
+
+    if (pageSnapshot.size < PAGE_SIZE) {
+      break;
+    }
+
+    lastDoc = pageSnapshot.docs[pageSnapshot.docs.length - 1];
+  }
+
+  res.end();
+}
+
+module.exports = {
+  EXPORT_TYPES,
+  toCsvValue,
+  normalizeExportOptions,
+  streamCsvExport
+};
@@ -0,0 +1,291 @@
+const admin = require('firebase-admin');
+const { getBotInstance } = require('./bots');
+const { getLocalDate, getLocalDayStart, shiftDate } = require('./analytics');
+const { registerJobHandler, scheduleJob } = require('./scheduler');
+const { getUnreachableReason, markUserUnreachable } = require('./users');
+const { renderTemplate } = require('./messages');
+const { renderText } = require('./templates');
+
+const LEADERBOARD_PERIODS = ['daily', 'weekly', 'campaign'];
+
+// Если экземпляр упал, не дойдя до конца, закрытие можно повторить после этой паузы
+const CLOSING_TIMEOUT_MS = 5 * 60 * 1000;
+
+/**
+ * Возвращает границы периода рейтинга [from, to) в часовом поясе бота.
+ * Неделя начинается с понедельника
+ */
+async function getPeriodRange(botId, botData, period, campaignId) {
+  const today = getLocalDate(botData.timezone);
+
+  if (period === 'daily') {
+    return {
+      from: getLocalDayStart(botData.timezone, today),
+      to: getLocalDayStart(botData.timezone, shiftDate(today, 1))
+    };
+  }
+
+  if (period === 'weekly') {
+    const weekday = (new Date(`${today}T00:00:00Z`).getUTCDay() + 6) % 7;
+    const monday = shiftDate(today, -weekday);
+
+    return {
+      from: getLocalDayStart(botData.timezone, monday),
+      to: getLocalDayStart(botData.timezone, shiftDate(monday, 7))
+    };
+  }
+
+  const campaignDoc = await admin.firestore().collection('bots').doc(botId)
+    .collection('campaigns').doc(campaignId || '')
+    .get();
+
+  if (!campaignDoc.exists) {
+    return null;
+  }
+
+  const campaign = campaignDoc.data();
+  return { from: campaign.startsAt || null, to: campaign.endsAt || null };
+}
+
+/**
+ * Строит рейтинг пригласивших по засчитанным рефералам за период [from, to).
+ * При равенстве выше тот, кто набрал результат раньше
+ */
+async function computeLeaderboard(botId, from, to) {
+  const db = admin.firestore();
+  const botRef = db.collection('bots').doc(botId);
+
+  let query = botRef.collection('referrals').where('status', '==', 'credited');
+
+  if (from) {
+    query = query.where('creditedAt', '>=', from);
+  }
+
+  if (to) {
+    query = query.where('creditedAt', '<', to);
+  }
+
+  const referralsSnapshot = await query.get();
+  const standings = new Map();
+
+  referralsSnapshot.docs.forEach(doc => {
+    const { referrerId, creditedAt } = doc.data();
+    const entry = standings.get(referrerId) || { userId: referrerId, referrals: 0, reachedAt: '' };
+
+    entry.referrals += 1;
+    if (creditedAt > entry.reachedAt) {
+      entry.reachedAt = creditedAt;
+    }
+
+    standings.set(referrerId, entry);
+  });
+
+  const ranking = [...standings.values()]
+    .sort((a, b) => b.referrals - a.referrals || (a.reachedAt < b.reachedAt ? -1 : 1))
+    .map((entry, index) => ({ rank: index + 1, ...entry }));
+
+  return ranking;
+}
+
+/**
+ * Добавляет к строкам рейтинга username и имя пользователей
+ */
+async function attachUserNames(botId, rows) {
+  if (rows.length === 0) {
+    return rows;
+  }
+
+  const db = admin.firestore();
+  const usersRef = db.collection('bots').doc(botId).collection('users');
+  const userDocs = await db.getAll(...rows.map(row => usersRef.doc(row.userId.toString())));
+
+  return rows.map((row, index) => {
+    const userData = userDocs[index].exists ? userDocs[index].data() : {};
+    return {
+      ...row,
+      username: userData.username || '',
+      firstName: userData.firstName || '',
+      languageCode: userData.languageCode || ''
+    };
+  });
+}
+
+/**
+ * Проверяет настройки конкурса.
+ * Возвращает { contest } или { error }
+ */
+function normalizeContest({ name, startsAt, endsAt, winnersCount, winnerMessage }) {
+  if (!name) {
+    return { error: 'Не указано название конкурса' };
+  }
+
+  if (!startsAt || !endsAt || isNaN(new Date(startsAt).getTime()) || isNaN(new Date(endsAt).getTime())) {
+    return { error: 'Не указаны даты начала и окончания конкурса' };
+  }
+
+  const contest = {
+    name,
+    startsAt: new Date(startsAt).toISOString(),
+    endsAt: new Date(endsAt).toISOString(),
+    winnersCount: parseInt(winnersCount) || 3,
+    // Без своего текста победитель получает шаблон contest.winner на своём языке
+    winnerMessage: winnerMessage || null
+  };
+
+  if (contest.startsAt >= contest.endsAt) {
+    return { error: 'Конкурс должен заканчиваться позже, чем начинается' };
+  }
+
+  if (contest.winnersCount < 1) {
+    return { error: 'Количество победителей должно быть положительным' };
+  }
+
+  return { contest };
+}
+
+/**
+ * Создает конкурс и планирует его автоматическое закрытие в момент окончания
+ */
+async function createContest(botId, contest, createdBy) {
+  const contestRef = admin.firestore().collection('bots').doc(botId).collection('contests').doc();
+
+  await contestRef.set({
+    contestId: contestRef.id,
+    ...contest,
+    status: 'active',
+    winners: [],
+    createdBy,
+    createdAt: new Date().toISOString()
+  });
+
+  await scheduleJob('contest.close', { botId, contestId: contestRef.id }, {
+    botId,
+    runAt: contest.endsAt,
+    jobId: `contest_${botId}_${contestRef.id}`
+  });
+
+  return contestRef.id;
+}
+
+/**
+ * Отправляет победителю уведомление о результате конкурса
+ */
+async function notifyWinner(botId, botInstance, contest, winner) {
+  const variables = {
+    place: winner.rank,
+    referrals: winner.referrals,
+    contest_name: contest.name,
+    first_name: winner.firstName || winner.username,
+    username: winner.username
+  };
+
+  const text = contest.winnerMessage
+    ? renderTemplate(contest.winnerMessage, variables, { html: true })
+    : await renderText(botId, winner.languageCode, 'contest.winner', variables, { html: true });
+
+  try {
+    await botInstance.sendMessage(winner.userId, text, { parse_mode: 'HTML' });
+    return true;
+  } catch (error) {
+    const unreachableReason = getUnreachableReason(error);
+    if (unreachableReason) {
+      await markUserUnreachable(botId, winner.userId, unreachableReason);
+    }
+
+    console.error(`Ошибка уведомления победителя ${winner.userId}:`, error);
+    return false;
+  }
+}
+
+/**
+ * Закрывает конкурс: подводит итоги, сохраняет полный рейтинг в архив
+ * и уведомляет победителей. Повторный вызов для закрытого конкурса ничего не делает
+ */
+async function closeContest({ botId, contestId }) {
+  const db = admin.firestore();
+  const contestRef = db.collection('bots').doc(botId).collection('contests').doc(contestId);
+
+  // Захватываем конкурс, чтобы итоги подвёл только один экземпляр
+  const contest = await db.runTransaction(async (transaction) => {
+    const contestDoc = await transaction.get(contestRef);
+    if (!contestDoc.exists) {
+      return null;
+    }
+
+    const { status, closingStartedAt } = contestDoc.data();
+    const closingExpired = status === 'closing' &&
+      Date.now() - new Date(closingStartedAt).getTime() > CLOSING_TIMEOUT_MS;
+
+    if (status !== 'active' && !closingExpired) {
+      return null;
+    }
+
+    const now = new Date().toISOString();
+    transaction.update(contestRef, { status: 'closing', closingStartedAt: now, updatedAt: now });
+    return contestDoc.data();
+  });
+
+  if (!contest) {
+    return;
+  }
+
+  // Досрочное закрытие подводит итоги на текущий момент
+  const closedAt = new Date().toISOString();
+  const to = closedAt < contest.endsAt ? closedAt : contest.endsAt;
+  const ranking = await attachUserNames(botId, await computeLeaderboard(botId, contest.startsAt, to));
+  const winners = ranking.slice(0, contest.winnersCount);
+
+  for (let i = 0; i < ranking.length; i += 500) {
+    const batch = db.batch();
+    ranking.slice(i, i + 500).forEach(row => {
+      batch.set(contestRef.collection('results').doc(row.userId.toString()), row);
+    });
+    await batch.commit();
+  }
+
+  const botInstance = await getBotInstance(botId);
+  const notifiedWinners = [];
+
+  for (const winner of winners) {
+    notifiedWinners.push({
+      ...winner,
+      notified: await notifyWinner(botId, botInstance, contest, winner)
+    });
+  }
+
+  await contestRef.update({
+    status: 'closed',
+    winners: notifiedWinners,
+    participants: ranking.length,
+    closedAt,
+    updatedAt: new Date().toISOString()
+  });
+}
+
+registerJobHandler('contest.close', closeContest);
+
+/**
+ * Возвращает активный в данный момент конкурс бота
+ */
+async function getActiveContest(botId) {
+  const now = new Date().toISOString();
+  const contestsSnapshot = await admin.firestore().collection('bots').doc(botId)
+    .collection('contests')
+    .where('status', '==', 'active')
+    .get();
+
+  return contestsSnapshot.docs
+    .map(doc => doc.data())
+    .find(contest => contest.startsAt <= now && now < contest.endsAt) || null;
+}
+
+module.exports = {
+  LEADERBOARD_PERIODS,
+  getPeriodRange,
+  computeLeaderboard,
+  attachUserNames,
+  normalizeContest,
+  createContest,
+  closeContest,
+  getActiveContest
+};
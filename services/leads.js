@@ -0,0 +1,323 @@
+const admin = require('firebase-admin');
+const { getBotInstance } = require('./bots');
+const { incrementUserCounters } = require('./users');
+const { emitSequenceEvent } = require('./sequences');
+const { recordDailyStats } = require('./analytics');
+const { emitWebhookEvent } = require('./webhooks');
+const { renderText } = require('./templates');
+const { asHtml } = require('./messages');
+const { registerJobHandler, scheduleJob } = require('./scheduler');
+
+// Правила телефонных номеров по странам: код страны, длина национального номера
+// и префиксы, с которых номер начинается после кода страны
+const PHONE_RULES = {
+  RU: { code: '7', length: 10, prefixes: ['9'], trunk: '8' },
+  KZ: { code: '7', length: 10, prefixes: ['7'], trunk: '8' },
+  BY: { code: '375', length: 9, prefixes: ['25', '29', '33', '44'], trunk: '80' },
+  UA: { code: '380', length: 9, prefixes: [], trunk: '0' },
+  UZ: { code: '998', length: 9, prefixes: [], trunk: null }
+};
+
+const DEFAULT_PHONE_COUNTRIES = ['RU'];
+
+// Статусы лида и допустимые переходы между ними
+const LEAD_STATUSES = ['new', 'contacted', 'prize_issued', 'rejected'];
+
+const LEAD_STATUS_TRANSITIONS = {
+  new: ['contacted', 'prize_issued', 'rejected'],
+  contacted: ['prize_issued', 'rejected'],
+  prize_issued: [],
+  rejected: ['new']
+};
+
+const BACKFILL_PAGE_SIZE = 500;
+
+/**
+ * Пробует привести цифры номера к формату страны.
+ * Возвращает номер в формате E.164 или null
+ */
+function matchPhoneRule(digits, rule, hasPlus) {
+  let national = null;
+
+  if (digits.startsWith(rule.code) && digits.length === rule.code.length + rule.length) {
+    national = digits.slice(rule.code.length);
+  } else if (!hasPlus && rule.trunk && digits.startsWith(rule.trunk) &&
+             digits.length === rule.trunk.length + rule.length) {
+    national = digits.slice(rule.trunk.length);
+  } else if (!hasPlus && digits.length === rule.length) {
+    national = digits;
+  }
+
+  if (!national) {
+    return null;
+  }
+
+  if (rule.prefixes.length > 0 && !rule.prefixes.some(prefix => national.startsWith(prefix))) {
+    return null;
+  }
+
+  return `+${rule.code}${national}`;
+}
+
+/**
+ * Нормализует телефон по правилам стран бота (botData.phoneCountries).
+ * Возвращает номер в формате E.164 или null, если номер не подходит
+ */
+function normalizePhone(phone, countries) {
+  if (!phone || typeof phone !== 'string') {
+    return null;
+  }
+
+  const trimmed = phone.trim();
+  const digits = trimmed.replace(/\D/g, '');
+  const hasPlus = trimmed.startsWith('+');
+
+  for (const country of countries || DEFAULT_PHONE_COUNTRIES) {
+    const rule = PHONE_RULES[country];
+    const normalized = rule ? matchPhoneRule(digits, rule, hasPlus) : null;
+
+    if (normalized) {
+      return normalized;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Находит других пользователей, оставивших лид с тем же телефоном
+ */
+async function findDuplicateUserIds(botId, phone, userId) {
+  const leadsSnapshot = await admin.firestore().collection('bots').doc(botId)
+    .collection('leads')
+    .where('phone', '==', phone)
+    .get();
+
+  const userIds = leadsSnapshot.docs
+    .map(doc => doc.data().userId)
+    .filter(leadUserId => leadUserId !== parseInt(userId));
+
+  return [...new Set(userIds)];
+}
+
+/**
+ * Сохраняет лид по спину пользователя (из веб-приложения или из диалога в боте).
+ * Возвращает { lead } или { error, code, status }, где code — ключ шаблона ошибки error.<code>
+ */
+async function createLead(botId, botData, { spinId, userId, username, name, phone, source }) {
+  const db = admin.firestore();
+  const botRef = db.collection('bots').doc(botId);
+
+  const normalizedPhone = normalizePhone(phone, botData.phoneCountries);
+  if (!normalizedPhone) {
+    return { error: 'Неверный номер телефона', code: 'invalid_phone', status: 400 };
+  }
+
+  // Получаем информацию о спине
+  const spinRef = botRef.collection('spins').doc(spinId);
+  const spinDoc = await spinRef.get();
+
+  if (!spinDoc.exists || spinDoc.data().userId !== parseInt(userId)) {
+    return { error: 'Спин не найден', code: 'spin_not_found', status: 404 };
+  }
+
+  const spinData = spinDoc.data();
+
+  // Тот же телефон у других пользователей бота
+  const duplicateUserIds = await findDuplicateUserIds(botId, normalizedPhone, userId);
+
+  // Первый лид пользователя учитывается в воронке
+  const previousLeadsSnapshot = await botRef.collection('leads')
+    .where('userId', '==', parseInt(userId))
+    .limit(1)
+    .get();
+
+  // Лид хранится отдельно для каждого спина
+  const lead = {
+    leadId: spinId,
+    userId: parseInt(userId),
+    spinId,
+    name: name ? String(name).trim() : '',
+    phone: normalizedPhone,
+    rawPhone: String(phone),
+    username: username || '',
+    prize: spinData.prize,
+    source: source || 'webapp',
+    timestamp: new Date().toISOString(),
+    status: 'new',
+    isProcessed: false,
+    isDuplicate: duplicateUserIds.length > 0,
+    duplicateUserIds
+  };
+
+  try {
+    await botRef.collection('leads').doc(spinId).create(lead);
+  } catch (error) {
+    // 6 = ALREADY_EXISTS: лид по этому спину уже сохранён
+    if (error.code === 6) {
+      return { error: 'Лид по этому спину уже сохранён', code: 'lead_exists', status: 409 };
+    }
+    throw error;
+  }
+
+  // Отмечаем спин как обработанный
+  await spinRef.update({ isLeadCollected: true });
+  await incrementUserCounters(botId, userId, { totalLeads: 1 });
+
+  emitSequenceEvent(botId, userId, 'lead');
+  recordDailyStats(botId, botData, { leads: 1, leadUsers: previousLeadsSnapshot.empty ? 1 : 0 });
+  emitWebhookEvent(botId, 'lead.created', spinId, {
+    leadId: spinId,
+    spinId,
+    userId: lead.userId,
+    username: lead.username,
+    name: lead.name,
+    phone: normalizedPhone,
+    prize: spinData.prize,
+    isDuplicate: lead.isDuplicate
+  });
+
+  await notifyLeadsChannel(botId, botData, lead);
+
+  return { lead };
+}
+
+/**
+ * Отправляет уведомление о лиде в телеграм (если настроен канал для лидов)
+ */
+async function notifyLeadsChannel(botId, botData, lead) {
+  try {
+    if (botData.leadsChannel) {
+      const botInstance = await getBotInstance(botId);
+      const duplicateWarning = lead.isDuplicate
+        ? await renderText(botId, null, 'notify.lead_duplicate', { user_ids: lead.duplicateUserIds.join(', ') }, { html: true })
+        : '';
+
+      const leadMessage = await renderText(botId, null, 'notify.lead', {
+        bot_name: botData.name,
+        user_id: lead.userId,
+        username: lead.username || '—',
+        name: lead.name || '—',
+        phone: lead.phone,
+        prize: lead.prize,
+        spin_id: lead.spinId,
+        duplicate_warning: asHtml(duplicateWarning)
+      }, { html: true });
+
+      await botInstance.sendMessage(botData.leadsChannel, leadMessage, { parse_mode: 'HTML' });
+    }
+  } catch (telegramError) {
+    console.error('Ошибка отправки уведомления:', telegramError);
+    // Не прерываем выполнение из-за ошибки телеграма
+  }
+}
+
+/**
+ * Меняет статус лида и записывает изменение в историю
+ */
+async function changeLeadStatus(botId, leadId, status, { changedBy, comment }) {
+  const db = admin.firestore();
+  const leadRef = db.collection('bots').doc(botId).collection('leads').doc(leadId);
+
+  return db.runTransaction(async (transaction) => {
+    const leadDoc = await transaction.get(leadRef);
+
+    if (!leadDoc.exists) {
+      return { error: 'Лид не найден', status: 404 };
+    }
+
+    // У старых лидов статус не сохранён
+    const currentStatus = leadDoc.data().status || 'new';
+
+    if (!LEAD_STATUS_TRANSITIONS[currentStatus].includes(status)) {
+      return { error: 'Недопустимый переход статуса', status: 409 };
+    }
+
+    const now = new Date().toISOString();
+
+    transaction.update(leadRef, {
+      status,
+      isProcessed: status !== 'new',
+      statusChangedAt: now,
+      statusChangedBy: changedBy
+    });
+
+    transaction.set(leadRef.collection('history').doc(), {
+      from: currentStatus,
+      to: status,
+      comment: comment || '',
+      changedBy,
+      changedAt: now
+    });
+
+    return { status };
+  });
+}
+
+/**
+ * Проставляет status = new лидам, сохранённым до появления статусов.
+ * Фильтр списка лидов по статусу находит только документы с этим полем
+ */
+async function backfillLeadStatuses({ botId }) {
+  const db = admin.firestore();
+  const { FieldPath } = admin.firestore;
+  const botRef = db.collection('bots').doc(botId);
+  let lastDoc = null;
+
+  for (;;) {
+    let query = botRef.collection('leads')
+      .select('status')
+      .orderBy(FieldPath.documentId())
+      .limit(BACKFILL_PAGE_SIZE);
+    if (lastDoc) {
+      query = query.startAfter(lastDoc);
+    }
+
+    const snapshot = await query.get();
+    const legacyDocs = snapshot.docs.filter(doc => !doc.data().status);
+
+    if (legacyDocs.length > 0) {
+      const batch = db.batch();
+      legacyDocs.forEach(doc => batch.update(doc.ref, { status: 'new' }));
+      await batch.commit();
+    }
+
+    if (snapshot.size < BACKFILL_PAGE_SIZE) {
+      break;
+    }
+    lastDoc = snapshot.docs[snapshot.docs.length - 1];
+  }
+
+  await botRef.update({ leadStatusesBackfilledAt: new Date().toISOString() });
+}
+
+/**
+ * Планирует заполнение статусов старых лидов для ботов, где это ещё не делалось.
+ * Вызывается при старте сервера
+ */
+async function scheduleLeadStatusBackfill() {
+  const botsSnapshot = await admin.firestore().collection('bots').select('leadStatusesBackfilledAt').get();
+
+  for (const botDoc of botsSnapshot.docs) {
+    if (!botDoc.data().leadStatusesBackfilledAt) {
+      await scheduleJob('leads.backfill_statuses', { botId: botDoc.id }, {
+        botId: botDoc.id,
+        jobId: `backfill_lead_statuses_${botDoc.id}`
+      });
+    }
+  }
+}
+
+registerJobHandler('leads.backfill_statuses', backfillLeadStatuses);
+
+module.exports = {
+  PHONE_RULES,
+  DEFAULT_PHONE_COUNTRIES,
+  LEAD_STATUSES,
+  LEAD_STATUS_TRANSITIONS,
+  normalizePhone,
+  findDuplicateUserIds,
+  createLead,
+  changeLeadStatus,
+  scheduleLeadStatusBackfill
+};
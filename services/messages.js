@@ -0,0 +1,194 @@
+const admin = require('firebase-admin');
+const { generateReferralLink, getWebAppUrl } = require('./bots');
+const { getUserAttempts } = require('./wheel');
+
+// Методы Telegram для отправки вложений
+const MEDIA_METHODS = {
+  photo: 'sendPhoto',
+  video: 'sendVideo',
+  document: 'sendDocument'
+};
+
+// Telegram ограничивает подпись к вложению 1024 символами
+const CAPTION_LIMIT = 1024;
+
+const PLACEHOLDER_PATTERN = /\{\{\s*(\w+)\s*\}\}/g;
+
+const HTML_ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' };
+
+/**
+ * Экранирует текст для сообщений с parse_mode HTML
+ */
+function escapeHtml(text) {
+  return String(text).replace(/[&<>"]/g, char => HTML_ESCAPES[char]);
+}
+
+/**
+ * Помечает готовый HTML (например, другой отрендеренный шаблон),
+ * чтобы renderTemplate не экранировал его
+ */
+function asHtml(html) {
+  return { html: String(html) };
+}
+
+/**
+ * Подставляет переменные вида {{first_name}} в текст.
+ * Неизвестные плейсхолдеры остаются как есть.
+ * С html = true значения переменных экранируются: имя пользователя
+ * не должно ломать разметку администратора или добавлять свою
+ */
+function renderTemplate(text, variables, { html = false } = {}) {
+  return (text || '').replace(PLACEHOLDER_PATTERN, (match, key) => {
+    if (!(key in variables)) {
+      return match;
+    }
+
+    const value = variables[key];
+    if (value == null) {
+      return '';
+    }
+
+    if (typeof value === 'object' && 'html' in value) {
+      return html ? value.html : value.html.replace(/<[^>]*>/g, '');
+    }
+
+    return html ? escapeHtml(value) : String(value);
+  });
+}
+
+/**
+ * Проверяет, есть ли в сообщении плейсхолдеры
+ */
+function hasPlaceholders(content) {
+  return new RegExp(PLACEHOLDER_PATTERN.source).test(JSON.stringify(content));
+}
+
+/**
+ * Проверяет формат сообщения (текст, вложение, кнопки).
+ * Возвращает текст ошибки или null
+ */
+function validateMessageContent({ text, media, buttons }) {
+  if (!text && !media) {
+    return 'Не указано сообщение';
+  }
+
+  if (media) {
+    if (!MEDIA_METHODS[media.type] || !media.file) {
+      return 'Неверный формат вложения';
+    }
+
+    if (text && text.length > CAPTION_LIMIT) {
+      return `Подпись к вложению не может быть длиннее ${CAPTION_LIMIT} символов`;
+    }
+  }
+
+  if (buttons) {
+    const validRows = Array.isArray(buttons) && buttons.every(row =>
+      Array.isArray(row) && row.every(button =>
+        button && button.text && (button.url || button.webApp || button.callbackData)
+      )
+    );
+
+    if (!validRows) {
+      return 'Неверный формат кнопок';
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Собирает переменные получателя: имя, остаток попыток, последний приз и реферальную ссылку
+ */
+async function buildRecipientVariables(botId, botData, userId, wheelConfig) {
+  const attempts = await getUserAttempts(botId, botData, userId, wheelConfig);
+  const { userData } = attempts;
+
+  // У старых пользователей последний приз не сохранён в профиле
+  let lastPrize = userData.lastPrize;
+  if (!lastPrize && userData.totalSpins) {
+    const spinsSnapshot = await admin.firestore().collection('bots').doc(botId)
+      .collection('spins')
+      .where('userId', '==', parseInt(userId))
+      .get();
+
+    const lastSpin = spinsSnapshot.docs
+      .map(doc => doc.data())
+      .sort((a, b) => b.timestamp.localeCompare(a.timestamp))[0];
+
+    lastPrize = lastSpin ? lastSpin.prize : '';
+  }
+
+  return {
+    user_id: userId,
+    first_name: userData.firstName || userData.username || '',
+    username: userData.username || '',
+    attempts_left: attempts.attemptsLeft,
+    last_prize: lastPrize || '',
+    referral_link: generateReferralLink(botData.botUsername, userId)
+  };
+}
+
+/**
+ * Подставляет переменные в текст и кнопки, собирает inline-клавиатуру.
+ * webAppBaseUrl — адрес веб-приложения бота для кнопок webApp
+ */
+function renderMessage(botId, content, variables, webAppBaseUrl) {
+  const message = {
+    text: renderTemplate(content.text, variables, { html: true }),
+    media: content.media || null,
+    replyMarkup: null
+  };
+
+  if (content.buttons && content.buttons.length > 0) {
+    message.replyMarkup = {
+      inline_keyboard: content.buttons.map(row => row.map(button => {
+        const text = renderTemplate(button.text, variables);
+
+        if (button.webApp) {
+          return { text, web_app: { url: getWebAppUrl(botId, variables.user_id, webAppBaseUrl) } };
+        }
+
+        if (button.url) {
+          return { text, url: renderTemplate(button.url, variables) };
+        }
+
+        return { text, callback_data: button.callbackData };
+      }))
+    };
+  }
+
+  return message;
+}
+
+/**
+ * Отправляет подготовленное сообщение: текст или вложение с подписью
+ */
+async function sendRenderedMessage(botInstance, chatId, message) {
+  const options = { parse_mode: 'HTML' };
+
+  if (message.replyMarkup) {
+    options.reply_markup = message.replyMarkup;
+  }
+
+  if (!message.media) {
+    return botInstance.sendMessage(chatId, message.text, options);
+  }
+
+  if (message.text) {
+    options.caption = message.text;
+  }
+
+  return botInstance[MEDIA_METHODS[message.media.type]](chatId, message.media.file, options);
+}
+
+module.exports = {
+  escapeHtml,
+  asHtml,
+  renderTemplate,
+  hasPlaceholders,
+  validateMessageContent,
+  buildRecipientVariables,
+  renderMessage,
+  sendRenderedMessage
+};
@@ -0,0 +1,344 @@
+const admin = require('firebase-admin');
+const TelegramBot = require('node-telegram-bot-api');
+const { getBotInstance, invalidateBot } = require('./bots');
+const { getRequiredChannels, checkBotChannelAccess } = require('./subscriptions');
+const { publishCommandMenu, invalidateCommands } = require('./commands');
+const { invalidateTemplates } = require('./templates');
+const { registerWebhook, enablePolling, stopPolling } = require('./updates');
+
+const TOKEN_PATTERN = /^\d+:[A-Za-z0-9_-]{30,}$/;
+
+/**
+ * Проверяет токен через getMe. Возвращает профиль бота или null
+ */
+async function fetchBotProfile(token) {
+  if (!TOKEN_PATTERN.test(String(token || ''))) {
+    return null;
+  }
+
+  try {
+    return await new TelegramBot(token, { polling: false }).getMe();
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Проверяет настройки бота, которые задаёт владелец.
+ * Возвращает { settings } только с переданными полями или { error }
+ */
+function normalizeBotSettings({ name, webAppUrl, leadsChannel }) {
+  const settings = {};
+
+  if (name !== undefined) {
+    if (!name || String(name).length > 64) {
+      return { error: 'Название бота должно содержать от 1 до 64 символов' };
+    }
+    settings.name = String(name);
+  }
+
+  if (webAppUrl !== undefined) {
+    if (webAppUrl && !/^https:\/\/\S+$/.test(webAppUrl)) {
+      return { error: 'Адрес веб-приложения должен начинаться с https://' };
+    }
+    settings.webAppUrl = webAppUrl ? webAppUrl.replace(/\/+$/, '') : null;
+  }
+
+  if (leadsChannel !== undefined) {
+    if (leadsChannel && !/^(@\w{5,}|-100\d+)$/.test(String(leadsChannel))) {
+      return { error: 'Канал лидов указывается как @username или числовой id вида -100...' };
+    }
+    settings.leadsChannel = leadsChannel ? String(leadsChannel) : null;
+  }
+
+  return { settings };
+}
+
+/**
+ * Сбрасывает все кэши бота: экземпляр, данные, команды и шаблоны
+ */
+function invalidateBotCaches(botId) {
+  invalidateBot(botId);
+  invalidateCommands(botId);
+  invalidateTemplates(botId);
+}
+
+/**
+ * Проверяет, что бот администратор каналов, с которыми работает:
+ * обязательных и бонусных (проверка подписки) и канала лидов (уведомления)
+ */
+async function checkBotChannels(botInstance, botData) {
+  const channels = [
+    ...getRequiredChannels(botData).map(({ chatId }) => ({ chatId, purpose: 'subscription' })),
+    ...(botData.bonusChannels || []).map(({ chatId }) => ({ chatId, purpose: 'bonus' }))
+  ];
+
+  if (botData.leadsChannel) {
+    channels.push({ chatId: botData.leadsChannel, purpose: 'leads' });
+  }
+
+  return Promise.all(channels.map(async (channel) => ({
+    ...channel,
+    ...(await checkBotChannelAccess(botInstance, channel.chatId))
+  })));
+}
+
+/**
+ * Определяет способ приема обновлений: mode из запроса, иначе прежний способ бота, иначе вебхук.
+ * Polling включается только явно; для вебхука нужен публичный https-адрес.
+ * Возвращает { mode } или { error, status }
+ */
+function resolveUpdateMode(botData, { mode, webhookBaseUrl } = {}) {
+  const updateMode = mode || (botData.updateMode === 'polling' ? 'polling' : 'webhook');
+
+  if (!['webhook', 'polling'].includes(updateMode)) {
+    return { error: 'Неверный способ приема обновлений', status: 400 };
+  }
+
+  if (updateMode === 'webhook' && !/^https:\/\//.test(webhookBaseUrl || '')) {
+    return { error: 'Укажите публичный https-адрес сервера (url или PUBLIC_URL) или mode = polling', status: 400 };
+  }
+
+  return { mode: updateMode };
+}
+
+/**
+ * Настраивает бота в Telegram: прием обновлений, меню команд и проверка каналов.
+ * Ошибка отдельного шага не прерывает остальные и возвращается в отчёте.
+ * Возвращает { report } или { error, status }, если способ приема обновлений не настроен
+ */
+async function setupBot(botId, { mode, webhookBaseUrl, onUpdate } = {}) {
+  const botDoc = await admin.firestore().collection('bots').doc(botId).get();
+  const botData = botDoc.data();
+
+  const updateMode = resolveUpdateMode(botData, { mode, webhookBaseUrl });
+  if (updateMode.error) {
+    return updateMode;
+  }
+
+  const botInstance = await getBotInstance(botId);
+
+  const report = { updateMode: null, webhookUrl: null, commands: null, channels: [], errors: [] };
+
+  try {
+    if (updateMode.mode === 'polling') {
+      await enablePolling(botId, onUpdate);
+      report.updateMode = 'polling';
+    } else {
+      report.webhookUrl = await registerWebhook(botId, webhookBaseUrl);
+      report.updateMode = 'webhook';
+    }
+  } catch (error) {
+    report.errors.push({ step: 'updates', error: error.message });
+  }
+
+  try {
+    report.commands = await publishCommandMenu(botId, botInstance);
+  } catch (error) {
+    report.errors.push({ step: 'commands', error: error.message });
+  }
+
+  report.channels = await checkBotChannels(botInstance, botData);
+
+  await botDoc.ref.update({
+    channelAccess: report.channels,
+    setupCheckedAt: new Date().toISOString()
+  });
+
+  return { report };
+}
+
+/**
+ * Регистрирует бота по токену. Создавший становится владельцем бота.
+ * Возвращает { botId, report } или { error, status }
+ */
+async function registerBot(token, settings, owner, setupOptions) {
+  const db = admin.firestore();
+
+  const updateMode = resolveUpdateMode({}, setupOptions);
+  if (updateMode.error) {
+    return updateMode;
+  }
+
+  const profile = await fetchBotProfile(token);
+  if (!profile) {
+    return { error: 'Недействительный токен бота', status: 400 };
+  }
+
+  // У ботов, подключенных до сохранения telegramBotId, есть только токен и username
+  const existingSnapshots = await Promise.all([
+    ['telegramBotId', profile.id],
+    ['botToken', token],
+    ['botUsername', profile.username]
+  ].map(([field, value]) => db.collection('bots').where(field, '==', value).limit(1).get()));
+
+  if (existingSnapshots.some(snapshot => !snapshot.empty)) {
+    return { error: 'Этот бот уже подключен', status: 409 };
+  }
+
+  const botRef = db.collection('bots').doc();
+  const now = new Date().toISOString();
+
+  const batch = db.batch();
+  batch.set(botRef, {
+    botToken: token,
+    telegramBotId: profile.id,
+    botUsername: profile.username,
+    webAppUrl: null,
+    leadsChannel: null,
+    ...settings,
+    name: settings.name || profile.first_name,
+    status: 'active',
+    // У нового бота нет пользователей и лидов, которым нужен пересчёт или заполнение полей
+    countersBackfilledAt: now,
+    leadStatusesBackfilledAt: now,
+    createdBy: owner.uid,
+    createdAt: now,
+    updatedAt: now
+  });
+  batch.set(botRef.collection('admins').doc(owner.uid), {
+    uid: owner.uid,
+    email: owner.email || '',
+    role: 'owner',
+    addedBy: owner.uid,
+    updatedAt: now
+  });
+  await batch.commit();
+
+  // Бот уже сохранён: ошибка настройки возвращается в отчёте, а владелец
+  // может повторить настройку через /setup, не подключая бота заново
+  try {
+    const { report } = await setupBot(botRef.id, setupOptions);
+    return { botId: botRef.id, report };
+  } catch (error) {
+    console.error(`Ошибка настройки бота ${botRef.id}:`, error);
+    return {
+      botId: botRef.id,
+      report: {
+        updateMode: null,
+        webhookUrl: null,
+        commands: null,
+        channels: [],
+        errors: [{ step: 'setup', error: error.message }]
+      }
+    };
+  }
+}
+
+/**
+ * Меняет токен бота (например, после отзыва в BotFather).
+ * Новый токен должен принадлежать тому же боту
+ */
+async function rotateBotToken(botId, botData, token, setupOptions) {
+  const profile = await fetchBotProfile(token);
+  if (!profile) {
+    return { error: 'Недействительный токен бота', status: 400 };
+  }
+
+  if (botData.telegramBotId && botData.telegramBotId !== profile.id) {
+    return { error: 'Токен принадлежит другому боту', status: 400 };
+  }
+
+  const isPaused = botData.status === 'paused';
+
+  if (!isPaused) {
+    const updateMode = resolveUpdateMode(botData, setupOptions);
+    if (updateMode.error) {
+      return updateMode;
+    }
+  }
+
+  stopPolling(botId);
+
+  await admin.firestore().collection('bots').doc(botId).update({
+    botToken: token,
+    telegramBotId: profile.id,
+    botUsername: profile.username,
+    tokenRotatedAt: new Date().toISOString(),
+    updatedAt: new Date().toISOString()
+  });
+
+  invalidateBotCaches(botId);
+
+  // Вебхук регистрируется заново с новым secret_token
+  const report = isPaused ? null : (await setupBot(botId, setupOptions)).report;
+
+  return { botUsername: profile.username, report };
+}
+
+/**
+ * Приостанавливает бота (status = paused): Telegram перестаёт присылать обновления,
+ * веб-приложение отвечает ошибкой bot_paused
+ */
+async function pauseBot(botId) {
+  stopPolling(botId);
+
+  try {
+    const botInstance = await getBotInstance(botId);
+    await botInstance.deleteWebHook();
+  } catch (error) {
+    console.error(`Не удалось снять вебхук бота ${botId}:`, error.message);
+  }
+
+  await admin.firestore().collection('bots').doc(botId).update({
+    status: 'paused',
+    pausedAt: new Date().toISOString(),
+    updatedAt: new Date().toISOString()
+  });
+
+  invalidateBotCaches(botId);
+}
+
+/**
+ * Возобновляет работу бота тем же способом приема обновлений, что был до паузы.
+ * Возвращает { report } или { error, status }
+ */
+async function resumeBot(botId, botData, { mode, webhookBaseUrl, onUpdate } = {}) {
+  // Адрес сервера берётся из прежнего вебхука, если не передан явно
+  const previousBaseUrl = botData.webhookUrl ? botData.webhookUrl.replace(/\/webhook\/[^/]+$/, '') : null;
+  const setupOptions = {
+    mode,
+    webhookBaseUrl: webhookBaseUrl || previousBaseUrl || process.env.PUBLIC_URL,
+    onUpdate
+  };
+
+  const updateMode = resolveUpdateMode(botData, setupOptions);
+  if (updateMode.error) {
+    return updateMode;
+  }
+
+  await admin.firestore().collection('bots').doc(botId).update({
+    status: 'active',
+    pausedAt: null,
+    updatedAt: new Date().toISOString()
+  });
+
+  invalidateBotCaches(botId);
+
+  return setupBot(botId, setupOptions);
+}
+
+/**
+ * Удаляет бота вместе со всеми данными (пользователи, спины, лиды и т.д.)
+ */
+async function deleteBot(botId) {
+  const db = admin.firestore();
+
+  await pauseBot(botId);
+  await db.recursiveDelete(db.collection('bots').doc(botId));
+
+  invalidateBotCaches(botId);
+}
+
+module.exports = {
+  fetchBotProfile,
+  normalizeBotSettings,
+  invalidateBotCaches,
+  checkBotChannels,
+  setupBot,
+  registerBot,
+  rotateBotToken,
+  pauseBot,
+  resumeBot,
+  deleteBot
+};
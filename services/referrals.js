@@ -0,0 +1,284 @@
+const admin = require('firebase-admin');
+const { getLocalDate, recordDailyStats } = require('./analytics');
+const { emitSequenceEvent } = require('./sequences');
+const { getWheelConfig, getReferralReward, getReferralCredits } = require('./wheel');
+const { writeLedgerEntry } = require('./attempts');
+
+// Глубина, на которую проверяется цепочка пригласивших
+const MAX_CHAIN_DEPTH = 10;
+const DEFAULT_BURST_LIMIT = 10;
+const BURST_WINDOW_MS = 60 * 60 * 1000;
+
+// Статусы реферала:
+// pending — ждёт подписки или спина приглашённого,
+// review — помечен подозрительным и ждёт решения администратора,
+// capped — пригласивший превысил дневной лимит,
+// credited — награда начислена, rejected — отклонён администратором
+const REFERRAL_STATUSES = ['pending', 'review', 'capped', 'credited', 'rejected'];
+
+/**
+ * Возвращает цепочку пригласивших: [пригласивший userId, его пригласивший, ...]
+ */
+async function getReferrerChain(botId, userId) {
+  const usersRef = admin.firestore().collection('bots').doc(botId).collection('users');
+  const chain = [];
+  let currentId = userId;
+
+  while (chain.length < MAX_CHAIN_DEPTH) {
+    const userDoc = await usersRef.doc(currentId.toString()).get();
+    const referredBy = userDoc.exists ? userDoc.data().referredBy : null;
+
+    if (!referredBy || chain.includes(referredBy)) {
+      break;
+    }
+
+    chain.push(referredBy);
+    currentId = referredBy;
+  }
+
+  return chain;
+}
+
+/**
+ * Записывает реферала при первом /start нового пользователя.
+ * Награда не начисляется, пока приглашённый не подпишется или не крутанёт колесо.
+ * Подозрительные рефералы помечаются флагами для проверки администратором
+ */
+async function registerReferral(botId, botData, { referrerId, userId, username }) {
+  const db = admin.firestore();
+  const botRef = db.collection('bots').doc(botId);
+
+  if (!/^\d+$/.test(referrerId) || referrerId === userId.toString()) {
+    return null;
+  }
+
+  // Пригласивший должен быть пользователем этого бота
+  const referrerDoc = await botRef.collection('users').doc(referrerId).get();
+  if (!referrerDoc.exists) {
+    return null;
+  }
+
+  const flags = [];
+
+  if (!username) {
+    flags.push('no_username');
+  }
+
+  const burstSnapshot = await botRef.collection('referrals')
+    .where('referrerId', '==', parseInt(referrerId))
+    .where('timestamp', '>=', new Date(Date.now() - BURST_WINDOW_MS).toISOString())
+    .count()
+    .get();
+
+  if (burstSnapshot.data().count >= (botData.referralBurstLimit || DEFAULT_BURST_LIMIT)) {
+    flags.push('burst');
+  }
+
+  // Приглашённый сам стоит в цепочке пригласившего
+  const chain = await getReferrerChain(botId, referrerId);
+  if (chain.includes(parseInt(userId))) {
+    flags.push('self_chain');
+  }
+
+  const referralRef = botRef.collection('referrals').doc(`${referrerId}_${userId}`);
+  const referral = {
+    referralId: referralRef.id,
+    referrerId: parseInt(referrerId),
+    referredId: parseInt(userId),
+    username: username || '',
+    timestamp: new Date().toISOString(),
+    status: 'pending',
+    flags
+  };
+
+  try {
+    await referralRef.create(referral);
+  } catch (error) {
+    // 6 = ALREADY_EXISTS: реферал уже записан
+    if (error.code === 6) {
+      return null;
+    }
+    throw error;
+  }
+
+  await botRef.collection('users').doc(userId.toString()).set({
+    referredBy: parseInt(referrerId)
+  }, { merge: true });
+
+  return referral;
+}
+
+/**
+ * Начисляет награду за реферала пригласившему и пригласившим выше по цепочке
+ * (уровни задаются botData.referralRewards).
+ * Сумма в журнале попыток считается по правилам активной кампании, как и в calculateAttempts.
+ * С ignoreCap дневной лимит пригласившего не проверяется (решение администратора)
+ */
+async function creditReferral(botId, botData, referralRef, { ignoreCap = false, reviewedBy = null } = {}) {
+  const db = admin.firestore();
+  const { FieldValue } = admin.firestore;
+  const usersRef = db.collection('bots').doc(botId).collection('users');
+  const levels = Math.max((botData.referralRewards || []).length, 1);
+  const wheelConfig = await getWheelConfig(botId);
+
+  const result = await db.runTransaction(async (transaction) => {
+    const referralDoc = await transaction.get(referralRef);
+    if (!referralDoc.exists) {
+      return { error: 'Реферал не найден', status: 404 };
+    }
+
+    const referral = referralDoc.data();
+    const allowedStatuses = reviewedBy ? ['pending', 'review', 'capped'] : ['pending'];
+    if (!allowedStatuses.includes(referral.status)) {
+      return { error: 'Реферал уже обработан', status: 409 };
+    }
+
+    // Читаем цепочку пригласивших до записи
+    const ancestors = [];
+    let ancestorId = referral.referrerId;
+    while (ancestorId && ancestors.length < levels) {
+      const ancestorDoc = await transaction.get(usersRef.doc(ancestorId.toString()));
+      if (!ancestorDoc.exists || ancestors.some(ancestor => ancestor.id === ancestorDoc.id)) {
+        break;
+      }
+      ancestors.push(ancestorDoc);
+      ancestorId = ancestorDoc.data().referredBy;
+    }
+
+    const now = new Date().toISOString();
+    const today = getLocalDate(botData.timezone);
+    const referrerData = ancestors.length > 0 ? ancestors[0].data() : {};
+    const creditedToday = referrerData.referralCapDate === today ? (referrerData.referralCapCount || 0) : 0;
+
+    if (!ignoreCap && botData.referralDailyCap && creditedToday >= botData.referralDailyCap) {
+      transaction.update(referralRef, { status: 'capped', updatedAt: now });
+      return { status: 'capped' };
+    }
+
+    const credits = ancestors.map((ancestorDoc, index) => ({
+      userId: parseInt(ancestorDoc.id),
+      level: index + 1
+    }));
+
+    credits.forEach(({ level }, index) => {
+      const ancestorData = ancestors[index].data();
+      const update = {
+        referralCredits: { [level]: FieldValue.increment(1) }
+      };
+
+      // Учёт по уровням ещё не заведён: начинаем с уже засчитанных рефералов первого уровня
+      if (!ancestorData.referralCredits) {
+        const referralCredits = getReferralCredits(ancestorData);
+        update.referralCredits = { ...referralCredits, [level]: (referralCredits[level] || 0) + 1 };
+      }
+
+      if (level === 1) {
+        update.totalReferrals = FieldValue.increment(1);
+        update.referralCapDate = today;
+        update.referralCapCount = creditedToday + 1;
+      }
+
+      transaction.set(ancestors[index].ref, update, { merge: true });
+
+      writeLedgerEntry(transaction, botId, ancestors[index].id, `referral_${referralRef.id}_${level}`, {
+        source: 'referral',
+        amount: getReferralReward(botData, wheelConfig, level),
+        reference: referralRef.id,
+        comment: `Реферал ${level} уровня`
+      });
+    });
+
+    transaction.update(referralRef, {
+      status: 'credited',
+      credits,
+      creditedAt: now,
+      reviewedBy,
+      updatedAt: now
+    });
+
+    return { status: 'credited', referrerId: referral.referrerId, credits };
+  });
+
+  if (result.status === 'credited') {
+    emitSequenceEvent(botId, result.referrerId, 'referral');
+    recordDailyStats(botId, botData, { referrals: 1 });
+  }
+
+  return result;
+}
+
+/**
+ * Засчитывает реферала, когда приглашённый подписался или крутанул колесо.
+ * Помеченные флагами рефералы отправляются на проверку администратору
+ */
+async function qualifyReferral(botId, botData, userId, reason) {
+  try {
+    const db = admin.firestore();
+    const botRef = db.collection('bots').doc(botId);
+
+    const userDoc = await botRef.collection('users').doc(userId.toString()).get();
+    const referredBy = userDoc.exists ? userDoc.data().referredBy : null;
+    if (!referredBy) {
+      return;
+    }
+
+    const referralRef = botRef.collection('referrals').doc(`${referredBy}_${userId}`);
+
+    const needsReview = await db.runTransaction(async (transaction) => {
+      const referralDoc = await transaction.get(referralRef);
+      if (!referralDoc.exists || referralDoc.data().status !== 'pending') {
+        return false;
+      }
+
+      const now = new Date().toISOString();
+      const update = { qualifiedBy: reason, qualifiedAt: now, updatedAt: now };
+      const isSuspicious = (referralDoc.data().flags || []).length > 0;
+
+      if (isSuspicious) {
+        update.status = 'review';
+      }
+
+      transaction.update(referralRef, update);
+
+      return isSuspicious;
+    });
+
+    if (!needsReview) {
+      await creditReferral(botId, botData, referralRef);
+    }
+  } catch (error) {
+    console.error('Ошибка начисления награды за реферала:', error);
+  }
+}
+
+/**
+ * Отклоняет реферала по решению администратора
+ */
+async function rejectReferral(botId, referralId, reviewedBy) {
+  const db = admin.firestore();
+  const referralRef = db.collection('bots').doc(botId).collection('referrals').doc(referralId);
+
+  return db.runTransaction(async (transaction) => {
+    const referralDoc = await transaction.get(referralRef);
+    if (!referralDoc.exists) {
+      return { error: 'Реферал не найден', status: 404 };
+    }
+
+    if (!['pending', 'review', 'capped'].includes(referralDoc.data().status)) {
+      return { error: 'Реферал уже обработан', status: 409 };
+    }
+
+    const now = new Date().toISOString();
+    transaction.update(referralRef, { status: 'rejected', reviewedBy, updatedAt: now });
+
+    return { status: 'rejected' };
+  });
+}
+
+module.exports = {
+  REFERRAL_STATUSES,
+  registerReferral,
+  creditReferral,
+  qualifyReferral,
+  rejectReferral
+};
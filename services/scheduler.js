@@ -0,0 +1,245 @@
+const os = require('os');
+const admin = require('firebase-admin');
+
+// Идентификатор экземпляра, который держит аренду задачи
+const WORKER_ID = `${os.hostname()}:${process.pid}`;
+const LEASE_MS = 2 * 60 * 1000;
+const BATCH_SIZE = 20;
+const DEFAULT_MAX_ATTEMPTS = 5;
+const BASE_BACKOFF_MS = 30 * 1000;
+const MAX_BACKOFF_MS = 60 * 60 * 1000;
+
+// Обработчики по типу задачи
+const handlers = new Map();
+
+let isProcessing = false;
+
+/**
+ * Регистрирует обработчик отложенных задач указанного типа
+ */
+function registerJobHandler(type, handler) {
+  handlers.set(type, handler);
+}
+
+/**
+ * Возвращает документ новой задачи и её данные
+ */
+function buildJob(type, payload, { botId = null, delayMs = 0, runAt, jobId, maxAttempts } = {}) {
+  const jobsRef = admin.firestore().collection('scheduledJobs');
+  const jobRef = jobId ? jobsRef.doc(jobId) : jobsRef.doc();
+  const now = new Date().toISOString();
+
+  return {
+    jobRef,
+    job: {
+      jobId: jobRef.id,
+      type,
+      botId,
+      payload,
+      status: 'pending',
+      runAt: runAt || new Date(Date.now() + delayMs).toISOString(),
+      attempts: 0,
+      maxAttempts: maxAttempts || DEFAULT_MAX_ATTEMPTS,
+      leaseOwner: null,
+      lastError: null,
+      createdAt: now,
+      updatedAt: now
+    }
+  };
+}
+
+/**
+ * Планирует отложенную задачу.
+ * Задача с тем же jobId не создаётся повторно
+ */
+async function scheduleJob(type, payload, options = {}) {
+  const { jobRef, job } = buildJob(type, payload, options);
+
+  try {
+    await jobRef.create(job);
+  } catch (error) {
+    // 6 = ALREADY_EXISTS: задача уже запланирована
+    if (error.code !== 6) {
+      throw error;
+    }
+  }
+
+  return jobRef.id;
+}
+
+/**
+ * Планирует задачу в транзакции или пакете записи вместе с данными, которым она нужна:
+ * либо записывается всё, либо ничего. Задача с тем же jobId приводит к ошибке записи
+ */
+function writeScheduledJob(writer, type, payload, options = {}) {
+  const { jobRef, job } = buildJob(type, payload, options);
+  writer.create(jobRef, job);
+  return jobRef.id;
+}
+
+/**
+ * Захватывает задачу: пока аренда действует, runAt сдвинут вперёд,
+ * и другие экземпляры задачу не видят. Если экземпляр упадёт,
+ * задача снова станет доступна после окончания аренды
+ */
+async function claimJob(jobRef) {
+  const db = admin.firestore();
+
+  return db.runTransaction(async (transaction) => {
+    const jobDoc = await transaction.get(jobRef);
+    if (!jobDoc.exists) {
+      return null;
+    }
+
+    const job = jobDoc.data();
+    const now = new Date().toISOString();
+
+    if (job.status !== 'pending' || job.runAt > now) {
+      return null;
+    }
+
+    transaction.update(jobRef, {
+      runAt: new Date(Date.now() + LEASE_MS).toISOString(),
+      leaseOwner: WORKER_ID,
+      attempts: job.attempts + 1,
+      updatedAt: now
+    });
+
+    return { ...job, attempts: job.attempts + 1 };
+  });
+}
+
+/**
+ * Возвращает задержку перед следующей попыткой (экспоненциально)
+ */
+function getBackoffMs(attempts) {
+  return Math.min(BASE_BACKOFF_MS * Math.pow(2, attempts - 1), MAX_BACKOFF_MS);
+}
+
+/**
+ * Выполняет задачу и фиксирует результат: успех, повтор или dead-letter
+ */
+async function runJob(jobRef) {
+  const job = await claimJob(jobRef);
+
+  if (!job) {
+    return;
+  }
+
+  const handler = handlers.get(job.type);
+
+  try {
+    if (!handler) {
+      throw new Error(`Нет обработчика для задач типа ${job.type}`);
+    }
+
+    await handler(job.payload, job);
+
+    await jobRef.update({
+      status: 'done',
+      leaseOwner: null,
+      completedAt: new Date().toISOString(),
+      updatedAt: new Date().toISOString()
+    });
+  } catch (error) {
+    const now = new Date().toISOString();
+
+    if (job.attempts < job.maxAttempts) {
+      await jobRef.update({
+        runAt: new Date(Date.now() + getBackoffMs(job.attempts)).toISOString(),
+        leaseOwner: null,
+        lastError: error.message,
+        updatedAt: now
+      });
+      return;
+    }
+
+    // Попытки исчерпаны — сохраняем запись в dead-letter
+    const db = admin.firestore();
+    const batch = db.batch();
+
+    batch.update(jobRef, {
+      status: 'dead',
+      leaseOwner: null,
+      lastError: error.message,
+      updatedAt: now
+    });
+
+    batch.set(db.collection('deadLetterJobs').doc(job.jobId), {
+      ...job,
+      status: 'dead',
+      lastError: error.message,
+      failedAt: now
+    });
+
+    await batch.commit();
+
+    console.error(`Задача ${job.jobId} (${job.type}) перемещена в dead-letter:`, error);
+  }
+}
+
+/**
+ * Повторно ставит задачу из dead-letter в очередь
+ */
+async function retryDeadLetterJob(jobId) {
+  const db = admin.firestore();
+  const deadLetterRef = db.collection('deadLetterJobs').doc(jobId);
+  const deadLetterDoc = await deadLetterRef.get();
+
+  if (!deadLetterDoc.exists) {
+    return false;
+  }
+
+  const now = new Date().toISOString();
+  const batch = db.batch();
+
+  batch.update(db.collection('scheduledJobs').doc(jobId), {
+    status: 'pending',
+    runAt: now,
+    attempts: 0,
+    lastError: null,
+    updatedAt: now
+  });
+  batch.delete(deadLetterRef);
+
+  await batch.commit();
+
+  return true;
+}
+
+/**
+ * Фоновая задача: выполняет задачи, время которых наступило
+ */
+async function processScheduledJobs() {
+  if (isProcessing) return;
+  isProcessing = true;
+
+  try {
+    const dueJobs = await admin.firestore().collection('scheduledJobs')
+      .where('status', '==', 'pending')
+      .where('runAt', '<=', new Date().toISOString())
+      .orderBy('runAt')
+      .limit(BATCH_SIZE)
+      .get();
+
+    for (const jobDoc of dueJobs.docs) {
+      try {
+        await runJob(jobDoc.ref);
+      } catch (error) {
+        console.error(`Ошибка выполнения задачи ${jobDoc.id}:`, error);
+      }
+    }
+  } catch (error) {
+    console.error('Ошибка обработки отложенных задач:', error);
+  } finally {
+    isProcessing = false;
+  }
+}
+
+module.exports = {
+  registerJobHandler,
+  scheduleJob,
+  writeScheduledJob,
+  retryDeadLetterJob,
+  processScheduledJobs
+};
@@ -0,0 +1,142 @@
+const admin = require('firebase-admin');
+
+// Поддерживаемые фильтры сегмента
+const FILTER_KEYS = [
+  'subscribed',
+  'hasLead',
+  'prize',
+  'minSpins',
+  'maxSpins',
+  'minReferrals',
+  'maxReferrals',
+  'joinedFrom',
+  'joinedTo',
+  'activeFrom',
+  'activeTo'
+];
+
+const BOOLEAN_FILTERS = ['subscribed', 'hasLead'];
+const NUMBER_FILTERS = ['minSpins', 'maxSpins', 'minReferrals', 'maxReferrals'];
+const DATE_FILTERS = ['joinedFrom', 'joinedTo', 'activeFrom', 'activeTo'];
+
+/**
+ * Проверяет фильтры сегмента и приводит даты к ISO.
+ * Возвращает { filters } или { error }
+ */
+function normalizeSegmentFilters(filters) {
+  if (!filters || typeof filters !== 'object' || Array.isArray(filters)) {
+    return { error: 'Неверный формат фильтров' };
+  }
+
+  const unknownKey = Object.keys(filters).find(key => !FILTER_KEYS.includes(key));
+  if (unknownKey) {
+    return { error: `Неизвестный фильтр: ${unknownKey}` };
+  }
+
+  const normalized = {};
+
+  for (const [key, value] of Object.entries(filters)) {
+    if (value === null || value === undefined || value === '') {
+      continue;
+    }
+
+    if (BOOLEAN_FILTERS.includes(key)) {
+      if (typeof value !== 'boolean') {
+        return { error: `Фильтр ${key} должен быть true или false` };
+      }
+      normalized[key] = value;
+    } else if (NUMBER_FILTERS.includes(key)) {
+      if (isNaN(parseInt(value))) {
+        return { error: `Фильтр ${key} должен быть числом` };
+      }
+      normalized[key] = parseInt(value);
+    } else if (DATE_FILTERS.includes(key)) {
+      if (isNaN(new Date(value).getTime())) {
+        return { error: `Фильтр ${key} должен быть датой` };
+      }
+      normalized[key] = new Date(value).toISOString();
+    } else {
+      normalized[key] = String(value);
+    }
+  }
+
+  return { filters: normalized };
+}
+
+/**
+ * Проверяет, попадает ли значение в диапазон [from, to]
+ */
+function inRange(value, from, to) {
+  if (from !== undefined && (value === undefined || value === null || value < from)) {
+    return false;
+  }
+
+  if (to !== undefined && (value === undefined || value === null || value > to)) {
+    return false;
+  }
+
+  return true;
+}
+
+/**
+ * Возвращает id пользователей бота, подходящих под фильтры сегмента.
+ * Недоступные пользователи (заблокировавшие бота) в сегменты не попадают
+ */
+async function resolveSegmentUserIds(botId, filters) {
+  const botRef = admin.firestore().collection('bots').doc(botId);
+
+  // Вспомогательные коллекции читаем, только если фильтр их требует
+  const needsLeads = filters.hasLead !== undefined;
+  const needsPrize = filters.prize !== undefined;
+
+  const [usersSnapshot, leadsSnapshot, prizeSpinsSnapshot] = await Promise.all([
+    botRef.collection('users').get(),
+    needsLeads ? botRef.collection('leads').get() : null,
+    needsPrize ? botRef.collection('spins').where('prize', '==', filters.prize).get() : null
+  ]);
+
+  const leadUserIds = new Set(leadsSnapshot ? leadsSnapshot.docs.map(doc => doc.data().userId) : []);
+  const prizeUserIds = new Set(prizeSpinsSnapshot ? prizeSpinsSnapshot.docs.map(doc => doc.data().userId) : []);
+
+  return usersSnapshot.docs
+    .map(doc => doc.data())
+    .filter(user => {
+      if (user.isUnreachable) {
+        return false;
+      }
+
+      if (filters.subscribed !== undefined && !!user.isSubscribed !== filters.subscribed) {
+        return false;
+      }
+
+      if (needsLeads && leadUserIds.has(user.userId) !== filters.hasLead) {
+        return false;
+      }
+
+      if (needsPrize && !prizeUserIds.has(user.userId)) {
+        return false;
+      }
+
+      if (!inRange(user.totalSpins || 0, filters.minSpins, filters.maxSpins)) {
+        return false;
+      }
+
+      // Учитываются только засчитанные рефералы
+      if (!inRange(user.totalReferrals || 0, filters.minReferrals, filters.maxReferrals)) {
+        return false;
+      }
+
+      if (!inRange(user.joinedAt, filters.joinedFrom, filters.joinedTo)) {
+        return false;
+      }
+
+      return inRange(user.lastSpin || user.updatedAt, filters.activeFrom, filters.activeTo);
+    })
+    .map(user => user.userId);
+}
+
+module.exports = {
+  FILTER_KEYS,
+  normalizeSegmentFilters,
+  resolveSegmentUserIds
+};
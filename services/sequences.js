@@ -0,0 +1,248 @@
+const admin = require('firebase-admin');
+const { getBotInstance } = require('./bots');
+const { waitForSendSlot } = require('./throttle');
+const { getUserAttempts } = require('./wheel');
+const { getUnreachableReason, markUserUnreachable } = require('./users');
+const { registerJobHandler, writeScheduledJob } = require('./scheduler');
+const {
+  validateMessageContent,
+  buildRecipientVariables,
+  renderMessage,
+  sendRenderedMessage
+} = require('./messages');
+
+// События, которые запускают и останавливают цепочки
+const SEQUENCE_EVENTS = ['start', 'spin', 'lead', 'referral'];
+
+/**
+ * Проверяет настройки цепочки и приводит шаги к единому виду.
+ * Возвращает { sequence } или { error }
+ */
+function normalizeSequence({ name, trigger, goal, steps, isActive }) {
+  if (!name) {
+    return { error: 'Не указано название цепочки' };
+  }
+
+  if (!SEQUENCE_EVENTS.includes(trigger)) {
+    return { error: 'Неверное событие запуска' };
+  }
+
+  if (goal && !SEQUENCE_EVENTS.includes(goal)) {
+    return { error: 'Неверное целевое событие' };
+  }
+
+  if (!Array.isArray(steps) || steps.length === 0) {
+    return { error: 'Цепочка должна содержать хотя бы один шаг' };
+  }
+
+  for (const step of steps) {
+    const contentError = validateMessageContent({ text: step.message, media: step.media, buttons: step.buttons });
+    if (contentError) {
+      return { error: contentError };
+    }
+
+    if (isNaN(parseInt(step.delayMinutes)) || parseInt(step.delayMinutes) < 0) {
+      return { error: 'Задержка шага должна быть неотрицательным числом минут' };
+    }
+  }
+
+  return {
+    sequence: {
+      name,
+      trigger,
+      goal: goal || null,
+      isActive: isActive !== false,
+      steps: steps.map(step => ({
+        delayMinutes: parseInt(step.delayMinutes),
+        message: step.message || '',
+        media: step.media || null,
+        buttons: step.buttons || null,
+        requireAttemptsLeft: !!step.requireAttemptsLeft
+      }))
+    }
+  };
+}
+
+/**
+ * Останавливает активные участия пользователя в цепочках
+ */
+async function stopEnrollments(botId, userId, filter, reason) {
+  const db = admin.firestore();
+  const enrollmentsSnapshot = await db.collection('bots').doc(botId)
+    .collection('sequenceEnrollments')
+    .where('userId', '==', parseInt(userId))
+    .where('status', '==', 'active')
+    .get();
+
+  const now = new Date().toISOString();
+
+  for (const enrollmentDoc of enrollmentsSnapshot.docs) {
+    if (filter(enrollmentDoc.data())) {
+      await enrollmentDoc.ref.update({ status: 'stopped', stopReason: reason, stoppedAt: now });
+    }
+  }
+}
+
+/**
+ * Планирует отправку шага цепочки через планировщик задач в той же записи (транзакции
+ * или пакете), что и изменение участия: участие без задачи шага больше не продвинется
+ */
+function scheduleSequenceStep(writer, botId, enrollmentId, runId, stepIndex, runAt) {
+  writeScheduledJob(writer, 'sequence.step', { botId, enrollmentId, runId, stepIndex }, {
+    botId,
+    runAt,
+    jobId: `sequence_${botId}_${enrollmentId}_${runId}_${stepIndex}`
+  });
+}
+
+/**
+ * Обрабатывает событие пользователя: останавливает цепочки, цель которых достигнута,
+ * и записывает пользователя в цепочки, которые это событие запускает
+ */
+async function emitSequenceEvent(botId, userId, event) {
+  try {
+    const db = admin.firestore();
+    const botRef = db.collection('bots').doc(botId);
+
+    await stopEnrollments(botId, userId, enrollment => enrollment.goal === event, `goal:${event}`);
+
+    const sequencesSnapshot = await botRef.collection('sequences')
+      .where('trigger', '==', event)
+      .where('isActive', '==', true)
+      .get();
+
+    for (const sequenceDoc of sequencesSnapshot.docs) {
+      const sequence = sequenceDoc.data();
+      const enrollmentRef = botRef.collection('sequenceEnrollments').doc(`${sequenceDoc.id}_${userId}`);
+
+      await db.runTransaction(async (transaction) => {
+        const enrollmentDoc = await transaction.get(enrollmentRef);
+
+        // Пока цепочка идёт, повторное событие её не перезапускает
+        if (enrollmentDoc.exists && enrollmentDoc.data().status === 'active') {
+          return;
+        }
+
+        const now = Date.now();
+        const data = {
+          sequenceId: sequenceDoc.id,
+          userId: parseInt(userId),
+          goal: sequence.goal,
+          status: 'active',
+          runId: String(now),
+          stepIndex: 0,
+          nextRunAt: new Date(now + sequence.steps[0].delayMinutes * 60 * 1000).toISOString(),
+          startedAt: new Date(now).toISOString(),
+          stoppedAt: null,
+          stopReason: null
+        };
+
+        transaction.set(enrollmentRef, data);
+        scheduleSequenceStep(transaction, botId, enrollmentRef.id, data.runId, 0, data.nextRunAt);
+      });
+    }
+  } catch (error) {
+    console.error(`Ошибка обработки события цепочек ${event}:`, error);
+  }
+}
+
+/**
+ * Отправляет шаг цепочки и планирует следующий.
+ * Ошибка отправки приводит к повтору задачи планировщиком
+ */
+async function runSequenceStep({ botId, enrollmentId, runId, stepIndex }) {
+  const db = admin.firestore();
+  const enrollmentRef = db.collection('bots').doc(botId).collection('sequenceEnrollments').doc(enrollmentId);
+  const enrollmentDoc = await enrollmentRef.get();
+
+  if (!enrollmentDoc.exists) {
+    return;
+  }
+
+  // Цепочка остановлена, перезапущена или шаг уже отправлен
+  const enrollment = enrollmentDoc.data();
+  if (enrollment.status !== 'active' || enrollment.runId !== runId || enrollment.stepIndex !== stepIndex) {
+    return;
+  }
+
+  const botRef = db.collection('bots').doc(botId);
+  const [sequenceDoc, botDoc, userDoc] = await Promise.all([
+    botRef.collection('sequences').doc(enrollment.sequenceId).get(),
+    botRef.get(),
+    botRef.collection('users').doc(enrollment.userId.toString()).get()
+  ]);
+
+  const now = new Date().toISOString();
+
+  if (!sequenceDoc.exists || !sequenceDoc.data().isActive) {
+    await enrollmentRef.update({ status: 'stopped', stopReason: 'sequence_disabled', stoppedAt: now });
+    return;
+  }
+
+  if (userDoc.exists && userDoc.data().isUnreachable) {
+    await enrollmentRef.update({ status: 'stopped', stopReason: 'unreachable', stoppedAt: now });
+    return;
+  }
+
+  const { steps } = sequenceDoc.data();
+  const step = steps[enrollment.stepIndex];
+  const botData = botDoc.data();
+
+  if (step) {
+    let shouldSend = true;
+
+    if (step.requireAttemptsLeft) {
+      const { attemptsLeft } = await getUserAttempts(botId, botData, enrollment.userId);
+      shouldSend = attemptsLeft > 0;
+    }
+
+    if (shouldSend) {
+      try {
+        const botInstance = await getBotInstance(botId);
+        const content = { text: step.message, media: step.media, buttons: step.buttons };
+        const variables = await buildRecipientVariables(botId, botData, enrollment.userId);
+
+        await waitForSendSlot(botId, enrollment.userId);
+        await sendRenderedMessage(botInstance, enrollment.userId, renderMessage(botId, content, variables, botData.webAppUrl));
+      } catch (error) {
+        const unreachableReason = getUnreachableReason(error);
+
+        if (unreachableReason) {
+          await markUserUnreachable(botId, enrollment.userId, unreachableReason);
+          await enrollmentRef.update({ status: 'stopped', stopReason: 'unreachable', stoppedAt: now });
+          return;
+        }
+
+        // Остальные ошибки: планировщик повторит шаг с задержкой
+        throw error;
+      }
+    }
+  }
+
+  const nextIndex = enrollment.stepIndex + 1;
+  const nextStep = steps[nextIndex];
+
+  if (!nextStep) {
+    await enrollmentRef.update({ status: 'completed', stepIndex: nextIndex, completedAt: now });
+    return;
+  }
+
+  const nextRunAt = new Date(Date.now() + nextStep.delayMinutes * 60 * 1000).toISOString();
+
+  const batch = db.batch();
+  batch.update(enrollmentRef, {
+    stepIndex: nextIndex,
+    lastStepAt: now,
+    nextRunAt
+  });
+  scheduleSequenceStep(batch, botId, enrollmentId, runId, nextIndex, nextRunAt);
+  await batch.commit();
+}
+
+registerJobHandler('sequence.step', runSequenceStep);
+
+module.exports = {
+  SEQUENCE_EVENTS,
+  normalizeSequence,
+  emitSequenceEvent
+};
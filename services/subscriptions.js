@@ -0,0 +1,242 @@
+const admin = require('firebase-admin');
+
+// Сколько считается актуальным сохранённый статус участника канала
+const MEMBERSHIP_CACHE_TTL_MS = 2 * 60 * 1000;
+
+// Статус unknown (проверка не удалась) перепроверяется чаще
+const UNKNOWN_CACHE_TTL_MS = 30 * 1000;
+
+// Последние ошибки проверки каналов: "<botId>:<chatId>" → { error, at }.
+// Пока ошибка свежая, канал не проверяется у Telegram, а в бот пишется только новая ошибка
+const channelErrorCache = new Map();
+
+// Статусы участника канала:
+// member — подписан, not_member — не подписан,
+// unknown — проверить не удалось (например, бот не администратор канала)
+const MEMBER_STATUSES = ['creator', 'administrator', 'member'];
+
+/**
+ * Возвращает обязательные каналы бота.
+ * Старые боты с одним subscriptionChannel получают список из одного канала
+ */
+function getRequiredChannels(botData) {
+  if (Array.isArray(botData.requiredChannels)) {
+    return botData.requiredChannels;
+  }
+
+  if (botData.subscriptionChannel) {
+    return [{
+      chatId: botData.subscriptionChannel,
+      title: botData.subscriptionChannel,
+      inviteLink: getPublicChannelLink(botData.subscriptionChannel)
+    }];
+  }
+
+  return [];
+}
+
+/**
+ * Возвращает ссылку на публичный канал вида @channel
+ */
+function getPublicChannelLink(chatId) {
+  return String(chatId).startsWith('@') ? `https://t.me/${String(chatId).slice(1)}` : null;
+}
+
+/**
+ * Проверяет настройки обязательных каналов.
+ * Возвращает { channels } или { error }
+ */
+function normalizeChannels(channels) {
+  if (!Array.isArray(channels)) {
+    return { error: 'Неверный формат списка каналов' };
+  }
+
+  for (const channel of channels) {
+    if (!channel || !/^(@\w{5,}|-100\d+)$/.test(String(channel.chatId))) {
+      return { error: 'Канал указывается как @username или числовой id вида -100...' };
+    }
+  }
+
+  return {
+    channels: channels.map(channel => ({
+      chatId: String(channel.chatId),
+      title: channel.title || String(channel.chatId),
+      inviteLink: channel.inviteLink || getPublicChannelLink(channel.chatId)
+    }))
+  };
+}
+
+/**
+ * Переводит статус участника из Telegram в member или not_member
+ */
+function toMembershipStatus(chatMember) {
+  if (MEMBER_STATUSES.includes(chatMember.status) ||
+      (chatMember.status === 'restricted' && chatMember.is_member)) {
+    return 'member';
+  }
+
+  return 'not_member';
+}
+
+/**
+ * Запрашивает статус пользователя в канале у Telegram.
+ * Ошибка проверки сохраняется в боте, чтобы её увидели администраторы
+ */
+async function fetchMembership(botId, botInstance, chatId, userId) {
+  const cacheKey = `${botId}:${chatId}`;
+  const lastError = channelErrorCache.get(cacheKey);
+
+  // Неправильно настроенный канал не проверяется заново на каждый запрос
+  if (lastError && Date.now() - lastError.at < UNKNOWN_CACHE_TTL_MS) {
+    return 'unknown';
+  }
+
+  try {
+    const chatMember = await botInstance.getChatMember(chatId, userId);
+    channelErrorCache.delete(cacheKey);
+    return toMembershipStatus(chatMember);
+  } catch (error) {
+    console.error(`Не удалось проверить подписку на ${chatId}:`, error.message);
+
+    channelErrorCache.set(cacheKey, { error: error.message, at: Date.now() });
+
+    if (!lastError || lastError.error !== error.message) {
+      await admin.firestore().collection('bots').doc(botId).set({
+        channelErrors: {
+          [chatId]: { error: error.message, at: new Date().toISOString() }
+        }
+      }, { merge: true });
+    }
+
+    return 'unknown';
+  }
+}
+
+/**
+ * Возвращает статусы пользователя в каналах.
+ * Статусы берутся из профиля пользователя, пока не устарели;
+ * заново проверенные возвращаются в updates для сохранения
+ */
+async function getChannelStatuses(botId, botInstance, channels, userId, userData) {
+  const cached = (userData && userData.channelStatuses) || {};
+  const now = Date.now();
+  const updates = {};
+
+  const statuses = await Promise.all(channels.map(async (channel) => {
+    const entry = cached[channel.chatId];
+    const ttl = entry && entry.status === 'unknown' ? UNKNOWN_CACHE_TTL_MS : MEMBERSHIP_CACHE_TTL_MS;
+
+    if (entry && now - new Date(entry.checkedAt).getTime() < ttl) {
+      return entry.status;
+    }
+
+    const status = await fetchMembership(botId, botInstance, channel.chatId, userId);
+    updates[channel.chatId] = { status, checkedAt: new Date().toISOString() };
+    return status;
+  }));
+
+  return { statuses, updates };
+}
+
+/**
+ * Сводит статусы обязательных каналов в статус подписки.
+ * Непроверяемые каналы (unknown) не блокируют пользователя
+ */
+function summarizeSubscription(statuses) {
+  const isSubscribed = statuses.every(status => status !== 'not_member');
+  const canVerify = statuses.every(status => status !== 'unknown');
+
+  return {
+    isSubscribed,
+    subscriptionStatus: !isSubscribed ? 'not_subscribed' : (canVerify ? 'subscribed' : 'unknown')
+  };
+}
+
+/**
+ * Проверяет подписку пользователя на все обязательные каналы
+ */
+async function getSubscriptionState(botId, botInstance, botData, userId, userData) {
+  const channels = getRequiredChannels(botData);
+  const { statuses, updates } = await getChannelStatuses(botId, botInstance, channels, userId, userData);
+
+  const channelStates = channels.map((channel, index) => ({ ...channel, status: statuses[index] }));
+  const { isSubscribed, subscriptionStatus } = summarizeSubscription(statuses);
+
+  if (Object.keys(updates).length > 0) {
+    await admin.firestore().collection('bots').doc(botId)
+      .collection('users').doc(userId.toString())
+      .set({
+        userId: parseInt(userId),
+        channelStatuses: updates,
+        isSubscribed,
+        subscriptionStatus,
+        subscriptionCheckedAt: new Date().toISOString()
+      }, { merge: true });
+  }
+
+  return {
+    isSubscribed,
+    subscriptionStatus,
+    channels: channelStates
+  };
+}
+
+/**
+ * Обновляет сохранённый статус по событию chat_member (подписка или отписка).
+ * Статус подписки пользователя пересчитывается по сохранённым статусам обязательных каналов,
+ * чтобы сегменты и фильтры админки не устаревали
+ */
+async function handleChatMemberUpdate(botId, botData, chatMemberUpdate) {
+  const { chat, new_chat_member: newMember } = chatMemberUpdate;
+  const requiredChannels = getRequiredChannels(botData);
+  const channels = [...requiredChannels, ...(botData.bonusChannels || [])];
+  const channel = channels.find(({ chatId }) =>
+    chatId === String(chat.id) || (chat.username && chatId === `@${chat.username}`)
+  );
+
+  if (!channel || newMember.user.is_bot) {
+    return;
+  }
+
+  const userRef = admin.firestore().collection('bots').doc(botId)
+    .collection('users').doc(newMember.user.id.toString());
+  const userDoc = await userRef.get();
+
+  const now = new Date().toISOString();
+  const entry = { status: toMembershipStatus(newMember), checkedAt: now };
+  const channelStatuses = { ...((userDoc.exists && userDoc.data().channelStatuses) || {}), [channel.chatId]: entry };
+
+  const { isSubscribed, subscriptionStatus } = summarizeSubscription(
+    requiredChannels.map(({ chatId }) => (channelStatuses[chatId] ? channelStatuses[chatId].status : 'unknown'))
+  );
+
+  await userRef.set({
+    userId: newMember.user.id,
+    channelStatuses: { [channel.chatId]: entry },
+    isSubscribed,
+    subscriptionStatus,
+    subscriptionCheckedAt: now
+  }, { merge: true });
+}
+
+/**
+ * Проверяет, что бот может проверять подписчиков канала (является его администратором)
+ */
+async function checkBotChannelAccess(botInstance, chatId) {
+  try {
+    const me = await botInstance.getMe();
+    const chatMember = await botInstance.getChatMember(chatId, me.id);
+    return { isAdmin: chatMember.status === 'administrator' || chatMember.status === 'creator', error: null };
+  } catch (error) {
+    return { isAdmin: false, error: error.message };
+  }
+}
+
+module.exports = {
+  getRequiredChannels,
+  normalizeChannels,
+  getChannelStatuses,
+  getSubscriptionState,
+  handleChatMemberUpdate,
+  checkBotChannelAccess
+};
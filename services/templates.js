@@ -0,0 +1,295 @@
+const admin = require('firebase-admin');
+const { renderTemplate } = require('./messages');
+
+const DEFAULT_LOCALE = 'ru';
+const LOCALE_PATTERN = /^[a-z]{2}$/;
+
+// Сколько хранятся в памяти шаблоны бота
+const TEMPLATE_CACHE_TTL_MS = 60 * 1000;
+
+// Telegram ограничивает длину сообщения 4096 символами
+const TEMPLATE_LENGTH_LIMIT = 4096;
+
+// Все тексты, которые отправляет бэкенд: текст по умолчанию (на русском) и доступные переменные.
+// В боте хранятся варианты на других языках и изменённые тексты
+const DEFAULT_TEMPLATES = {
+  // Команды бота
+  'command.start': {
+    text: '🎉 Добро пожаловать!\n\nКрутите колесо фортуны и выигрывайте призы!\n\n' +
+      'Для начала проверьте подписку на канал и нажмите /spin',
+    variables: ['first_name', 'username']
+  },
+  'command.spin': {
+    text: '🎡 Нажмите кнопку ниже, чтобы открыть колесо фортуны:',
+    variables: ['first_name', 'attempts_left']
+  },
+  'command.spin_button': { text: '🎡 Крутить колесо', variables: [] },
+  'command.balance': {
+    text: '🎟 Осталось попыток: {{attempts_left}}\nПриглашено друзей: {{referrals_count}}',
+    variables: ['first_name', 'attempts_left', 'referrals_count', 'bonus_attempts']
+  },
+  'command.ref': {
+    text: '🤝 Приглашайте друзей и получайте дополнительные попытки!\n\nВаша ссылка: {{referral_link}}',
+    variables: ['first_name', 'referral_link']
+  },
+  'command.prizes': { text: '🎁 Призы колеса:\n{{prizes}}', variables: ['prizes'] },
+  'command.rank': {
+    text: '🏆 Ваше место в {{rating_title}}: {{place}}\nПриглашено друзей: {{referrals}}',
+    variables: ['rating_title', 'place', 'referrals']
+  },
+  'command.lead': {
+    text: '✍️ Чтобы получить приз, оставьте контакты. Как вас зовут?',
+    variables: ['first_name', 'prize']
+  },
+  'command.help': { text: 'ℹ️ Доступные команды:\n{{commands}}', variables: ['commands'] },
+
+  // Ответы бота вне команд
+  'bot.unknown_command': { text: 'Неизвестная команда. Список команд: /help', variables: [] },
+  'bot.subscribe_first': {
+    text: '📢 Пожалуйста, подпишитесь на наши каналы и снова нажмите /spin',
+    variables: []
+  },
+  'bot.rating_contest': { text: 'конкурсе «{{contest_name}}»', variables: ['contest_name'] },
+  'bot.rating_week': { text: 'рейтинге недели', variables: [] },
+  'bot.not_ranked': { text: 'пока нет — пригласите друзей по своей реферальной ссылке!', variables: [] },
+  'bot.no_spin_for_lead': {
+    text: '🎡 Сначала крутите колесо — контакты нужны, чтобы вручить выигранный приз.',
+    variables: []
+  },
+  'bot.ask_name': { text: '✍️ Как вас зовут?', variables: [] },
+  'bot.name_too_long': { text: 'Имя слишком длинное, попробуйте ещё раз.', variables: [] },
+  'bot.ask_phone': {
+    text: '📱 Спасибо, {{name}}! Отправьте номер телефона кнопкой ниже или введите его.',
+    variables: ['name']
+  },
+  'bot.share_phone_button': { text: '📱 Отправить номер', variables: [] },
+  'bot.foreign_contact': { text: 'Пожалуйста, отправьте свой номер кнопкой ниже.', variables: [] },
+  'bot.lead_saved': {
+    text: '✅ Спасибо! Мы свяжемся с вами, чтобы вручить приз «{{prize}}».',
+    variables: ['prize', 'name']
+  },
+  'bot.cancelled': { text: 'Хорошо, отменили.', variables: [] },
+
+  // Уведомления пользователю
+  'voucher.delivered': {
+    text: '🎟 Ваш код на приз «{{prize}}»: <code>{{code}}</code>\n' +
+      'Покажите его при получении приза.{{expires_text}}',
+    variables: ['prize', 'code', 'expires_at', 'expires_text']
+  },
+  'voucher.expires': { text: '\nДействует до {{expires_at}}.', variables: ['expires_at'] },
+  'contest.winner': {
+    text: '🏆 Поздравляем! Вы заняли {{place}} место в конкурсе «{{contest_name}}» ' +
+      'с результатом {{referrals}} приглашённых.',
+    variables: ['place', 'referrals', 'contest_name', 'first_name', 'username']
+  },
+
+  // Уведомления в канал лидов (на языке бота по умолчанию)
+  'notify.lead': {
+    text: '📥 <b>Новый лид</b>\nBot: {{bot_name}}\nUserID: {{user_id}}\nUsername: @{{username}}\n' +
+      'Имя: {{name}}\nТелефон: {{phone}}\nПриз: {{prize}}\nSpinID: {{spin_id}}{{duplicate_warning}}',
+    variables: ['bot_name', 'user_id', 'username', 'name', 'phone', 'prize', 'spin_id', 'duplicate_warning']
+  },
+  'notify.lead_duplicate': {
+    text: '\n⚠️ Телефон уже встречался у: {{user_ids}}',
+    variables: ['user_ids']
+  },
+  'notify.fallback': {
+    text: '📥 <b>Лид (фолбэк)</b>\nBot: {{bot_name}}\nUserID: {{user_id}}\nUsername: @{{username}}\n' +
+      'Имя: Не указано\nТелефон: Не указан\nПриз: {{prize}}\nSpinID: {{spin_id}}',
+    variables: ['bot_name', 'user_id', 'username', 'prize', 'spin_id']
+  },
+
+  // Ошибки API веб-приложения
+  'error.internal': { text: 'Внутренняя ошибка сервера', variables: [] },
+  'error.bot_not_found': { text: 'Бот не найден', variables: [] },
+  'error.bot_paused': { text: 'Бот временно не работает. Попробуйте позже', variables: [] },
+  'error.init_data_required': { text: 'Требуется initData Telegram', variables: [] },
+  'error.init_data_invalid': { text: 'Недействительные данные Telegram', variables: [] },
+  'error.subscription_required': { text: 'Требуется подписка на канал', variables: [] },
+  'error.attempts_exhausted': { text: 'Попытки закончились', variables: [] },
+  'error.out_of_stock': { text: 'Призы закончились', variables: [] },
+  'error.lead_fields_required': { text: 'Не указаны обязательные поля', variables: [] },
+  'error.name_too_long': { text: 'Слишком длинное имя', variables: [] },
+  'error.invalid_phone': { text: 'Неверный номер телефона', variables: [] },
+  'error.spin_not_found': { text: 'Спин не найден', variables: [] },
+  'error.lead_exists': { text: 'Лид по этому спину уже сохранён', variables: [] },
+  'error.promo_required': { text: 'Не указан промокод', variables: [] },
+  'error.promo_not_found': { text: 'Промокод не найден', variables: [] },
+  'error.promo_expired': { text: 'Срок действия промокода истёк', variables: [] },
+  'error.promo_redeemed': { text: 'Промокод уже активирован', variables: [] },
+  'error.promo_exhausted': { text: 'Промокод больше не действует', variables: [] }
+};
+
+// Значения переменных для предпросмотра шаблонов
+const SAMPLE_VARIABLES = {
+  first_name: 'Анна',
+  username: 'anna',
+  name: 'Анна',
+  attempts_left: 3,
+  referrals_count: 5,
+  bonus_attempts: 1,
+  referral_link: 'https://t.me/wheel_bot?start=123456789',
+  prizes: '• Скидка 10%\n• Кофе в подарок',
+  rating_title: 'рейтинге недели',
+  place: '2 / 40',
+  referrals: 7,
+  contest_name: 'Весенний конкурс',
+  commands: '/spin — Крутить колесо\n/balance — Мои попытки',
+  prize: 'Кофе в подарок',
+  code: 'SALE-7KQ2M9XWPA',
+  expires_at: '2025-12-31',
+  expires_text: '\nДействует до 2025-12-31.',
+  bot_name: 'Колесо фортуны',
+  user_id: 123456789,
+  phone: '+79001234567',
+  spin_id: 'a1b2c3',
+  duplicate_warning: '',
+  user_ids: '987654321'
+};
+
+const templatesCache = new Map();
+
+/**
+ * Приводит language_code Telegram (en, en-US, pt-br) к коду языка
+ */
+function toLocale(languageCode) {
+  return String(languageCode || '').slice(0, 2).toLowerCase();
+}
+
+/**
+ * Загружает язык по умолчанию и шаблоны бота (с кэшем в памяти)
+ */
+async function getBotTemplates(botId) {
+  const cached = templatesCache.get(botId);
+  if (cached && Date.now() - cached.loadedAt < TEMPLATE_CACHE_TTL_MS) {
+    return cached;
+  }
+
+  const botRef = admin.firestore().collection('bots').doc(botId);
+  const [botDoc, templatesSnapshot] = await Promise.all([
+    botRef.get(),
+    botRef.collection('templates').get()
+  ]);
+
+  const entry = {
+    defaultLocale: (botDoc.exists && botDoc.data().defaultLocale) || DEFAULT_LOCALE,
+    templates: new Map(templatesSnapshot.docs.map(doc => [doc.id, doc.data().variants || {}])),
+    loadedAt: Date.now()
+  };
+
+  templatesCache.set(botId, entry);
+  return entry;
+}
+
+/**
+ * Сбрасывает кэш шаблонов бота после изменения настроек
+ */
+function invalidateTemplates(botId) {
+  templatesCache.delete(botId);
+}
+
+/**
+ * Выбирает текст шаблона: язык пользователя, затем язык бота по умолчанию,
+ * затем текст из DEFAULT_TEMPLATES
+ */
+function pickVariant(key, variants, locale, defaultLocale) {
+  return variants[locale] || variants[defaultLocale] || DEFAULT_TEMPLATES[key].text;
+}
+
+/**
+ * Возвращает текст шаблона на языке пользователя без подстановки переменных.
+ * languageCode — language_code из Telegram; без него используется язык бота по умолчанию.
+ * Если шаблоны не загрузились, используется текст по умолчанию
+ */
+async function getTemplateText(botId, languageCode, key) {
+  try {
+    const { defaultLocale, templates } = await getBotTemplates(botId);
+    return pickVariant(key, templates.get(key) || {}, toLocale(languageCode) || defaultLocale, defaultLocale);
+  } catch (error) {
+    console.error(`Ошибка загрузки шаблона ${key}:`, error);
+    return DEFAULT_TEMPLATES[key].text;
+  }
+}
+
+/**
+ * Возвращает текст шаблона на языке пользователя с подставленными переменными.
+ * html = true — для сообщений с parse_mode HTML (значения переменных экранируются)
+ */
+async function renderText(botId, languageCode, key, variables = {}, options = {}) {
+  return renderTemplate(await getTemplateText(botId, languageCode, key), variables, options);
+}
+
+/**
+ * Возвращает все шаблоны с текстом по умолчанию и вариантами бота
+ */
+async function listTemplates(botId) {
+  const { defaultLocale, templates } = await getBotTemplates(botId);
+
+  return {
+    defaultLocale,
+    templates: Object.entries(DEFAULT_TEMPLATES).map(([key, { text, variables }]) => ({
+      key,
+      defaultText: text,
+      variables,
+      variants: templates.get(key) || {}
+    }))
+  };
+}
+
+/**
+ * Проверяет варианты шаблона по языкам. Пустой текст удаляет вариант.
+ * Возвращает { variants } или { error }
+ */
+function normalizeTemplateVariants(key, variants) {
+  if (!DEFAULT_TEMPLATES[key]) {
+    return { error: 'Шаблон не найден' };
+  }
+
+  if (!variants || typeof variants !== 'object' || Array.isArray(variants)) {
+    return { error: 'Неверный формат вариантов шаблона' };
+  }
+
+  const normalized = {};
+
+  for (const [locale, text] of Object.entries(variants)) {
+    if (!LOCALE_PATTERN.test(locale)) {
+      return { error: 'Язык указывается двухбуквенным кодом, например en или kk' };
+    }
+
+    if (text && typeof text !== 'string') {
+      return { error: 'Текст шаблона должен быть строкой' };
+    }
+
+    if (text && text.length > TEMPLATE_LENGTH_LIMIT) {
+      return { error: `Текст шаблона не может быть длиннее ${TEMPLATE_LENGTH_LIMIT} символов` };
+    }
+
+    if (text) {
+      normalized[locale] = text;
+    }
+  }
+
+  return { variants: normalized };
+}
+
+/**
+ * Показывает, как шаблон выглядит для языка: с переданным текстом или сохранённым
+ */
+async function previewTemplate(botId, key, { locale, text, variables }) {
+  const { defaultLocale, templates } = await getBotTemplates(botId);
+  const source = text || pickVariant(key, templates.get(key) || {}, locale || defaultLocale, defaultLocale);
+
+  return renderTemplate(source, { ...SAMPLE_VARIABLES, ...(variables || {}) });
+}
+
+module.exports = {
+  DEFAULT_LOCALE,
+  LOCALE_PATTERN,
+  DEFAULT_TEMPLATES,
+  getTemplateText,
+  renderText,
+  invalidateTemplates,
+  listTemplates,
+  normalizeTemplateVariants,
+  previewTemplate
+};
@@ -0,0 +1,58 @@
+// Ограничения Telegram: около 30 сообщений в секунду на бота
+// и не больше одного сообщения в секунду в один чат
+const MESSAGES_PER_SECOND = parseInt(process.env.TELEGRAM_MESSAGES_PER_SECOND) || 25;
+const PER_CHAT_INTERVAL = 1000;
+
+const nextSlotByBot = new Map();
+const lastSentByChat = new Map();
+
+/**
+ * Ждёт, пока бот сможет отправить сообщение в чат без превышения лимитов
+ */
+async function waitForSendSlot(botId, chatId) {
+  const now = Date.now();
+  const chatKey = `${botId}:${chatId}`;
+
+  const botSlot = Math.max(now, nextSlotByBot.get(botId) || 0);
+  const chatSlot = (lastSentByChat.get(chatKey) || 0) + PER_CHAT_INTERVAL;
+  const slot = Math.max(botSlot, chatSlot);
+
+  nextSlotByBot.set(botId, slot + 1000 / MESSAGES_PER_SECOND);
+  lastSentByChat.set(chatKey, slot);
+
+  // Не даём карте чатов расти бесконечно
+  if (lastSentByChat.size > 10000) {
+    for (const [key, sentAt] of lastSentByChat) {
+      if (sentAt < now - PER_CHAT_INTERVAL) {
+        lastSentByChat.delete(key);
+      }
+    }
+  }
+
+  if (slot > now) {
+    await new Promise(resolve => setTimeout(resolve, slot - now));
+  }
+}
+
+/**
+ * Возвращает retry_after (в секундах) из ошибки 429 Telegram или null
+ */
+function getRetryAfter(error) {
+  const body = error.response && error.response.body;
+
+  if (!body || body.error_code !== 429) {
+    return null;
+  }
+
+  return (body.parameters && body.parameters.retry_after) || 1;
+}
+
+/**
+ * Откладывает все отправки бота после ответа 429
+ */
+function delayBot(botId, seconds) {
+  const resumeAt = Date.now() + seconds * 1000;
+  nextSlotByBot.set(botId, Math.max(nextSlotByBot.get(botId) || 0, resumeAt));
+}
+
+module.exports = { waitForSendSlot, getRetryAfter, delayBot };
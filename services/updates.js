@@ -0,0 +1,286 @@
+const crypto = require('crypto');
+const admin = require('firebase-admin');
+const { getBotInstance, invalidateBot } = require('./bots');
+
+// Типы обновлений, которые бот получает от Telegram.
+// chat_member приходит, только если запрошен явно
+const ALLOWED_UPDATES = ['message', 'callback_query', 'my_chat_member', 'chat_member'];
+
+// Заголовок, в котором Telegram передаёт secret_token вебхука
+const WEBHOOK_SECRET_HEADER = 'x-telegram-bot-api-secret-token';
+
+// Как часто вебхук с неверным секретом может перечитать данные бота из базы
+const WEBHOOK_SECRET_RECHECK_MS = 5 * 1000;
+
+// Аренда перевода старого вебхука: пока она действует, другие экземпляры сервера бота не трогают
+const WEBHOOK_MIGRATION_LEASE_MS = 2 * 60 * 1000;
+
+const POLLING_TIMEOUT_SEC = 30;
+const POLLING_RETRY_DELAY_MS = 5 * 1000;
+
+// Боты, получающие обновления через getUpdates: botId → { stopped }
+const pollers = new Map();
+
+/**
+ * Возвращает хэш секрета вебхука, который хранится в боте
+ */
+function hashWebhookSecret(secret) {
+  return crypto.createHash('sha256').update(String(secret)).digest('hex');
+}
+
+/**
+ * Проверяет secret_token из заголовка запроса Telegram
+ */
+function verifyWebhookSecret(botData, secret) {
+  if (!botData.webhookSecretHash || !secret) {
+    return false;
+  }
+
+  return crypto.timingSafeEqual(
+    Buffer.from(hashWebhookSecret(secret)),
+    Buffer.from(botData.webhookSecretHash)
+  );
+}
+
+/**
+ * Регистрирует вебхук бота вида <baseUrl>/webhook/<botId> с новым secret_token.
+ * В базе хранится только хэш секрета
+ */
+async function registerWebhook(botId, baseUrl) {
+  stopPolling(botId);
+
+  const url = `${baseUrl.replace(/\/+$/, '')}/webhook/${botId}`;
+  const secret = crypto.randomBytes(32).toString('hex');
+
+  const botInstance = await getBotInstance(botId);
+  await botInstance.setWebHook(url, {
+    secret_token: secret,
+    allowed_updates: JSON.stringify(ALLOWED_UPDATES)
+  });
+
+  await admin.firestore().collection('bots').doc(botId).update({
+    updateMode: 'webhook',
+    webhookUrl: url,
+    webhookSecretHash: hashWebhookSecret(secret),
+    webhookSetAt: new Date().toISOString()
+  });
+
+  invalidateBot(botId);
+
+  return url;
+}
+
+/**
+ * Переводит бота на long polling: для локальной разработки и ботов без публичного адреса.
+ * Polling работает только на одном экземпляре сервера — Telegram не отдаёт
+ * обновления двум getUpdates одновременно
+ */
+async function enablePolling(botId, onUpdate) {
+  await admin.firestore().collection('bots').doc(botId).update({
+    updateMode: 'polling',
+    webhookUrl: null,
+    webhookSecretHash: null,
+    webhookSetAt: null
+  });
+
+  invalidateBot(botId);
+
+  await startPolling(botId, onUpdate);
+}
+
+/**
+ * Запускает цикл getUpdates для бота. Вебхук при этом удаляется,
+ * иначе Telegram отклоняет getUpdates
+ */
+async function startPolling(botId, onUpdate) {
+  if (pollers.has(botId)) {
+    return;
+  }
+
+  const poller = { stopped: false };
+  pollers.set(botId, poller);
+
+  try {
+    const botInstance = await getBotInstance(botId);
+    await botInstance.deleteWebHook();
+  } catch (error) {
+    pollers.delete(botId);
+    throw error;
+  }
+
+  pollUpdates(botId, poller, onUpdate);
+}
+
+/**
+ * Получает обновления и передаёт их обработчику по одному, пока polling не остановлен
+ */
+async function pollUpdates(botId, poller, onUpdate) {
+  let offset = 0;
+
+  while (!poller.stopped) {
+    try {
+      // Экземпляр берётся заново: после смены токена кэш бота сбрасывается
+      const botInstance = await getBotInstance(botId);
+      const updates = await botInstance.getUpdates({
+        offset,
+        timeout: POLLING_TIMEOUT_SEC,
+        allowed_updates: JSON.stringify(ALLOWED_UPDATES)
+      });
+
+      for (const update of updates) {
+        if (poller.stopped) {
+          break;
+        }
+
+        offset = update.update_id + 1;
+        await onUpdate(botId, update);
+      }
+    } catch (error) {
+      console.error(`Ошибка получения обновлений бота ${botId}:`, error.message);
+      await new Promise(resolve => setTimeout(resolve, POLLING_RETRY_DELAY_MS));
+    }
+  }
+}
+
+/**
+ * Останавливает polling бота. Текущий запрос getUpdates завершится по таймауту
+ */
+function stopPolling(botId) {
+  const poller = pollers.get(botId);
+
+  if (poller) {
+    poller.stopped = true;
+    pollers.delete(botId);
+  }
+}
+
+/**
+ * Запускает polling при старте сервера: для активных ботов с updateMode = polling
+ * и для ботов из TELEGRAM_POLLING_BOTS (через запятую, для локальной разработки)
+ */
+async function resumePolling(onUpdate) {
+  const botsSnapshot = await admin.firestore().collection('bots')
+    .where('updateMode', '==', 'polling')
+    .get();
+
+  const envBotIds = (process.env.TELEGRAM_POLLING_BOTS || '').split(',').map(id => id.trim()).filter(Boolean);
+  const pollingBotIds = botsSnapshot.docs
+    .filter(doc => doc.data().status !== 'paused')
+    .map(doc => doc.id);
+  const botIds = [...new Set([...pollingBotIds, ...envBotIds])];
+
+  for (const botId of botIds) {
+    try {
+      await startPolling(botId, onUpdate);
+      console.log(`Бот ${botId} получает обновления через polling`);
+    } catch (error) {
+      console.error(`Не удалось запустить polling бота ${botId}:`, error.message);
+    }
+  }
+}
+
+/**
+ * Проверяет, что бот всё ещё на старом вебхуке, и берёт аренду на его перевод.
+ * Если несколько экземпляров сервера стартуют одновременно, вебхук регистрирует только один:
+ * иначе в Telegram и в базе могут оказаться секреты разных экземпляров
+ */
+async function claimWebhookMigration(botId) {
+  const db = admin.firestore();
+  const botRef = db.collection('bots').doc(botId);
+
+  return db.runTransaction(async (transaction) => {
+    const botDoc = await transaction.get(botRef);
+    if (!botDoc.exists) {
+      return false;
+    }
+
+    const { status, updateMode, webhookSecretHash, webhookMigrationLeaseUntil } = botDoc.data();
+    const now = new Date();
+
+    if (status === 'paused' || updateMode === 'polling' || webhookSecretHash) {
+      return false;
+    }
+
+    if (webhookMigrationLeaseUntil && webhookMigrationLeaseUntil > now.toISOString()) {
+      return false;
+    }
+
+    transaction.update(botRef, {
+      webhookMigrationLeaseUntil: new Date(now.getTime() + WEBHOOK_MIGRATION_LEASE_MS).toISOString()
+    });
+    return true;
+  });
+}
+
+/**
+ * Переводит на вебхук с secret_token активных ботов, зарегистрированных по старой схеме
+ * (<url>/webhook/<botToken> без секрета). Нужен PUBLIC_URL; без него старые вебхуки продолжают работать.
+ * Переведённые боты больше не попадают в выборку, поэтому повторный запуск ничего не меняет
+ */
+async function migrateLegacyWebhooks() {
+  const baseUrl = process.env.PUBLIC_URL;
+
+  const botsSnapshot = await admin.firestore().collection('bots')
+    .select('status', 'updateMode', 'webhookSecretHash')
+    .get();
+
+  const legacyBotIds = botsSnapshot.docs
+    .filter(doc => {
+      const { status, updateMode, webhookSecretHash } = doc.data();
+      return status !== 'paused' && updateMode !== 'polling' && !webhookSecretHash;
+    })
+    .map(doc => doc.id);
+
+  if (legacyBotIds.length === 0) {
+    return;
+  }
+
+  if (!baseUrl) {
+    console.warn(`PUBLIC_URL не задан: ${legacyBotIds.length} бот(ов) остаются на старом вебхуке без секрета`);
+    return;
+  }
+
+  for (const botId of legacyBotIds) {
+    try {
+      if (!(await claimWebhookMigration(botId))) {
+        continue;
+      }
+
+      await registerWebhook(botId, baseUrl);
+      console.log(`Вебхук бота ${botId} переведён на secret_token`);
+    } catch (error) {
+      console.error(`Не удалось перевести вебхук бота ${botId}:`, error.message);
+    }
+  }
+}
+
+/**
+ * Возвращает способ получения обновлений и состояние вебхука в Telegram
+ */
+async function getUpdatesStatus(botId, botData) {
+  const botInstance = await getBotInstance(botId);
+  const webhookInfo = await botInstance.getWebHookInfo();
+
+  return {
+    updateMode: botData.updateMode || (webhookInfo.url ? 'webhook' : null),
+    isPolling: pollers.has(botId),
+    webhookUrl: webhookInfo.url || null,
+    pendingUpdates: webhookInfo.pending_update_count || 0,
+    lastError: webhookInfo.last_error_message || null,
+    lastErrorAt: webhookInfo.last_error_date ? new Date(webhookInfo.last_error_date * 1000).toISOString() : null
+  };
+}
+
+module.exports = {
+  ALLOWED_UPDATES,
+  WEBHOOK_SECRET_HEADER,
+  WEBHOOK_SECRET_RECHECK_MS,
+  verifyWebhookSecret,
+  registerWebhook,
+  enablePolling,
+  startPolling,
+  stopPolling,
+  resumePolling,
+  migrateLegacyWebhooks,
+  getUpdatesStatus
+};
@@ -0,0 +1,297 @@
+const os = require('os');
+const admin = require('firebase-admin');
+const { registerJobHandler, scheduleJob } = require('./scheduler');
+
+// Идентификатор экземпляра, который держит аренду пересчёта счётчиков
+const WORKER_ID = `${os.hostname()}:${process.pid}`;
+const RECOUNT_LEASE_MS = 2 * 60 * 1000;
+const RECOUNT_PAGE_SIZE = 500;
+
+/**
+ * Определяет, что пользователь недоступен: заблокировал бота,
+ * удалил аккаунт или чат не найден
+ */
+function getUnreachableReason(error) {
+  const body = error.response && error.response.body;
+
+  if (error.code !== 'ETELEGRAM' || !body) {
+    return null;
+  }
+
+  const description = (body.description || '').toLowerCase();
+
+  if (body.error_code === 403) {
+    return description.includes('deactivated') ? 'deactivated' : 'blocked';
+  }
+
+  if (body.error_code === 400 && description.includes('chat not found')) {
+    return 'chat_not_found';
+  }
+
+  return null;
+}
+
+/**
+ * Помечает пользователя бота как недоступного
+ */
+async function markUserUnreachable(botId, userId, reason) {
+  await admin.firestore().collection('bots').doc(botId)
+    .collection('users').doc(userId.toString())
+    .set({
+      userId: parseInt(userId),
+      isUnreachable: true,
+      unreachableReason: reason,
+      unreachableAt: new Date().toISOString()
+    }, { merge: true });
+}
+
+/**
+ * Снимает отметку о недоступности (пользователь разблокировал бота)
+ */
+async function markUserReachable(botId, userId) {
+  await admin.firestore().collection('bots').doc(botId)
+    .collection('users').doc(userId.toString())
+    .set({
+      userId: parseInt(userId),
+      isUnreachable: false,
+      unreachableReason: null,
+      reachableAt: new Date().toISOString()
+    }, { merge: true });
+}
+
+/**
+ * Убирает из списка пользователей, помеченных недоступными
+ */
+async function filterReachableUserIds(botId, userIds) {
+  const db = admin.firestore();
+  const usersRef = db.collection('bots').doc(botId).collection('users');
+  const reachable = [];
+
+  for (let i = 0; i < userIds.length; i += 100) {
+    const chunk = userIds.slice(i, i + 100);
+    const userDocs = await db.getAll(...chunk.map(userId => usersRef.doc(userId.toString())));
+
+    userDocs.forEach((doc, index) => {
+      if (!doc.exists || !doc.data().isUnreachable) {
+        reachable.push(chunk[index]);
+      }
+    });
+  }
+
+  return reachable;
+}
+
+/**
+ * Увеличивает счётчики пользователя (totalLeads, totalReferrals и т.п.)
+ */
+async function incrementUserCounters(botId, userId, counters) {
+  const { FieldValue } = admin.firestore;
+  const update = { userId: parseInt(userId) };
+
+  for (const [counter, value] of Object.entries(counters)) {
+    update[counter] = FieldValue.increment(value);
+  }
+
+  await admin.firestore().collection('bots').doc(botId)
+    .collection('users').doc(userId.toString())
+    .set(update, { merge: true });
+}
+
+/**
+ * Обходит документы запроса страницами по курсору, не загружая коллекцию в память целиком
+ */
+async function forEachPage(query, callback) {
+  const { FieldPath } = admin.firestore;
+  let lastDoc = null;
+
+  for (;;) {
+    let pageQuery = query.orderBy(FieldPath.documentId()).limit(RECOUNT_PAGE_SIZE);
+    if (lastDoc) {
+      pageQuery = pageQuery.startAfter(lastDoc);
+    }
+
+    const snapshot = await pageQuery.get();
+    if (snapshot.empty) {
+      return;
+    }
+
+    await callback(snapshot.docs);
+
+    if (snapshot.size < RECOUNT_PAGE_SIZE) {
+      return;
+    }
+    lastDoc = snapshot.docs[snapshot.docs.length - 1];
+  }
+}
+
+/**
+ * Захватывает или продлевает аренду пересчёта счётчиков бота,
+ * чтобы пересчёт одновременно выполнял только один экземпляр сервера.
+ * Возвращает false, если аренду держит другой экземпляр
+ */
+async function claimRecountLease(botId) {
+  const db = admin.firestore();
+  const botRef = db.collection('bots').doc(botId);
+
+  return db.runTransaction(async (transaction) => {
+    const botDoc = await transaction.get(botRef);
+    const { recountLeaseOwner, recountLeaseUntil } = botDoc.data() || {};
+
+    if (recountLeaseUntil > new Date().toISOString() && recountLeaseOwner !== WORKER_ID) {
+      return false;
+    }
+
+    transaction.update(botRef, {
+      recountLeaseOwner: WORKER_ID,
+      recountLeaseUntil: new Date(Date.now() + RECOUNT_LEASE_MS).toISOString()
+    });
+    return true;
+  });
+}
+
+/**
+ * Пересчитывает счётчики спинов, лидов и засчитанных рефералов всех пользователей бота.
+ * Нужен для пользователей, созданных до появления счётчиков. Заодно заполняет joinedAt
+ * (по первому спину) и isUnreachable у старых пользователей, иначе список пользователей
+ * с сортировкой и фильтром по этим полям их не показывает.
+ * Рефералы без статуса записаны до проверок и засчитываются как рефералы первого уровня.
+ * Коллекции читаются страницами, в памяти остаются только счётчики по пользователям.
+ * Возвращает число пользователей или null, если пересчёт уже выполняет другой экземпляр
+ */
+async function recountUserCounters(botId) {
+  const db = admin.firestore();
+  const botRef = db.collection('bots').doc(botId);
+
+  if (!(await claimRecountLease(botId))) {
+    return null;
+  }
+
+  const spinCounts = new Map();
+  const firstSpinAt = new Map();
+  const leadCounts = new Map();
+  const referralCredits = new Map();
+
+  await forEachPage(botRef.collection('spins').select('userId', 'timestamp'), async (docs) => {
+    docs.forEach(doc => {
+      const { userId, timestamp } = doc.data();
+      const key = String(userId);
+      spinCounts.set(key, (spinCounts.get(key) || 0) + 1);
+
+      if (timestamp && (!firstSpinAt.has(key) || timestamp < firstSpinAt.get(key))) {
+        firstSpinAt.set(key, timestamp);
+      }
+    });
+  });
+
+  await forEachPage(botRef.collection('leads').select('userId'), async (docs) => {
+    docs.forEach(doc => {
+      const key = String(doc.data().userId);
+      leadCounts.set(key, (leadCounts.get(key) || 0) + 1);
+    });
+  });
+
+  await forEachPage(botRef.collection('referrals').select('referrerId', 'status', 'credits'), async (docs) => {
+    docs.forEach(doc => {
+      const { referrerId, status, credits } = doc.data();
+
+      if (status && status !== 'credited') {
+        return;
+      }
+
+      (credits || [{ userId: referrerId, level: 1 }]).forEach(({ userId, level }) => {
+        const userCredits = referralCredits.get(String(userId)) || {};
+        userCredits[level] = (userCredits[level] || 0) + 1;
+        referralCredits.set(String(userId), userCredits);
+      });
+    });
+  });
+
+  let updatedUsers = 0;
+  const now = new Date().toISOString();
+
+  await forEachPage(botRef.collection('users').select('joinedAt', 'isUnreachable', 'lastSpin', 'updatedAt'), async (docs) => {
+    // Аренда продлевается на каждой странице: пересчёт большого бота дольше срока аренды
+    if (!(await claimRecountLease(botId))) {
+      throw new Error('Аренда пересчёта счётчиков потеряна');
+    }
+
+    const batch = db.batch();
+    docs.forEach(doc => {
+      const userData = doc.data();
+      const userCredits = referralCredits.get(doc.id) || {};
+      const update = {
+        totalSpins: spinCounts.get(doc.id) || 0,
+        totalLeads: leadCounts.get(doc.id) || 0,
+        totalReferrals: userCredits[1] || 0,
+        referralCredits: userCredits
+      };
+
+      if (!userData.joinedAt) {
+        update.joinedAt = firstSpinAt.get(doc.id) || userData.lastSpin || userData.updatedAt || now;
+      }
+
+      if (userData.isUnreachable === undefined) {
+        update.isUnreachable = false;
+      }
+
+      batch.update(doc.ref, update);
+    });
+    await batch.commit();
+
+    updatedUsers += docs.length;
+  });
+
+  // После пересчёта попытки считаются только по referralCredits
+  await botRef.update({
+    countersBackfilledAt: new Date().toISOString(),
+    recountLeaseOwner: null,
+    recountLeaseUntil: null
+  });
+
+  return updatedUsers;
+}
+
+/**
+ * Пересчитывает счётчики бота, если это ещё не делалось
+ */
+async function backfillUserCounters({ botId }) {
+  const botDoc = await admin.firestore().collection('bots').doc(botId).get();
+
+  if (!botDoc.exists || botDoc.data().countersBackfilledAt) {
+    return;
+  }
+
+  // Пересчёт уже идёт на другом экземпляре: планировщик повторит задачу позже
+  if ((await recountUserCounters(botId)) === null) {
+    throw new Error('Пересчёт счётчиков уже выполняется');
+  }
+}
+
+/**
+ * Планирует пересчёт счётчиков для ботов, пользователи которых записаны
+ * до появления счётчиков и учёта рефералов по уровням. Вызывается при старте сервера
+ */
+async function scheduleCounterBackfill() {
+  const botsSnapshot = await admin.firestore().collection('bots').select('countersBackfilledAt').get();
+
+  for (const botDoc of botsSnapshot.docs) {
+    if (!botDoc.data().countersBackfilledAt) {
+      await scheduleJob('users.backfill_counters', { botId: botDoc.id }, {
+        botId: botDoc.id,
+        jobId: `backfill_counters_${botDoc.id}`
+      });
+    }
+  }
+}
+
+registerJobHandler('users.backfill_counters', backfillUserCounters);
+
+module.exports = {
+  getUnreachableReason,
+  markUserUnreachable,
+  markUserReachable,
+  filterReachableUserIds,
+  incrementUserCounters,
+  recountUserCounters,
+  scheduleCounterBackfill
+};
@@ -0,0 +1,324 @@
+const crypto = require('crypto');
+const admin = require('firebase-admin');
+const { getBotInstance } = require('./bots');
+const { registerJobHandler, scheduleJob } = require('./scheduler');
+const { getUnreachableReason, markUserUnreachable } = require('./users');
+const { renderText } = require('./templates');
+const { asHtml } = require('./messages');
+
+// Источники кодов: pool — загруженные администратором, generated — создаются при выигрыше
+const VOUCHER_SOURCES = ['pool', 'generated'];
+
+// Статусы кода: available — лежит в пуле, issued — выдан победителю, redeemed — погашен
+const VOUCHER_STATUSES = ['available', 'issued', 'redeemed'];
+
+// Без похожих символов (0/O, 1/I), чтобы код было проще продиктовать кассиру
+const CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const GENERATED_CODE_LENGTH = 10;
+const MAX_POOL_UPLOAD = 5000;
+
+/**
+ * Проверяет настройки выдачи кодов у призов колеса.
+ * Возвращает текст ошибки или null
+ */
+function validateVoucherSettings(items) {
+  for (const item of items) {
+    if (!item.voucher) {
+      continue;
+    }
+
+    const { source, prefix, validDays } = item.voucher;
+
+    if (!VOUCHER_SOURCES.includes(source)) {
+      return `Неверный источник кодов у приза «${item.label}»`;
+    }
+
+    if (prefix && !/^[A-Z0-9-]{1,10}$/.test(prefix)) {
+      return `Префикс кода у приза «${item.label}» может содержать до 10 заглавных латинских букв, цифр или -`;
+    }
+
+    if (validDays != null && (!Number.isInteger(validDays) || validDays < 1)) {
+      return `Срок действия кода у приза «${item.label}» должен быть положительным числом дней`;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Создает случайный код с префиксом приза
+ */
+function generateVoucherCode(prefix) {
+  const bytes = crypto.randomBytes(GENERATED_CODE_LENGTH);
+  const code = [...bytes].map(byte => CODE_ALPHABET[byte % CODE_ALPHABET.length]).join('');
+
+  return prefix ? `${prefix}-${code}` : code;
+}
+
+/**
+ * Приводит введённый код к виду, в котором он хранится
+ */
+function normalizeVoucherCode(code) {
+  return String(code || '').trim().toUpperCase();
+}
+
+/**
+ * Подбирает код для приза внутри транзакции спина (только чтение).
+ * Возвращает null, если приз выдаётся без кода, и { empty: true }, если пул исчерпан
+ */
+async function reserveVoucher(transaction, botId, item) {
+  if (!item.voucher) {
+    return null;
+  }
+
+  const vouchersRef = admin.firestore().collection('bots').doc(botId).collection('vouchers');
+
+  if (item.voucher.source === 'generated') {
+    return { code: generateVoucherCode(item.voucher.prefix), fromPool: false, expiresAt: null };
+  }
+
+  const poolSnapshot = await transaction.get(
+    vouchersRef.where('itemId', '==', item.id).where('status', '==', 'available').limit(1)
+  );
+
+  if (poolSnapshot.empty) {
+    return { empty: true };
+  }
+
+  const poolVoucher = poolSnapshot.docs[0].data();
+  return { code: poolVoucher.code, fromPool: true, expiresAt: poolVoucher.expiresAt || null };
+}
+
+/**
+ * Записывает выданный код внутри транзакции спина.
+ * Срок действия кода из пула важнее срока, заданного у приза
+ */
+function issueVoucher(transaction, botId, item, reservation, { userId, spinId, now }) {
+  const voucherRef = admin.firestore().collection('bots').doc(botId).collection('vouchers').doc(reservation.code);
+
+  let expiresAt = reservation.expiresAt;
+  if (!expiresAt && item.voucher.validDays) {
+    expiresAt = new Date(new Date(now).getTime() + item.voucher.validDays * 24 * 60 * 60 * 1000).toISOString();
+  }
+
+  const voucher = {
+    status: 'issued',
+    userId: parseInt(userId),
+    spinId,
+    prize: item.label,
+    issuedAt: now,
+    expiresAt: expiresAt || null,
+    updatedAt: now
+  };
+
+  if (reservation.fromPool) {
+    transaction.update(voucherRef, voucher);
+  } else {
+    // create не даст перезаписать код при случайном совпадении
+    transaction.create(voucherRef, {
+      code: reservation.code,
+      itemId: item.id || null,
+      source: 'generated',
+      createdAt: now,
+      redeemedAt: null,
+      redeemedBy: null,
+      ...voucher
+    });
+  }
+
+  return { code: reservation.code, expiresAt: voucher.expiresAt };
+}
+
+/**
+ * Загружает коды в пул приза. Уже существующие коды пропускаются
+ */
+async function uploadVoucherPool(botId, itemId, codes, expiresAt) {
+  const db = admin.firestore();
+  const vouchersRef = db.collection('bots').doc(botId).collection('vouchers');
+  const uniqueCodes = [...new Set(codes.map(normalizeVoucherCode).filter(Boolean))];
+
+  if (uniqueCodes.length === 0 || uniqueCodes.length > MAX_POOL_UPLOAD) {
+    return { error: `За раз можно загрузить от 1 до ${MAX_POOL_UPLOAD} кодов` };
+  }
+
+  if (uniqueCodes.some(code => !/^[A-Z0-9_-]{4,64}$/.test(code))) {
+    return { error: 'Код может содержать 4-64 латинских букв, цифр, _ или -' };
+  }
+
+  const now = new Date().toISOString();
+  let added = 0;
+
+  for (let i = 0; i < uniqueCodes.length; i += 500) {
+    const chunk = uniqueCodes.slice(i, i + 500);
+    const existingDocs = await db.getAll(...chunk.map(code => vouchersRef.doc(code)));
+    const batch = db.batch();
+
+    chunk.forEach((code, index) => {
+      if (existingDocs[index].exists) {
+        return;
+      }
+
+      batch.set(vouchersRef.doc(code), {
+        code,
+        itemId,
+        source: 'pool',
+        status: 'available',
+        userId: null,
+        spinId: null,
+        prize: null,
+        issuedAt: null,
+        expiresAt: expiresAt || null,
+        redeemedAt: null,
+        redeemedBy: null,
+        createdAt: now,
+        updatedAt: now
+      });
+      added += 1;
+    });
+
+    await batch.commit();
+  }
+
+  return { added, skipped: uniqueCodes.length - added };
+}
+
+/**
+ * Возвращает данные кода для проверки кассиром или партнёром
+ */
+function formatVoucher(voucher) {
+  return {
+    code: voucher.code,
+    prize: voucher.prize,
+    status: voucher.status,
+    userId: voucher.userId,
+    issuedAt: voucher.issuedAt,
+    expiresAt: voucher.expiresAt,
+    isExpired: !!voucher.expiresAt && voucher.expiresAt < new Date().toISOString(),
+    redeemedAt: voucher.redeemedAt,
+    redeemedBy: voucher.redeemedBy
+  };
+}
+
+/**
+ * Получает выданный код. Коды, лежащие в пуле, считаются несуществующими
+ */
+async function getVoucher(botId, code) {
+  const voucherDoc = await admin.firestore().collection('bots').doc(botId)
+    .collection('vouchers').doc(normalizeVoucherCode(code) || '-')
+    .get();
+
+  if (!voucherDoc.exists || voucherDoc.data().status === 'available') {
+    return null;
+  }
+
+  return formatVoucher(voucherDoc.data());
+}
+
+/**
+ * Гасит код. Погасить код можно только один раз и только до окончания срока действия
+ */
+async function redeemVoucher(botId, code, redeemedBy) {
+  const db = admin.firestore();
+  const voucherRef = db.collection('bots').doc(botId).collection('vouchers').doc(normalizeVoucherCode(code) || '-');
+
+  return db.runTransaction(async (transaction) => {
+    const voucherDoc = await transaction.get(voucherRef);
+
+    if (!voucherDoc.exists || voucherDoc.data().status === 'available') {
+      return { error: 'Код не найден', status: 404 };
+    }
+
+    const voucher = voucherDoc.data();
+
+    if (voucher.status === 'redeemed') {
+      return { error: 'Код уже погашен', status: 409, voucher: formatVoucher(voucher) };
+    }
+
+    const now = new Date().toISOString();
+
+    if (voucher.expiresAt && voucher.expiresAt < now) {
+      return { error: 'Срок действия кода истёк', status: 410, voucher: formatVoucher(voucher) };
+    }
+
+    const update = { status: 'redeemed', redeemedAt: now, redeemedBy, updatedAt: now };
+    transaction.update(voucherRef, update);
+
+    return { voucher: formatVoucher({ ...voucher, ...update }) };
+  });
+}
+
+/**
+ * Планирует отправку кода победителю ботом
+ */
+async function scheduleVoucherDelivery(botId, code) {
+  try {
+    await scheduleJob('voucher.deliver', { botId, code }, {
+      botId,
+      jobId: `voucher_${botId}_${code}`
+    });
+  } catch (error) {
+    console.error('Ошибка планирования отправки кода:', error);
+  }
+}
+
+/**
+ * Отправляет победителю выданный код.
+ * Ошибки Telegram, кроме недоступности пользователя, приводят к повтору задачи
+ */
+async function deliverVoucher({ botId, code }) {
+  const db = admin.firestore();
+  const botRef = db.collection('bots').doc(botId);
+  const voucherRef = botRef.collection('vouchers').doc(code);
+
+  const [botDoc, voucherDoc] = await Promise.all([botRef.get(), voucherRef.get()]);
+  if (!botDoc.exists || !voucherDoc.exists || voucherDoc.data().deliveredAt) {
+    return;
+  }
+
+  const voucher = voucherDoc.data();
+
+  // Сообщение отправляется на языке пользователя
+  const userDoc = await botRef.collection('users').doc(voucher.userId.toString()).get();
+  const languageCode = userDoc.exists ? userDoc.data().languageCode : null;
+  const expiresAt = voucher.expiresAt ? voucher.expiresAt.slice(0, 10) : '';
+
+  const expiresText = expiresAt
+    ? await renderText(botId, languageCode, 'voucher.expires', { expires_at: expiresAt }, { html: true })
+    : '';
+
+  const text = await renderText(botId, languageCode, 'voucher.delivered', {
+    code: voucher.code,
+    prize: voucher.prize,
+    expires_at: expiresAt,
+    expires_text: asHtml(expiresText)
+  }, { html: true });
+
+  try {
+    const botInstance = await getBotInstance(botId);
+    await botInstance.sendMessage(voucher.userId, text, { parse_mode: 'HTML' });
+  } catch (error) {
+    const unreachableReason = getUnreachableReason(error);
+    if (!unreachableReason) {
+      throw error;
+    }
+
+    await markUserUnreachable(botId, voucher.userId, unreachableReason);
+    await voucherRef.update({ deliveryError: unreachableReason });
+    return;
+  }
+
+  await voucherRef.update({ deliveredAt: new Date().toISOString() });
+}
+
+registerJobHandler('voucher.deliver', deliverVoucher);
+
+module.exports = {
+  VOUCHER_STATUSES,
+  validateVoucherSettings,
+  reserveVoucher,
+  issueVoucher,
+  uploadVoucherPool,
+  getVoucher,
+  redeemVoucher,
+  scheduleVoucherDelivery
+};
@@ -0,0 +1,231 @@
+const crypto = require('crypto');
+const admin = require('firebase-admin');
+const { registerJobHandler, scheduleJob } = require('./scheduler');
+
+// События, на которые можно подписать вебхук
+const WEBHOOK_EVENTS = ['spin.created', 'lead.created', 'lead.fallback', 'referral.created', 'voucher.redeemed'];
+
+const DELIVERY_TIMEOUT_MS = 10 * 1000;
+const MAX_DELIVERY_ATTEMPTS = 6;
+
+/**
+ * Проверяет настройки подписки.
+ * Возвращает { webhook } или { error }
+ */
+function normalizeWebhook({ url, events, isActive }) {
+  let parsedUrl;
+  try {
+    parsedUrl = new URL(url);
+  } catch (error) {
+    return { error: 'Неверный URL вебхука' };
+  }
+
+  if (!['https:', 'http:'].includes(parsedUrl.protocol)) {
+    return { error: 'URL вебхука должен начинаться с http:// или https://' };
+  }
+
+  if (!Array.isArray(events) || events.length === 0) {
+    return { error: 'Не указаны события вебхука' };
+  }
+
+  const unknownEvent = events.find(event => !WEBHOOK_EVENTS.includes(event));
+  if (unknownEvent) {
+    return { error: `Неизвестное событие: ${unknownEvent}` };
+  }
+
+  return {
+    webhook: {
+      url: parsedUrl.toString(),
+      events: [...new Set(events)],
+      isActive: isActive !== false
+    }
+  };
+}
+
+/**
+ * Генерирует секрет для подписи запросов
+ */
+function generateWebhookSecret() {
+  return crypto.randomBytes(32).toString('hex');
+}
+
+/**
+ * Подписывает тело запроса: HMAC-SHA256 от "<timestamp>.<body>"
+ */
+function signPayload(secret, timestamp, body) {
+  return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+/**
+ * Создаёт доставки события всем подписанным вебхукам бота.
+ * eventKey делает доставку идемпотентной: повтор события с тем же ключом
+ * не создаёт вторую доставку
+ */
+async function emitWebhookEvent(botId, event, eventKey, data) {
+  try {
+    const db = admin.firestore();
+    const botRef = db.collection('bots').doc(botId);
+
+    const webhooksSnapshot = await botRef.collection('webhooks')
+      .where('events', 'array-contains', event)
+      .get();
+
+    for (const webhookDoc of webhooksSnapshot.docs) {
+      if (!webhookDoc.data().isActive) {
+        continue;
+      }
+
+      const deliveryRef = botRef.collection('webhookDeliveries').doc(`${event}_${eventKey}_${webhookDoc.id}`);
+      const now = new Date().toISOString();
+
+      try {
+        await deliveryRef.create({
+          deliveryId: deliveryRef.id,
+          webhookId: webhookDoc.id,
+          event,
+          payload: {
+            event,
+            botId,
+            occurredAt: now,
+            data
+          },
+          status: 'pending',
+          attempts: 0,
+          lastError: null,
+          createdAt: now,
+          updatedAt: now
+        });
+      } catch (error) {
+        // 6 = ALREADY_EXISTS: событие уже доставляется
+        if (error.code === 6) {
+          continue;
+        }
+        throw error;
+      }
+
+      await scheduleDelivery(botId, deliveryRef.id, `webhook_${botId}_${deliveryRef.id}`);
+    }
+  } catch (error) {
+    console.error(`Ошибка отправки события вебхуков ${event}:`, error);
+  }
+}
+
+/**
+ * Ставит доставку в планировщик задач
+ */
+async function scheduleDelivery(botId, deliveryId, jobId) {
+  await scheduleJob('webhook.delivery', { botId, deliveryId }, {
+    botId,
+    jobId,
+    maxAttempts: MAX_DELIVERY_ATTEMPTS
+  });
+}
+
+/**
+ * Отправляет доставку и записывает результат попытки.
+ * Ошибка приводит к повтору задачи планировщиком с нарастающей задержкой
+ */
+async function deliverWebhook({ botId, deliveryId }, job) {
+  const db = admin.firestore();
+  const botRef = db.collection('bots').doc(botId);
+  const deliveryRef = botRef.collection('webhookDeliveries').doc(deliveryId);
+  const deliveryDoc = await deliveryRef.get();
+
+  if (!deliveryDoc.exists || deliveryDoc.data().status === 'delivered') {
+    return;
+  }
+
+  const delivery = deliveryDoc.data();
+  const webhookDoc = await botRef.collection('webhooks').doc(delivery.webhookId).get();
+
+  if (!webhookDoc.exists || !webhookDoc.data().isActive) {
+    await deliveryRef.update({ status: 'cancelled', updatedAt: new Date().toISOString() });
+    return;
+  }
+
+  const webhook = webhookDoc.data();
+  const body = JSON.stringify(delivery.payload);
+  const timestamp = Math.floor(Date.now() / 1000).toString();
+  const attempt = delivery.attempts + 1;
+  const startedAt = Date.now();
+
+  let statusCode = null;
+  let deliveryError = null;
+
+  try {
+    const response = await fetch(webhook.url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'X-Webhook-Event': delivery.event,
+        'X-Webhook-Delivery': deliveryId,
+        'X-Webhook-Timestamp': timestamp,
+        'X-Webhook-Signature': `sha256=${signPayload(webhook.secret, timestamp, body)}`
+      },
+      body,
+      signal: AbortSignal.timeout(DELIVERY_TIMEOUT_MS)
+    });
+
+    statusCode = response.status;
+    if (!response.ok) {
+      deliveryError = `HTTP ${response.status}`;
+    }
+  } catch (error) {
+    deliveryError = error.message;
+  }
+
+  const now = new Date().toISOString();
+  const isLastAttempt = job.attempts >= job.maxAttempts;
+  const batch = db.batch();
+
+  batch.set(deliveryRef.collection('attempts').doc(), {
+    attempt,
+    statusCode,
+    error: deliveryError,
+    durationMs: Date.now() - startedAt,
+    attemptedAt: now
+  });
+
+  batch.update(deliveryRef, {
+    status: deliveryError ? (isLastAttempt ? 'failed' : 'retrying') : 'delivered',
+    attempts: attempt,
+    lastStatusCode: statusCode,
+    lastError: deliveryError,
+    deliveredAt: deliveryError ? null : now,
+    updatedAt: now
+  });
+
+  await batch.commit();
+
+  if (deliveryError) {
+    throw new Error(`Вебхук ${delivery.webhookId}: ${deliveryError}`);
+  }
+}
+
+/**
+ * Повторно отправляет доставку (например, после исправления URL на стороне клиента)
+ */
+async function replayWebhookDelivery(botId, deliveryId) {
+  const deliveryRef = admin.firestore().collection('bots').doc(botId)
+    .collection('webhookDeliveries').doc(deliveryId);
+  const deliveryDoc = await deliveryRef.get();
+
+  if (!deliveryDoc.exists) {
+    return false;
+  }
+
+  await deliveryRef.update({ status: 'pending', updatedAt: new Date().toISOString() });
+  await scheduleDelivery(botId, deliveryId, `webhook_${botId}_${deliveryId}_${Date.now()}`);
+
+  return true;
+}
+
+registerJobHandler('webhook.delivery', deliverWebhook);
+
+module.exports = {
+  WEBHOOK_EVENTS,
+  normalizeWebhook,
+  generateWebhookSecret,
+  emitWebhookEvent,
+  replayWebhookDelivery
+};
@@ -0,0 +1,289 @@
+const admin = require('firebase-admin');
+
+// Кампания, в которую пишет /wheel-config без указания campaignId
+const DEFAULT_CAMPAIGN_ID = 'default';
+
+/**
+ * Находит кампанию бота, активную в указанный момент.
+ * Если подходит несколько, выбирается начавшаяся последней
+ */
+async function getActiveCampaign(botId, at = new Date().toISOString()) {
+  const db = admin.firestore();
+  const snapshot = await db.collection('bots').doc(botId)
+    .collection('campaigns')
+    .where('status', '==', 'active')
+    .get();
+  
+  const running = snapshot.docs
+    .map(doc => ({ id: doc.id, ...doc.data() }))
+    .filter(campaign => campaign.currentVersion &&
+      (!campaign.startsAt || campaign.startsAt <= at) &&
+      (!campaign.endsAt || at < campaign.endsAt))
+    .sort((a, b) => (b.startsAt || '').localeCompare(a.startsAt || ''));
+  
+  return running[0] || null;
+}
+
+/**
+ * Получает конфигурацию колеса для бота.
+ * Возвращает призы активной кампании, её версию, правила попыток
+ * и коллекцию, в которой хранятся счётчики выданных призов
+ */
+async function getWheelConfig(botId) {
+  try {
+    const db = admin.firestore();
+    const campaign = await getActiveCampaign(botId);
+    
+    if (campaign) {
+      const campaignRef = db.collection('bots').doc(botId).collection('campaigns').doc(campaign.id);
+      const [versionDoc, stockSnapshot] = await Promise.all([
+        campaignRef.collection('versions').doc(String(campaign.currentVersion)).get(),
+        campaignRef.collection('stock').get()
+      ]);
+      
+      const stock = new Map(stockSnapshot.docs.map(doc => [doc.id, doc.data()]));
+      
+      return {
+        campaignId: campaign.id,
+        version: campaign.currentVersion,
+        rules: {
+          baseAttempts: campaign.baseAttempts,
+          referralBonus: campaign.referralBonus
+        },
+        stockCollection: campaignRef.collection('stock'),
+        items: (versionDoc.data().items || []).map(item => ({ ...item, ...stock.get(item.id) }))
+      };
+    }
+    
+    // Кампаний нет — используем призы из wheelItems
+    const wheelItemsRef = db.collection('bots').doc(botId).collection('wheelItems');
+    const snapshot = await wheelItemsRef.orderBy('position').get();
+    
+    const config = {
+      campaignId: null,
+      version: null,
+      rules: {},
+      stockCollection: wheelItemsRef
+    };
+    
+    if (snapshot.empty) {
+      // Возвращаем дефолтные настройки
+      return {
+        ...config,
+        items: [
+          { label: 'Приз 1', weight: 10, winText: 'Поздравляем!' },
+          { label: 'Приз 2', weight: 10, winText: 'Удача на вашей стороне!' }
+        ]
+      };
+    }
+    
+    return {
+      ...config,
+      items: snapshot.docs.map(doc => ({
+        id: doc.id,
+        ...doc.data()
+      }))
+    };
+  } catch (error) {
+    console.error('Ошибка получения конфигурации колеса:', error);
+    throw error;
+  }
+}
+
+/**
+ * Возвращает награду (в попытках) за засчитанного реферала указанного уровня.
+ * Награду первого уровня может переопределить кампания
+ */
+function getReferralReward(botData, wheelConfig, level) {
+  const rewards = botData.referralRewards || [];
+  
+  if (level === 1) {
+    return wheelConfig.rules.referralBonus || rewards[0] || botData.referralBonus || 2;
+  }
+  
+  return rewards[level - 1] || 0;
+}
+
+/**
+ * Возвращает засчитанных рефералов пользователя по уровням.
+ * У пользователей, записанных до учёта по уровням, referralCredits ещё нет —
+ * их рефералы считаются рефералами первого уровня (totalReferrals или legacyReferralsCount)
+ */
+function getReferralCredits(userData, legacyReferralsCount = 0) {
+  if (userData.referralCredits) {
+    return userData.referralCredits;
+  }
+  
+  return { 1: userData.totalReferrals != null ? userData.totalReferrals : legacyReferralsCount };
+}
+
+/**
+ * Считает рефералов пользователя, у которого нет ни referralCredits, ни totalReferrals,
+ * пока счётчики бота не пересчитаны (botData.countersBackfilledAt). В остальных случаях 0.
+ * В транзакции запрос выполняется через transaction
+ */
+async function getLegacyReferralsCount(botId, botData, userId, userData, transaction) {
+  if (botData.countersBackfilledAt || userData.referralCredits || userData.totalReferrals != null) {
+    return 0;
+  }
+  
+  const query = admin.firestore().collection('bots').doc(botId)
+    .collection('referrals')
+    .where('referrerId', '==', parseInt(userId));
+  const snapshot = transaction ? await transaction.get(query) : await query.get();
+  
+  // Рефералы без статуса записаны до проверок и засчитываются сразу
+  return snapshot.docs.filter(doc => !doc.data().status || doc.data().status === 'credited').length;
+}
+
+/**
+ * Рассчитывает выданные и использованные попытки пользователя.
+ * Бонус за рефералов начисляется по засчитанным рефералам каждого уровня
+ * (userData.referralCredits), бонусные попытки из журнала — по userData.bonusAttempts.
+ * Именованные кампании ведут собственный счётчик спинов
+ */
+function calculateAttempts(botData, wheelConfig, userData, legacyReferralsCount = 0) {
+  const baseAttempts = wheelConfig.rules.baseAttempts || botData.baseAttempts || 2;
+  const referralCredits = getReferralCredits(userData, legacyReferralsCount);
+  const referralAttempts = Object.entries(referralCredits).reduce(
+    (sum, [level, count]) => sum + getReferralReward(botData, wheelConfig, parseInt(level)) * count, 0
+  );
+  const attemptsGranted = baseAttempts + referralAttempts + (userData.bonusAttempts || 0);
+  
+  let attemptsUsed = userData.totalSpins || 0;
+  if (wheelConfig.campaignId && wheelConfig.campaignId !== DEFAULT_CAMPAIGN_ID) {
+    attemptsUsed = (userData.campaignSpins || {})[wheelConfig.campaignId] || 0;
+  }
+  
+  return { attemptsGranted, attemptsUsed };
+}
+
+/**
+ * Подготавливает призы для новой версии конфигурации: у каждого приза
+ * появляется постоянный id, по которому ведётся учёт остатков
+ */
+function normalizeWheelItems(items, stockCollection) {
+  return items.map(item => ({
+    id: item.id || stockCollection.doc().id,
+    label: item.label,
+    weight: item.weight || 10,
+    winText: item.winText || '',
+    quantity: item.quantity != null ? parseInt(item.quantity) : null,
+    dailyLimit: item.dailyLimit != null ? parseInt(item.dailyLimit) : null,
+    perUserLimit: item.perUserLimit != null ? parseInt(item.perUserLimit) : null,
+    isConsolation: !!item.isConsolation,
+    voucher: item.voucher ? {
+      source: item.voucher.source,
+      prefix: item.voucher.prefix || '',
+      validDays: item.voucher.validDays || null
+    } : null
+  }));
+}
+
+/**
+ * Сохраняет новую версию конфигурации кампании и делает её текущей
+ */
+async function createCampaignVersion(botId, campaignId, items, adminId) {
+  const db = admin.firestore();
+  const campaignRef = db.collection('bots').doc(botId).collection('campaigns').doc(campaignId);
+  
+  return db.runTransaction(async (transaction) => {
+    const campaignDoc = await transaction.get(campaignRef);
+    if (!campaignDoc.exists) {
+      return null;
+    }
+    
+    const version = (campaignDoc.data().latestVersion || 0) + 1;
+    const now = new Date().toISOString();
+    
+    transaction.set(campaignRef.collection('versions').doc(String(version)), {
+      version,
+      items: normalizeWheelItems(items, campaignRef.collection('stock')),
+      createdBy: adminId,
+      createdAt: now
+    });
+    
+    transaction.update(campaignRef, {
+      latestVersion: version,
+      currentVersion: version,
+      updatedAt: now
+    });
+    
+    return version;
+  });
+}
+
+/**
+ * Проверяет, не исчерпаны ли лимиты приза (общий запас, дневной и на пользователя)
+ */
+function isPrizeAvailable(item, prizeWins, today) {
+  if (item.quantity != null && (item.issuedCount || 0) >= item.quantity) {
+    return false;
+  }
+  
+  if (item.dailyLimit != null && item.issuedDate === today && (item.issuedToday || 0) >= item.dailyLimit) {
+    return false;
+  }
+  
+  if (item.perUserLimit != null && (prizeWins[item.id] || 0) >= item.perUserLimit) {
+    return false;
+  }
+  
+  return true;
+}
+
+/**
+ * Выбирает приз по весам
+ */
+function pickWeightedPrize(wheelItems) {
+  const totalWeight = wheelItems.reduce((sum, item) => sum + (item.weight || 10), 0);
+  let randomWeight = Math.random() * totalWeight;
+  
+  for (const item of wheelItems) {
+    randomWeight -= (item.weight || 10);
+    if (randomWeight <= 0) {
+      return item;
+    }
+  }
+  
+  return wheelItems[0];
+}
+
+/**
+ * Рассчитывает попытки пользователя по правилам активной кампании
+ */
+async function getUserAttempts(botId, botData, userId, wheelConfig) {
+  const db = admin.firestore();
+  const config = wheelConfig || await getWheelConfig(botId);
+  
+  const userDoc = await db.collection('bots').doc(botId).collection('users').doc(userId.toString()).get();
+  
+  const userData = userDoc.exists ? userDoc.data() : {};
+  const legacyReferralsCount = await getLegacyReferralsCount(botId, botData, userId, userData);
+  const { attemptsGranted, attemptsUsed } = calculateAttempts(botData, config, userData, legacyReferralsCount);
+  
+  return {
+    attemptsGranted,
+    attemptsUsed,
+    attemptsLeft: Math.max(0, attemptsGranted - attemptsUsed),
+    referralsCount: getReferralCredits(userData, legacyReferralsCount)[1] || 0,
+    bonusAttempts: userData.bonusAttempts || 0,
+    userData,
+    wheelConfig: config
+  };
+}
+
+module.exports = {
+  DEFAULT_CAMPAIGN_ID,
+  getActiveCampaign,
+  getWheelConfig,
+  getReferralReward,
+  getReferralCredits,
+  getLegacyReferralsCount,
+  calculateAttempts,
+  getUserAttempts,
+  normalizeWheelItems,
+  createCampaignVersion,
+  isPrizeAvailable,
+  pickWeightedPrize
+};
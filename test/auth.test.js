@@ -0,0 +1,55 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { validateInitData } = require('../middleware/auth');
+const { signInitData } = require('./helpers/telegram');
+
+const BOT_TOKEN = '123456:TEST-token_for-init-data-validation';
+
+function createFields(overrides = {}) {
+  return {
+    auth_date: String(Math.floor(Date.now() / 1000)),
+    query_id: 'AAHdF6IQAAAAAN0XohDhrOrc',
+    user: JSON.stringify({ id: 42, first_name: 'Иван', username: 'ivan' }),
+    ...overrides
+  };
+}
+
+test('validateInitData: принимает подписанные данные и возвращает пользователя', () => {
+  const result = validateInitData(signInitData(createFields({ start_param: 'promo' }), BOT_TOKEN), BOT_TOKEN);
+
+  assert.equal(result.user.id, 42);
+  assert.equal(result.user.username, 'ivan');
+  assert.equal(result.queryId, 'AAHdF6IQAAAAAN0XohDhrOrc');
+  assert.equal(result.startParam, 'promo');
+});
+
+test('validateInitData: отклоняет изменённые данные', () => {
+  const initData = signInitData(createFields(), BOT_TOKEN).replace('%22id%22%3A42', '%22id%22%3A43');
+
+  assert.equal(validateInitData(initData, BOT_TOKEN), null);
+});
+
+test('validateInitData: отклоняет подпись токеном другого бота', () => {
+  const initData = signInitData(createFields(), '654321:OTHER-token_for-init-data-validation');
+
+  assert.equal(validateInitData(initData, BOT_TOKEN), null);
+});
+
+test('validateInitData: отклоняет данные без hash', () => {
+  assert.equal(validateInitData(new URLSearchParams(createFields()).toString(), BOT_TOKEN), null);
+});
+
+test('validateInitData: отклоняет устаревшие данные', () => {
+  const authDate = String(Math.floor(Date.now() / 1000) - 120);
+  const initData = signInitData(createFields({ auth_date: authDate }), BOT_TOKEN);
+
+  assert.equal(validateInitData(initData, BOT_TOKEN, 60), null);
+  assert.ok(validateInitData(initData, BOT_TOKEN, 300));
+});
+
+test('validateInitData: отклоняет данные без пользователя', () => {
+  const fields = createFields();
+  delete fields.user;
+
+  assert.equal(validateInitData(signInitData(fields, BOT_TOKEN), BOT_TOKEN), null);
+});
@@ -0,0 +1,110 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { installFirestore } = require('./helpers/firestore');
+const { stubTelegramApi } = require('./helpers/telegram');
+
+const db = installFirestore();
+const requests = stubTelegramApi();
+const { createBroadcastJob, changeBroadcastStatus, processBroadcastJobs } = require('../services/broadcasts');
+
+const BOT_ID = 'bot1';
+const broadcastsPath = `bots/${BOT_ID}/broadcasts`;
+const lockPath = `bots/${BOT_ID}/locks/broadcasts`;
+
+test.before(async () => {
+  await db.doc(`bots/${BOT_ID}`).set({ name: 'Колесо', botToken: '123456:TEST-token' });
+});
+
+test.beforeEach(() => {
+  requests.length = 0;
+});
+
+function getSentChatIds() {
+  return requests.filter(({ method }) => method === 'sendMessage').map(({ params }) => params.chat_id);
+}
+
+test('createBroadcastJob: задача создаётся в preparing, получателей определяет воркер', async () => {
+  const { jobId } = await createBroadcastJob(BOT_ID, { message: 'Привет', userIds: [1, 2, 2], createdBy: 'admin' });
+
+  assert.equal(db.getData(`${broadcastsPath}/${jobId}`).status, 'preparing');
+  assert.deepEqual(db.getCollection(`${broadcastsPath}/${jobId}/recipients`), {});
+
+  await processBroadcastJobs();
+
+  const job = db.getData(`${broadcastsPath}/${jobId}`);
+  assert.equal(job.status, 'queued');
+  assert.equal(job.totalRecipients, 2);
+
+  await processBroadcastJobs();
+
+  const completed = db.getData(`${broadcastsPath}/${jobId}`);
+  assert.equal(completed.status, 'completed');
+  assert.equal(completed.sent, 2);
+  assert.deepEqual(getSentChatIds().sort(), [1, 2]);
+  assert.equal(db.getData(lockPath), undefined);
+});
+
+test('processBroadcastJobs: пока аренду отправки бота держит другой экземпляр, рассылка не отправляется', async () => {
+  const { jobId } = await createBroadcastJob(BOT_ID, { message: 'Акция', userIds: [3], createdBy: 'admin' });
+  await db.doc(lockPath).set({ leaseOwner: 'other-host:1', leaseUntil: new Date(Date.now() + 60 * 1000).toISOString() });
+
+  await processBroadcastJobs();
+
+  assert.equal(db.getData(`${broadcastsPath}/${jobId}`).status, 'preparing');
+  assert.equal(db.getData(lockPath).leaseOwner, 'other-host:1');
+
+  // Аренда истекла (экземпляр упал) — рассылку подхватывает этот экземпляр
+  await db.doc(lockPath).update({ leaseUntil: new Date(Date.now() - 1000).toISOString() });
+
+  await processBroadcastJobs();
+  await processBroadcastJobs();
+
+  assert.equal(db.getData(`${broadcastsPath}/${jobId}`).status, 'completed');
+  assert.deepEqual(getSentChatIds(), [3]);
+});
+
+test('processBroadcastJobs: задачу с действующей арендой другого экземпляра не трогает', async () => {
+  const { jobId } = await createBroadcastJob(BOT_ID, { message: 'Акция', userIds: [4], createdBy: 'admin' });
+  await processBroadcastJobs();
+  await db.doc(`${broadcastsPath}/${jobId}`).update({
+    status: 'running',
+    leaseOwner: 'other-host:1',
+    leaseUntil: new Date(Date.now() + 60 * 1000).toISOString()
+  });
+
+  await processBroadcastJobs();
+
+  assert.equal(db.getData(`${broadcastsPath}/${jobId}`).status, 'running');
+  assert.deepEqual(getSentChatIds(), []);
+
+  await changeBroadcastStatus(BOT_ID, jobId, 'cancel');
+});
+
+test('processBroadcastJobs: прерванная отправка не повторяется, получатель учитывается как uncertain', async () => {
+  const { jobId } = await createBroadcastJob(BOT_ID, { message: 'Акция', userIds: [5, 6], createdBy: 'admin' });
+  await processBroadcastJobs();
+
+  // Экземпляр упал после отправки получателю 5, не успев сохранить результат
+  await db.doc(`${broadcastsPath}/${jobId}/recipients/5`).update({ status: 'sending' });
+
+  await processBroadcastJobs();
+
+  const job = db.getData(`${broadcastsPath}/${jobId}`);
+  assert.equal(job.status, 'completed');
+  assert.equal(job.sent, 1);
+  assert.equal(job.uncertain, 1);
+  assert.deepEqual(getSentChatIds(), [6]);
+  assert.equal(db.getData(`${broadcastsPath}/${jobId}/recipients/5`).status, 'uncertain');
+});
+
+test('changeBroadcastStatus: отмена во время подготовки, пауза только для запущенных', async () => {
+  const { jobId } = await createBroadcastJob(BOT_ID, { message: 'Акция', userIds: [7], createdBy: 'admin' });
+
+  assert.equal((await changeBroadcastStatus(BOT_ID, jobId, 'pause')).status, 409);
+  assert.equal((await changeBroadcastStatus(BOT_ID, jobId, 'cancel')).status, 'cancelled');
+
+  await processBroadcastJobs();
+
+  assert.equal(db.getData(`${broadcastsPath}/${jobId}`).status, 'cancelled');
+  assert.deepEqual(getSentChatIds(), []);
+});
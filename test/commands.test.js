@@ -0,0 +1,69 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { installFirestore } = require('./helpers/firestore');
+
+const db = installFirestore();
+const { handleMessage } = require('../services/commands');
+
+const BOT_ID = 'bot1';
+const botData = { name: 'Колесо', username: 'wheel_bot' };
+const usersPath = `bots/${BOT_ID}/users`;
+
+const sent = [];
+const botInstance = {
+  sendMessage: async (chatId, text, options) => {
+    sent.push({ chatId, text, options });
+    return { message_id: sent.length };
+  }
+};
+
+function sendStart(userId, args = '') {
+  return handleMessage(BOT_ID, botInstance, botData, {
+    chat: { id: userId, type: 'private' },
+    from: { id: userId, first_name: 'Иван', username: `user${userId}` },
+    text: `/start ${args}`.trim()
+  });
+}
+
+test.before(async () => {
+  await db.doc(`bots/${BOT_ID}`).set(botData);
+  await db.doc(`${usersPath}/1`).set({ userId: 1, joinedAt: new Date().toISOString() });
+  await db.doc(`${usersPath}/2`).set({ userId: 2, joinedAt: new Date().toISOString() });
+});
+
+test('/start: регистрирует нового пользователя и отвечает приветствием', async () => {
+  await sendStart(10);
+
+  const user = db.getData(`${usersPath}/10`);
+  assert.ok(user.joinedAt);
+  assert.equal(user.isUnreachable, false);
+  assert.equal(sent.at(-1).chatId, 10);
+});
+
+test('/start с реферальным параметром записывает реферала нового пользователя', async () => {
+  await sendStart(11, '1');
+
+  assert.equal(db.getData(`${usersPath}/11`).referredBy, 1);
+  assert.equal(db.getData(`bots/${BOT_ID}/referrals/1_11`).status, 'pending');
+});
+
+test('/start повторно с другим пригласившим реферала не записывает', async () => {
+  const { joinedAt } = db.getData(`${usersPath}/10`);
+
+  await sendStart(10, '1');
+  await sendStart(11, '2');
+
+  assert.equal(db.getData(`${usersPath}/10`).referredBy, undefined);
+  assert.equal(db.getData(`${usersPath}/10`).joinedAt, joinedAt);
+  assert.equal(db.getData(`${usersPath}/11`).referredBy, 1);
+  assert.deepEqual(Object.keys(db.getCollection(`bots/${BOT_ID}/referrals`)), ['1_11']);
+});
+
+test('/start пользователя, записанного до первого /start (событием канала), засчитывает реферала', async () => {
+  await db.doc(`${usersPath}/12`).set({ userId: 12, isSubscribed: true });
+
+  await sendStart(12, '2');
+
+  assert.equal(db.getData(`${usersPath}/12`).referredBy, 2);
+  assert.ok(db.getData(`${usersPath}/12`).joinedAt);
+});
@@ -0,0 +1,59 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { EXPORT_TYPES, toCsvValue, normalizeExportOptions } = require('../services/exports');
+
+test('toCsvValue: пустые значения и числа', () => {
+  assert.equal(toCsvValue(null), '');
+  assert.equal(toCsvValue(undefined), '');
+  assert.equal(toCsvValue(42), '42');
+  assert.equal(toCsvValue(false), 'false');
+});
+
+test('toCsvValue: экранирует кавычки и разделители', () => {
+  assert.equal(toCsvValue('Иван, Пётр'), '"Иван, Пётр"');
+  assert.equal(toCsvValue('a;b'), '"a;b"');
+  assert.equal(toCsvValue('строка\nвторая'), '"строка\nвторая"');
+  assert.equal(toCsvValue('say "hi"'), '"say ""hi"""');
+});
+
+test('toCsvValue: объекты выгружаются как JSON', () => {
+  assert.equal(toCsvValue({ a: 1 }), '"{""a"":1}"');
+});
+
+test('toCsvValue: значения, похожие на формулы, предваряются апострофом', () => {
+  assert.equal(toCsvValue('=HYPERLINK("x")'), `"'=HYPERLINK(""x"")"`);
+  assert.equal(toCsvValue('@SUM(A1)'), "'@SUM(A1)");
+});
+
+test('normalizeExportOptions: неизвестный тип выгрузки', () => {
+  assert.match(normalizeExportOptions('payments', {}).error, /Неизвестный тип выгрузки/);
+});
+
+test('normalizeExportOptions: неверная дата', () => {
+  assert.equal(normalizeExportOptions('leads', { from: 'вчера' }).error, 'Неверный формат даты');
+});
+
+test('normalizeExportOptions: неизвестная колонка', () => {
+  assert.equal(normalizeExportOptions('leads', { columns: 'phone,password' }).error, 'Неизвестная колонка: password');
+});
+
+test('normalizeExportOptions: колонки по умолчанию и без дат', () => {
+  const { options } = normalizeExportOptions('spins', {});
+
+  assert.deepEqual(options.columns, EXPORT_TYPES.spins.columns);
+  assert.equal(options.collection, 'spins');
+  assert.equal(options.from, null);
+  assert.equal(options.to, null);
+});
+
+test('normalizeExportOptions: выбранные колонки и даты в ISO', () => {
+  const { options } = normalizeExportOptions('leads', {
+    from: '2024-01-01T00:00:00Z',
+    to: '2024-01-31T23:59:59Z',
+    columns: ' phone, name ,'
+  });
+
+  assert.deepEqual(options.columns, ['phone', 'name']);
+  assert.equal(options.from, '2024-01-01T00:00:00.000Z');
+  assert.equal(options.to, '2024-01-31T23:59:59.000Z');
+});
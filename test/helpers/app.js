@@ -0,0 +1,54 @@
+const http = require('http');
+const admin = require('firebase-admin');
+const express = require('express');
+
+/**
+ * Загружает приложение из index.js без подключения к Firebase, фоновых задач
+ * и прослушивания порта. Firestore нужно подменить заранее (installFirestore).
+ * Возвращает express-приложение
+ */
+function loadApp() {
+  const originalListen = express.application.listen;
+  const originalSetInterval = global.setInterval;
+  let app = null;
+
+  Object.defineProperty(admin, 'initializeApp', { value: () => {}, configurable: true, writable: true });
+  admin.credential.cert = () => ({});
+  express.application.listen = function () {
+    app = this;
+  };
+  // Таймеры фоновых задач останавливаются сразу после загрузки
+  const timers = [];
+  global.setInterval = (...args) => {
+    const timer = originalSetInterval(...args);
+    timers.push(timer);
+    return timer;
+  };
+
+  try {
+    require('../../index');
+  } finally {
+    express.application.listen = originalListen;
+    global.setInterval = originalSetInterval;
+    timers.forEach(timer => clearInterval(timer));
+  }
+
+  return app;
+}
+
+/**
+ * Запускает приложение на свободном порту.
+ * Возвращает { baseUrl, close }
+ */
+async function startServer(app) {
+  // У загруженного приложения listen подменён, поэтому сервер создаётся напрямую
+  const server = http.createServer(app);
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+  return {
+    baseUrl: `http://127.0.0.1:${server.address().port}`,
+    close: () => new Promise(resolve => server.close(resolve))
+  };
+}
+
+module.exports = { loadApp, startServer };
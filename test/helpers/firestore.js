@@ -0,0 +1,575 @@
+const crypto = require('crypto');
+const admin = require('firebase-admin');
+
+// Небольшая реализация Firestore в памяти для тестов сервисов.
+// Поддерживает то, что использует бэкенд: документы и подколлекции, запросы
+// с where/orderBy/limit/курсорами/select/count, collectionGroup, пакетную запись
+// и транзакции с повтором при конфликте (как оптимистичные транзакции Firestore)
+
+const DOCUMENT_ID = Symbol('documentId');
+const MAX_TRANSACTION_ATTEMPTS = 5;
+
+class FieldTransform {
+  constructor(type, value) {
+    this.type = type;
+    this.value = value;
+  }
+}
+
+const FieldValue = {
+  increment: (value) => new FieldTransform('increment', value),
+  arrayUnion: (...values) => new FieldTransform('arrayUnion', values),
+  arrayRemove: (...values) => new FieldTransform('arrayRemove', values),
+  delete: () => new FieldTransform('delete'),
+  serverTimestamp: () => new FieldTransform('serverTimestamp')
+};
+
+const FieldPath = {
+  documentId: () => DOCUMENT_ID
+};
+
+function createError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+function clone(value) {
+  return value === undefined ? undefined : structuredClone(value);
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value) && !(value instanceof FieldTransform);
+}
+
+function getField(data, field) {
+  return field.split('.').reduce((value, key) => (isPlainObject(value) ? value[key] : undefined), data);
+}
+
+function applyTransform(current, transform) {
+  switch (transform.type) {
+    case 'increment':
+      return (typeof current === 'number' ? current : 0) + transform.value;
+    case 'arrayUnion':
+      return [...(current || []), ...transform.value.filter(item => !(current || []).includes(item))];
+    case 'arrayRemove':
+      return (current || []).filter(item => !transform.value.includes(item));
+    case 'serverTimestamp':
+      return new Date().toISOString();
+    default:
+      throw new Error(`Неизвестное преобразование ${transform.type}`);
+  }
+}
+
+function setField(data, path, value) {
+  const keys = path.split('.');
+  let target = data;
+
+  keys.slice(0, -1).forEach(key => {
+    if (!isPlainObject(target[key])) {
+      target[key] = {};
+    }
+    target = target[key];
+  });
+
+  const key = keys[keys.length - 1];
+  if (value instanceof FieldTransform && value.type === 'delete') {
+    delete target[key];
+  } else if (value instanceof FieldTransform) {
+    target[key] = applyTransform(target[key], value);
+  } else if (isPlainObject(value)) {
+    target[key] = replaceWith(value);
+  } else {
+    target[key] = clone(value);
+  }
+}
+
+/**
+ * Записывает значения поверх документа: вложенные объекты сливаются (set с merge)
+ */
+function mergeInto(target, data) {
+  for (const [key, value] of Object.entries(data)) {
+    if (isPlainObject(value)) {
+      if (!isPlainObject(target[key])) {
+        target[key] = {};
+      }
+      mergeInto(target[key], value);
+    } else {
+      setField(target, key.replace(/\./g, '\u0000'), value);
+    }
+  }
+  return target;
+}
+
+/**
+ * Заменяет документ целиком, применяя преобразования полей (set без merge)
+ */
+function replaceWith(data) {
+  return mergeInto({}, data);
+}
+
+// Порядок типов значений, как в Firestore
+function getTypeRank(value) {
+  if (value === null || value === undefined) return 0;
+  if (typeof value === 'boolean') return 1;
+  if (typeof value === 'number') return 2;
+  if (typeof value === 'string') return 3;
+  if (Array.isArray(value)) return 4;
+  return 5;
+}
+
+function compareValues(a, b) {
+  const rankDiff = getTypeRank(a) - getTypeRank(b);
+  if (rankDiff !== 0) return rankDiff;
+  if (a === b || a === null || a === undefined) return 0;
+  if (typeof a === 'object') return JSON.stringify(a).localeCompare(JSON.stringify(b));
+  return a < b ? -1 : (a > b ? 1 : 0);
+}
+
+function matchesFilter(value, op, expected) {
+  switch (op) {
+    case '==': return compareValues(value, expected) === 0 && getTypeRank(value) === getTypeRank(expected);
+    case '!=': return compareValues(value, expected) !== 0;
+    case '<': return getTypeRank(value) === getTypeRank(expected) && compareValues(value, expected) < 0;
+    case '<=': return getTypeRank(value) === getTypeRank(expected) && compareValues(value, expected) <= 0;
+    case '>': return getTypeRank(value) === getTypeRank(expected) && compareValues(value, expected) > 0;
+    case '>=': return getTypeRank(value) === getTypeRank(expected) && compareValues(value, expected) >= 0;
+    case 'in': return expected.some(item => compareValues(value, item) === 0);
+    case 'not-in': return !expected.some(item => compareValues(value, item) === 0);
+    case 'array-contains': return Array.isArray(value) && value.some(item => compareValues(item, expected) === 0);
+    case 'array-contains-any': return Array.isArray(value) && value.some(item => expected.some(e => compareValues(item, e) === 0));
+    default: throw new Error(`Неизвестный оператор ${op}`);
+  }
+}
+
+class DocumentSnapshot {
+  constructor(ref, data, fields) {
+    this.ref = ref;
+    this.id = ref.id;
+    this.exists = data !== undefined;
+    this._data = data;
+    this._fields = fields;
+  }
+
+  data() {
+    if (!this.exists) {
+      return undefined;
+    }
+    if (!this._fields) {
+      return clone(this._data);
+    }
+    const selected = {};
+    this._fields.forEach(field => {
+      const value = getField(this._data, field);
+      if (value !== undefined) setField(selected, field, value);
+    });
+    return selected;
+  }
+
+  get(field) {
+    return clone(getField(this._data, field));
+  }
+}
+
+class QuerySnapshot {
+  constructor(docs) {
+    this.docs = docs;
+    this.size = docs.length;
+    this.empty = docs.length === 0;
+  }
+
+  forEach(callback) {
+    this.docs.forEach(callback);
+  }
+}
+
+class Query {
+  constructor(db, source, options = {}) {
+    this._db = db;
+    this._source = source;
+    this._options = { filters: [], orders: [], limit: null, fields: null, start: null, end: null, ...options };
+  }
+
+  _with(options) {
+    return new Query(this._db, this._source, { ...this._options, ...options });
+  }
+
+  where(field, op, value) {
+    return this._with({ filters: [...this._options.filters, { field, op, value }] });
+  }
+
+  orderBy(field, direction = 'asc') {
+    return this._with({ orders: [...this._options.orders, { field, direction }] });
+  }
+
+  limit(limit) {
+    return this._with({ limit });
+  }
+
+  select(...fields) {
+    return this._with({ fields });
+  }
+
+  startAfter(...values) {
+    return this._with({ start: { values, inclusive: false } });
+  }
+
+  startAt(...values) {
+    return this._with({ start: { values, inclusive: true } });
+  }
+
+  endAt(...values) {
+    return this._with({ end: { values, inclusive: true } });
+  }
+
+  endBefore(...values) {
+    return this._with({ end: { values, inclusive: false } });
+  }
+
+  count() {
+    return {
+      get: async () => {
+        const { docs } = await this.get();
+        return { data: () => ({ count: docs.length }) };
+      }
+    };
+  }
+
+  _getFieldValue(path, data, field) {
+    return field === DOCUMENT_ID ? path.split('/').pop() : getField(data, field);
+  }
+
+  _getCursorValues(cursor) {
+    const [first] = cursor.values;
+    if (first instanceof DocumentSnapshot) {
+      return [...this._options.orders.map(({ field }) => this._getFieldValue(first.ref.path, first._data, field)), first.id];
+    }
+    return cursor.values;
+  }
+
+  _compare(a, b) {
+    for (let i = 0; i < a.length && i < b.length; i++) {
+      const direction = (this._options.orders[i] || {}).direction === 'desc' ? -1 : 1;
+      const diff = compareValues(a[i], b[i]);
+      if (diff !== 0) return diff * direction;
+    }
+    return 0;
+  }
+
+  _run() {
+    const { filters, orders, limit, start, end } = this._options;
+    const orderFields = orders.map(({ field }) => field);
+
+    let entries = this._db._listDocuments(this._source)
+      .filter(({ path, data }) => filters.every(({ field, op, value }) => {
+        const fieldValue = this._getFieldValue(path, data, field);
+        // Документы без поля не попадают в выборку, кроме проверки на неравенство
+        return (fieldValue !== undefined || op === 'not-in') && matchesFilter(fieldValue, op, value);
+      }))
+      // Сортировка по полю исключает документы без этого поля
+      .filter(({ path, data }) => orderFields.every(field => this._getFieldValue(path, data, field) !== undefined))
+      .map(entry => ({
+        ...entry,
+        key: [...orderFields.map(field => this._getFieldValue(entry.path, entry.data, field)), entry.path.split('/').pop()]
+      }));
+
+    entries.sort((a, b) => this._compare(a.key, b.key) || a.path.localeCompare(b.path));
+
+    if (start) {
+      const values = this._getCursorValues(start);
+      entries = entries.filter(({ key }) => {
+        const diff = this._compare(key, values);
+        return start.inclusive ? diff >= 0 : diff > 0;
+      });
+    }
+
+    if (end) {
+      const values = this._getCursorValues(end);
+      entries = entries.filter(({ key }) => {
+        const diff = this._compare(key, values);
+        return end.inclusive ? diff <= 0 : diff < 0;
+      });
+    }
+
+    if (limit !== null) {
+      entries = entries.slice(0, limit);
+    }
+
+    return entries;
+  }
+
+  async get() {
+    return this._snapshot();
+  }
+
+  _snapshot() {
+    const docs = this._run().map(({ path, data }) => new DocumentSnapshot(this._db.doc(path), clone(data), this._options.fields));
+    return new QuerySnapshot(docs);
+  }
+}
+
+class CollectionReference extends Query {
+  constructor(db, path) {
+    super(db, { collection: path });
+    this.path = path;
+    this.id = path.split('/').pop();
+  }
+
+  get parent() {
+    const parts = this.path.split('/');
+    return parts.length > 1 ? this._db.doc(parts.slice(0, -1).join('/')) : null;
+  }
+
+  doc(id) {
+    return this._db.doc(`${this.path}/${id || crypto.randomBytes(10).toString('hex')}`);
+  }
+
+  async add(data) {
+    const ref = this.doc();
+    await ref.set(data);
+    return ref;
+  }
+}
+
+class DocumentReference {
+  constructor(db, path) {
+    this._db = db;
+    this.path = path;
+    this.id = path.split('/').pop();
+  }
+
+  get parent() {
+    return this._db.collection(this.path.split('/').slice(0, -1).join('/'));
+  }
+
+  collection(id) {
+    return this._db.collection(`${this.path}/${id}`);
+  }
+
+  async get() {
+    return this._db._snapshot(this);
+  }
+
+  async set(data, options) {
+    await this._db._commit([{ type: 'set', ref: this, data, options }]);
+  }
+
+  async update(data) {
+    await this._db._commit([{ type: 'update', ref: this, data }]);
+  }
+
+  async create(data) {
+    await this._db._commit([{ type: 'create', ref: this, data }]);
+  }
+
+  async delete() {
+    await this._db._commit([{ type: 'delete', ref: this }]);
+  }
+}
+
+class WriteBatch {
+  constructor(db) {
+    this._db = db;
+    this._writes = [];
+  }
+
+  set(ref, data, options) {
+    this._writes.push({ type: 'set', ref, data, options });
+    return this;
+  }
+
+  update(ref, data) {
+    this._writes.push({ type: 'update', ref, data });
+    return this;
+  }
+
+  create(ref, data) {
+    this._writes.push({ type: 'create', ref, data });
+    return this;
+  }
+
+  delete(ref) {
+    this._writes.push({ type: 'delete', ref });
+    return this;
+  }
+
+  async commit() {
+    await this._db._commit(this._writes);
+  }
+}
+
+class Transaction extends WriteBatch {
+  constructor(db) {
+    super(db);
+    this._reads = new Map();
+  }
+
+  _read(path) {
+    const entry = this._db._documents.get(path);
+    this._reads.set(path, entry ? entry.version : 0);
+  }
+
+  async get(refOrQuery) {
+    if (this._writes.length > 0) {
+      throw new Error('Чтение в транзакции после записи');
+    }
+
+    if (refOrQuery instanceof DocumentReference) {
+      this._read(refOrQuery.path);
+      return this._db._snapshot(refOrQuery);
+    }
+
+    const snapshot = refOrQuery._snapshot();
+    snapshot.docs.forEach(doc => this._read(doc.ref.path));
+    return snapshot;
+  }
+
+  async getAll(...refs) {
+    return Promise.all(refs.map(ref => this.get(ref)));
+  }
+
+  _isStale() {
+    return [...this._reads].some(([path, version]) => {
+      const entry = this._db._documents.get(path);
+      return (entry ? entry.version : 0) !== version;
+    });
+  }
+}
+
+class FakeFirestore {
+  constructor() {
+    // Путь документа → { data, version }
+    this._documents = new Map();
+    this._version = 0;
+  }
+
+  collection(path) {
+    return new CollectionReference(this, path);
+  }
+
+  doc(path) {
+    return new DocumentReference(this, path);
+  }
+
+  collectionGroup(id) {
+    return new Query(this, { group: id });
+  }
+
+  batch() {
+    return new WriteBatch(this);
+  }
+
+  async getAll(...refs) {
+    return refs.map(ref => this._snapshot(ref));
+  }
+
+  async runTransaction(callback) {
+    for (let attempt = 1; ; attempt++) {
+      const transaction = new Transaction(this);
+      const result = await callback(transaction);
+
+      if (!transaction._isStale()) {
+        this._apply(transaction._writes);
+        return result;
+      }
+
+      if (attempt >= MAX_TRANSACTION_ATTEMPTS) {
+        throw createError(10, 'ABORTED: транзакция не применена из-за конкурентных изменений');
+      }
+    }
+  }
+
+  /**
+   * Возвращает данные документа по пути (для проверок в тестах)
+   */
+  getData(path) {
+    const entry = this._documents.get(path);
+    return entry ? clone(entry.data) : undefined;
+  }
+
+  /**
+   * Возвращает документы коллекции по пути: id → данные (для проверок в тестах)
+   */
+  getCollection(path) {
+    return Object.fromEntries(this._listDocuments({ collection: path })
+      .map(({ path: docPath, data }) => [docPath.split('/').pop(), clone(data)]));
+  }
+
+  _snapshot(ref) {
+    const entry = this._documents.get(ref.path);
+    return new DocumentSnapshot(ref, entry ? clone(entry.data) : undefined);
+  }
+
+  _listDocuments(source) {
+    return [...this._documents]
+      .filter(([path]) => {
+        const collectionPath = path.split('/').slice(0, -1).join('/');
+        return source.collection
+          ? collectionPath === source.collection
+          : collectionPath.split('/').pop() === source.group;
+      })
+      .map(([path, { data }]) => ({ path, data }));
+  }
+
+  async _commit(writes) {
+    // Запись завершается асинхронно, как в настоящем клиенте
+    await Promise.resolve();
+    this._apply(writes);
+  }
+
+  _apply(writes) {
+    const documents = new Map(this._documents);
+
+    for (const { type, ref, data, options } of writes) {
+      const current = documents.get(ref.path);
+
+      if (type === 'create' && current) {
+        throw createError(6, `ALREADY_EXISTS: ${ref.path}`);
+      }
+      if (type === 'update' && !current) {
+        throw createError(5, `NOT_FOUND: ${ref.path}`);
+      }
+
+      let next;
+      if (type === 'delete') {
+        documents.delete(ref.path);
+        continue;
+      } else if (type === 'update') {
+        next = clone(current.data);
+        Object.entries(data).forEach(([field, value]) => setField(next, field, value));
+      } else if (options && options.merge && current) {
+        next = mergeInto(clone(current.data), data);
+      } else {
+        next = replaceWith(data);
+      }
+
+      documents.set(ref.path, { data: restoreDottedKeys(next), version: ++this._version });
+    }
+
+    this._documents = documents;
+  }
+}
+
+/**
+ * Возвращает точки в ключах, записанных через set (там точка — часть имени поля)
+ */
+function restoreDottedKeys(data) {
+  if (!isPlainObject(data)) {
+    return data;
+  }
+  return Object.fromEntries(Object.entries(data).map(([key, value]) => [key.replace(/\u0000/g, '.'), restoreDottedKeys(value)]));
+}
+
+/**
+ * Подменяет admin.firestore() новой пустой базой в памяти и возвращает её
+ */
+function installFirestore() {
+  const db = new FakeFirestore();
+  const firestore = Object.assign(() => db, { FieldValue, FieldPath });
+
+  Object.defineProperty(admin, 'firestore', { value: firestore, configurable: true, writable: true });
+
+  return db;
+}
+
+module.exports = { installFirestore };
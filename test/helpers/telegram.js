@@ -0,0 +1,42 @@
+const crypto = require('crypto');
+const TelegramBot = require('node-telegram-bot-api');
+
+/**
+ * Подписывает initData так же, как Telegram
+ */
+function signInitData(fields, botToken) {
+  const params = new URLSearchParams(fields);
+  const dataCheckString = [...params.entries()]
+    .sort(([a], [b]) => (a < b ? -1 : 1))
+    .map(([key, value]) => `${key}=${value}`)
+    .join('\n');
+
+  const secretKey = crypto.createHmac('sha256', 'WebAppData').update(botToken).digest();
+  params.set('hash', crypto.createHmac('sha256', secretKey).update(dataCheckString).digest('hex'));
+
+  return params.toString();
+}
+
+/**
+ * Подменяет запросы ботов к Telegram API: запрос записывается в массив,
+ * ответ возвращает обработчик метода из handlers (по умолчанию — успешный ответ).
+ * getChatMember по умолчанию отвечает, что пользователь подписан.
+ * Возвращает массив запросов { method, params }
+ */
+function stubTelegramApi(handlers = {}) {
+  const requests = [];
+
+  TelegramBot.prototype._request = async function (method, options = {}) {
+    const params = options.form || options.qs || {};
+    requests.push({ method, params });
+
+    if (handlers[method]) {
+      return handlers[method](params);
+    }
+    return method === 'getChatMember' ? { status: 'member' } : { message_id: requests.length };
+  };
+
+  return requests;
+}
+
+module.exports = { signInitData, stubTelegramApi };
@@ -0,0 +1,89 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { installFirestore } = require('./helpers/firestore');
+
+const db = installFirestore();
+const { normalizePhone, createLead, changeLeadStatus, scheduleLeadStatusBackfill } = require('../services/leads');
+const { processScheduledJobs } = require('../services/scheduler');
+
+const BOT_ID = 'bot1';
+const botData = { name: 'Колесо', phoneCountries: ['RU', 'BY'] };
+
+async function createSpin(spinId, userId) {
+  await db.doc(`bots/${BOT_ID}/spins/${spinId}`).set({ spinId, userId, prize: 'Скидка 10%', isLeadCollected: false });
+}
+
+test.before(async () => {
+  await db.doc(`bots/${BOT_ID}`).set({ name: botData.name });
+});
+
+test('normalizePhone: приводит номера стран бота к E.164', () => {
+  assert.equal(normalizePhone('8 (900) 123-45-67', ['RU']), '+79001234567');
+  assert.equal(normalizePhone('+7 900 123 45 67', ['RU']), '+79001234567');
+  assert.equal(normalizePhone('9001234567', ['RU']), '+79001234567');
+  assert.equal(normalizePhone('+375 29 123 45 67', ['RU', 'BY']), '+375291234567');
+  assert.equal(normalizePhone('+7 800 123 45 67', ['RU']), null);
+  assert.equal(normalizePhone('12345', ['RU']), null);
+});
+
+test('createLead: сохраняет лид по спину с нормализованным телефоном', async () => {
+  await createSpin('spin1', 1);
+
+  const { lead } = await createLead(BOT_ID, botData, { spinId: 'spin1', userId: '1', name: ' Иван ', phone: '8 900 123-45-67' });
+
+  assert.equal(lead.phone, '+79001234567');
+  assert.equal(lead.name, 'Иван');
+  assert.equal(lead.status, 'new');
+  assert.equal(lead.isDuplicate, false);
+  assert.equal(db.getData(`bots/${BOT_ID}/spins/spin1`).isLeadCollected, true);
+});
+
+test('createLead: второй лид по тому же спину отклоняется', async () => {
+  const result = await createLead(BOT_ID, botData, { spinId: 'spin1', userId: '1', phone: '+79001234567' });
+
+  assert.equal(result.status, 409);
+  assert.equal(result.code, 'lead_exists');
+});
+
+test('createLead: телефон другого пользователя в другом формате помечает лид дублем', async () => {
+  await createSpin('spin2', 2);
+
+  const { lead } = await createLead(BOT_ID, botData, { spinId: 'spin2', userId: '2', phone: '+7 (900) 123 45 67' });
+
+  assert.equal(lead.isDuplicate, true);
+  assert.deepEqual(lead.duplicateUserIds, [1]);
+});
+
+test('createLead: повторный лид того же пользователя с тем же телефоном не дубль', async () => {
+  await createSpin('spin3', 1);
+
+  const { lead } = await createLead(BOT_ID, botData, { spinId: 'spin3', userId: '1', phone: '89001234567' });
+
+  assert.deepEqual(lead.duplicateUserIds, [2]);
+});
+
+test('createLead: неверный телефон и чужой спин', async () => {
+  await createSpin('spin4', 4);
+
+  assert.equal((await createLead(BOT_ID, botData, { spinId: 'spin4', userId: '4', phone: '123' })).code, 'invalid_phone');
+  assert.equal((await createLead(BOT_ID, botData, { spinId: 'spin4', userId: '5', phone: '89001112233' })).code, 'spin_not_found');
+});
+
+test('changeLeadStatus: допустимые переходы и история', async () => {
+  assert.equal((await changeLeadStatus(BOT_ID, 'spin1', 'contacted', { changedBy: 'admin' })).status, 'contacted');
+  assert.equal((await changeLeadStatus(BOT_ID, 'spin1', 'new', { changedBy: 'admin' })).status, 409);
+
+  const history = Object.values(db.getCollection(`bots/${BOT_ID}/leads/spin1/history`));
+  assert.deepEqual(history.map(({ from, to }) => ({ from, to })), [{ from: 'new', to: 'contacted' }]);
+});
+
+test('scheduleLeadStatusBackfill: старым лидам без статуса проставляется new', async () => {
+  await db.doc(`bots/${BOT_ID}/leads/legacy`).set({ leadId: 'legacy', userId: 9, phone: '+79009999999' });
+
+  await scheduleLeadStatusBackfill();
+  await processScheduledJobs();
+
+  assert.equal(db.getData(`bots/${BOT_ID}/leads/legacy`).status, 'new');
+  assert.equal(db.getData(`bots/${BOT_ID}/leads/spin1`).status, 'contacted');
+  assert.ok(db.getData(`bots/${BOT_ID}`).leadStatusesBackfilledAt);
+});
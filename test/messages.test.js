@@ -0,0 +1,33 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { renderTemplate, asHtml } = require('../services/messages');
+
+test('renderTemplate: подставляет переменные', () => {
+  assert.equal(
+    renderTemplate('Привет, {{first_name}}! Осталось попыток: {{ attempts_left }}', { first_name: 'Иван', attempts_left: 3 }),
+    'Привет, Иван! Осталось попыток: 3'
+  );
+});
+
+test('renderTemplate: неизвестные плейсхолдеры остаются, пустые значения удаляются', () => {
+  assert.equal(renderTemplate('{{unknown}} {{username}}!', { username: null }), '{{unknown}} !');
+  assert.equal(renderTemplate(undefined, {}), '');
+});
+
+test('renderTemplate: в режиме html экранирует значения, но не шаблон', () => {
+  assert.equal(
+    renderTemplate('<b>{{first_name}}</b>', { first_name: '<a href="x">Tom & Jerry</a>' }, { html: true }),
+    '<b>&lt;a href=&quot;x&quot;&gt;Tom &amp; Jerry&lt;/a&gt;</b>'
+  );
+});
+
+test('renderTemplate: без html значения не экранируются', () => {
+  assert.equal(renderTemplate('{{name}}', { name: 'Tom & Jerry' }), 'Tom & Jerry');
+});
+
+test('renderTemplate: готовый HTML вставляется как есть, а в тексте без разметки теги удаляются', () => {
+  const variables = { warning: asHtml('<i>Повторная заявка</i>') };
+
+  assert.equal(renderTemplate('{{warning}}', variables, { html: true }), '<i>Повторная заявка</i>');
+  assert.equal(renderTemplate('{{warning}}', variables), 'Повторная заявка');
+});
@@ -0,0 +1,109 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { installFirestore } = require('./helpers/firestore');
+
+const db = installFirestore();
+const { registerReferral, creditReferral, qualifyReferral } = require('../services/referrals');
+
+const BOT_ID = 'bot1';
+const usersPath = `bots/${BOT_ID}/users`;
+const referralsPath = `bots/${BOT_ID}/referrals`;
+
+// Награда: 2 попытки за реферала первого уровня и 1 за второго
+const botData = { referralRewards: [2, 1], referralDailyCap: 2 };
+
+async function createUser(userId, data = {}) {
+  await db.doc(`${usersPath}/${userId}`).set({ userId, joinedAt: new Date().toISOString(), ...data });
+}
+
+test.before(async () => {
+  await db.doc(`bots/${BOT_ID}`).set({ name: 'Колесо' });
+  await createUser(1);
+  await createUser(2, { referredBy: 1 });
+});
+
+test('registerReferral: записывает реферала без начисления награды', async () => {
+  await createUser(3);
+
+  const referral = await registerReferral(BOT_ID, botData, { referrerId: '2', userId: 3, username: 'ivan' });
+
+  assert.equal(referral.status, 'pending');
+  assert.deepEqual(referral.flags, []);
+  assert.equal(db.getData(`${usersPath}/3`).referredBy, 2);
+  assert.equal(db.getData(`${usersPath}/2`).totalReferrals, undefined);
+});
+
+test('registerReferral: приглашение самого себя, неизвестный пригласивший и повтор не записываются', async () => {
+  assert.equal(await registerReferral(BOT_ID, botData, { referrerId: '3', userId: 3, username: 'ivan' }), null);
+  assert.equal(await registerReferral(BOT_ID, botData, { referrerId: '404', userId: 3, username: 'ivan' }), null);
+  assert.equal(await registerReferral(BOT_ID, botData, { referrerId: '2', userId: 3, username: 'ivan' }), null);
+});
+
+test('qualifyReferral: начисляет награду пригласившему и его пригласившему', async () => {
+  await qualifyReferral(BOT_ID, botData, 3, 'spin');
+
+  const referral = db.getData(`${referralsPath}/2_3`);
+  assert.equal(referral.status, 'credited');
+  assert.equal(referral.qualifiedBy, 'spin');
+  assert.deepEqual(referral.credits, [{ userId: 2, level: 1 }, { userId: 1, level: 2 }]);
+
+  const referrer = db.getData(`${usersPath}/2`);
+  assert.equal(referrer.totalReferrals, 1);
+  assert.deepEqual(referrer.referralCredits, { 1: 1 });
+  assert.deepEqual(db.getData(`${usersPath}/1`).referralCredits, { 1: 0, 2: 1 });
+});
+
+test('qualifyReferral: повторное событие не начисляет награду второй раз', async () => {
+  await qualifyReferral(BOT_ID, botData, 3, 'subscribed');
+
+  assert.equal(db.getData(`${usersPath}/2`).totalReferrals, 1);
+  assert.equal(db.getData(`${referralsPath}/2_3`).qualifiedBy, 'spin');
+});
+
+test('qualifyReferral: подозрительный реферал ждёт проверки администратора', async () => {
+  await createUser(4);
+  const referral = await registerReferral(BOT_ID, botData, { referrerId: '2', userId: 4 });
+
+  assert.deepEqual(referral.flags, ['no_username']);
+
+  await qualifyReferral(BOT_ID, botData, 4, 'spin');
+
+  assert.equal(db.getData(`${referralsPath}/2_4`).status, 'review');
+  assert.equal(db.getData(`${usersPath}/2`).totalReferrals, 1);
+
+  const result = await creditReferral(BOT_ID, botData, db.doc(`${referralsPath}/2_4`), { reviewedBy: 'admin' });
+
+  assert.equal(result.status, 'credited');
+  assert.equal(db.getData(`${usersPath}/2`).totalReferrals, 2);
+});
+
+test('creditReferral: сверх дневного лимита реферал не засчитывается', async () => {
+  await createUser(5);
+  await registerReferral(BOT_ID, botData, { referrerId: '2', userId: 5, username: 'petr' });
+  await qualifyReferral(BOT_ID, botData, 5, 'spin');
+
+  assert.equal(db.getData(`${referralsPath}/2_5`).status, 'capped');
+  assert.equal(db.getData(`${usersPath}/2`).totalReferrals, 2);
+
+  const result = await creditReferral(BOT_ID, botData, db.doc(`${referralsPath}/2_5`), {
+    ignoreCap: true,
+    reviewedBy: 'admin'
+  });
+
+  assert.equal(result.status, 'credited');
+  assert.equal(db.getData(`${usersPath}/2`).totalReferrals, 3);
+});
+
+test('creditReferral: начисление записывается в журнал попыток по правилам активной кампании', async () => {
+  const campaignPath = `bots/${BOT_ID}/campaigns/summer`;
+  await db.doc(campaignPath).set({ status: 'active', currentVersion: 1, referralBonus: 5 });
+  await db.doc(`${campaignPath}/versions/1`).set({ items: [] });
+
+  await createUser(6);
+  await registerReferral(BOT_ID, botData, { referrerId: '1', userId: 6, username: 'olga' });
+  await qualifyReferral(BOT_ID, botData, 6, 'spin');
+
+  const entry = db.getData(`${usersPath}/1/attemptsLedger/referral_1_6_1`);
+  assert.equal(entry.source, 'referral');
+  assert.equal(entry.amount, 5);
+});
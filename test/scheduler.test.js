@@ -0,0 +1,89 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { installFirestore } = require('./helpers/firestore');
+
+const db = installFirestore();
+const {
+  registerJobHandler,
+  scheduleJob,
+  writeScheduledJob,
+  retryDeadLetterJob,
+  processScheduledJobs
+} = require('../services/scheduler');
+
+const handled = [];
+registerJobHandler('test.ok', async (payload) => {
+  handled.push(payload);
+});
+registerJobHandler('test.fail', async () => {
+  throw new Error('Сервис недоступен');
+});
+
+/**
+ * Делает задачу доступной сразу, не дожидаясь задержки повтора
+ */
+async function makeDue(jobId) {
+  await db.collection('scheduledJobs').doc(jobId).update({ runAt: new Date(Date.now() - 1000).toISOString() });
+}
+
+test('scheduleJob: задача с тем же jobId планируется один раз', async () => {
+  await scheduleJob('test.ok', { n: 1 }, { jobId: 'once' });
+  await scheduleJob('test.ok', { n: 2 }, { jobId: 'once' });
+
+  assert.deepEqual(db.getData('scheduledJobs/once').payload, { n: 1 });
+});
+
+test('processScheduledJobs: выполняет наступившие задачи и не трогает будущие', async () => {
+  await scheduleJob('test.ok', { n: 'now' }, { jobId: 'due' });
+  await scheduleJob('test.ok', { n: 'later' }, { jobId: 'future', delayMs: 60 * 60 * 1000 });
+
+  await processScheduledJobs();
+
+  assert.equal(db.getData('scheduledJobs/due').status, 'done');
+  assert.equal(db.getData('scheduledJobs/future').status, 'pending');
+  assert.ok(handled.some(payload => payload.n === 'now'));
+  assert.ok(!handled.some(payload => payload.n === 'later'));
+});
+
+test('processScheduledJobs: ошибка откладывает задачу, а после последней попытки она уходит в dead-letter', async () => {
+  await scheduleJob('test.fail', {}, { jobId: 'failing', maxAttempts: 2 });
+
+  await processScheduledJobs();
+
+  const retried = db.getData('scheduledJobs/failing');
+  assert.equal(retried.status, 'pending');
+  assert.equal(retried.attempts, 1);
+  assert.equal(retried.lastError, 'Сервис недоступен');
+  assert.ok(retried.runAt > new Date().toISOString());
+
+  await makeDue('failing');
+  await processScheduledJobs();
+
+  assert.equal(db.getData('scheduledJobs/failing').status, 'dead');
+  assert.equal(db.getData('deadLetterJobs/failing').attempts, 2);
+});
+
+test('retryDeadLetterJob: возвращает задачу в очередь со сброшенными попытками', async () => {
+  assert.equal(await retryDeadLetterJob('missing'), false);
+  assert.equal(await retryDeadLetterJob('failing'), true);
+
+  const job = db.getData('scheduledJobs/failing');
+  assert.equal(job.status, 'pending');
+  assert.equal(job.attempts, 0);
+  assert.equal(db.getData('deadLetterJobs/failing'), undefined);
+});
+
+test('writeScheduledJob: задача не создаётся, если запись транзакции не состоялась', async () => {
+  await assert.rejects(db.runTransaction(async (transaction) => {
+    writeScheduledJob(transaction, 'test.ok', {}, { jobId: 'in-transaction' });
+    transaction.update(db.collection('missing').doc('doc'), { value: 1 });
+  }));
+
+  assert.equal(db.getData('scheduledJobs/in-transaction'), undefined);
+
+  await db.runTransaction(async (transaction) => {
+    writeScheduledJob(transaction, 'test.ok', {}, { jobId: 'in-transaction' });
+  });
+
+  assert.equal(db.getData('scheduledJobs/in-transaction').status, 'pending');
+});
@@ -0,0 +1,93 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { installFirestore } = require('./helpers/firestore');
+const { signInitData, stubTelegramApi } = require('./helpers/telegram');
+const { loadApp, startServer } = require('./helpers/app');
+
+const db = installFirestore();
+stubTelegramApi();
+const app = loadApp();
+
+const BOT_ID = 'bot1';
+const BOT_TOKEN = '123456:TEST-token_for-spin';
+const usersPath = `bots/${BOT_ID}/users`;
+const spinsPath = `bots/${BOT_ID}/spins`;
+
+let server;
+
+function createInitData(userId) {
+  return signInitData({
+    auth_date: String(Math.floor(Date.now() / 1000)),
+    user: JSON.stringify({ id: userId, first_name: 'Иван', username: `user${userId}` })
+  }, BOT_TOKEN);
+}
+
+async function spin(userId, idempotencyKey) {
+  const headers = { 'Content-Type': 'application/json', 'X-Telegram-Init-Data': createInitData(userId) };
+  if (idempotencyKey) {
+    headers['Idempotency-Key'] = idempotencyKey;
+  }
+
+  const response = await fetch(`${server.baseUrl}/api/bot/${BOT_ID}/spin`, { method: 'POST', headers, body: '{}' });
+  return { status: response.status, body: await response.json() };
+}
+
+function getUserSpins(userId) {
+  return Object.values(db.getCollection(spinsPath)).filter(spinData => spinData.userId === userId);
+}
+
+test.before(async () => {
+  await db.doc(`bots/${BOT_ID}`).set({ name: 'Колесо', botToken: BOT_TOKEN, baseAttempts: 2 });
+  await db.doc(`bots/${BOT_ID}/wheelItems/discount`).set({ label: 'Скидка 10%', weight: 1, winText: 'Поздравляем!', position: 0 });
+  server = await startServer(app);
+});
+
+test.after(async () => {
+  await server.close();
+});
+
+test('spin: без подписанного initData колесо не крутится', async () => {
+  const response = await fetch(`${server.baseUrl}/api/bot/${BOT_ID}/spin`, { method: 'POST' });
+
+  assert.equal(response.status, 401);
+  assert.deepEqual(db.getCollection(spinsPath), {});
+});
+
+test('spin: записывает спин, счётчик пользователя и списывает попытку', async () => {
+  const { status, body } = await spin(1);
+
+  assert.equal(status, 200);
+  assert.equal(body.prize, 'Скидка 10%');
+  assert.equal(getUserSpins(1).length, 1);
+  assert.equal(db.getData(`${usersPath}/1`).totalSpins, 1);
+  assert.equal(db.getData(`bots/${BOT_ID}/wheelItems/discount`).issuedCount, 1);
+});
+
+test('spin: повтор запроса с тем же ключом идемпотентности возвращает тот же спин', async () => {
+  const first = await spin(2, 'key-1');
+  const second = await spin(2, 'key-1');
+
+  assert.equal(first.status, 200);
+  assert.equal(second.status, 200);
+  assert.equal(second.body.spinId, first.body.spinId);
+  assert.equal(getUserSpins(2).length, 1);
+  assert.equal(db.getData(`${usersPath}/2`).totalSpins, 1);
+});
+
+test('spin: одновременные запросы не тратят больше попыток, чем выдано', async () => {
+  const results = await Promise.all([spin(3), spin(3), spin(3), spin(3)]);
+
+  assert.deepEqual(results.map(({ status }) => status).sort(), [200, 200, 400, 400]);
+  assert.equal(getUserSpins(3).length, 2);
+  assert.equal(db.getData(`${usersPath}/3`).totalSpins, 2);
+});
+
+test('spin: приз с исчерпанным запасом не выпадает', async () => {
+  await db.doc(`bots/${BOT_ID}/wheelItems/discount`).update({ quantity: 1 });
+  await db.doc(`bots/${BOT_ID}/wheelItems/consolation`).set({ label: 'Повезёт в другой раз', weight: 1, isConsolation: true, position: 1 });
+
+  const { status, body } = await spin(4);
+
+  assert.equal(status, 200);
+  assert.equal(body.prize, 'Повезёт в другой раз');
+});
@@ -0,0 +1,67 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { installFirestore } = require('./helpers/firestore');
+
+const db = installFirestore();
+const { recountUserCounters } = require('../services/users');
+
+const BOT_ID = 'bot1';
+const botPath = `bots/${BOT_ID}`;
+
+test.before(async () => {
+  await db.doc(botPath).set({ name: 'Колесо' });
+  await db.doc(`${botPath}/users/1`).set({ userId: 1, lastSpin: '2023-05-02T10:00:00.000Z' });
+  await db.doc(`${botPath}/users/2`).set({ userId: 2, joinedAt: '2023-01-01T00:00:00.000Z', isUnreachable: true });
+
+  // Больше одной страницы спинов
+  for (let i = 0; i < 600; i++) {
+    await db.doc(`${botPath}/spins/spin${i}`).set({
+      userId: i % 3 === 0 ? 2 : 1,
+      timestamp: new Date(Date.UTC(2023, 4, 1) + i * 60 * 1000).toISOString()
+    });
+  }
+
+  await db.doc(`${botPath}/leads/spin1`).set({ userId: 1 });
+  await db.doc(`${botPath}/referrals/1_2`).set({ referrerId: 1, status: 'credited', credits: [{ userId: 1, level: 1 }] });
+  await db.doc(`${botPath}/referrals/1_3`).set({ referrerId: 1, status: 'review' });
+  await db.doc(`${botPath}/referrals/legacy`).set({ referrerId: 2 });
+});
+
+test('recountUserCounters: пока пересчёт выполняет другой экземпляр, возвращает null', async () => {
+  await db.doc(botPath).update({
+    recountLeaseOwner: 'other-host:1',
+    recountLeaseUntil: new Date(Date.now() + 60 * 1000).toISOString()
+  });
+
+  assert.equal(await recountUserCounters(BOT_ID), null);
+
+  await db.doc(botPath).update({ recountLeaseUntil: new Date(Date.now() - 1000).toISOString() });
+});
+
+test('recountUserCounters: пересчитывает счётчики постранично', async () => {
+  assert.equal(await recountUserCounters(BOT_ID), 2);
+
+  const first = db.getData(`${botPath}/users/1`);
+  assert.equal(first.totalSpins, 400);
+  assert.equal(first.totalLeads, 1);
+  assert.equal(first.totalReferrals, 1);
+  assert.deepEqual(first.referralCredits, { 1: 1 });
+
+  const second = db.getData(`${botPath}/users/2`);
+  assert.equal(second.totalSpins, 200);
+  assert.deepEqual(second.referralCredits, { 1: 1 });
+
+  const bot = db.getData(botPath);
+  assert.ok(bot.countersBackfilledAt);
+  assert.equal(bot.recountLeaseOwner, null);
+});
+
+test('recountUserCounters: заполняет joinedAt и isUnreachable у старых пользователей', () => {
+  const first = db.getData(`${botPath}/users/1`);
+  assert.equal(first.joinedAt, '2023-05-01T00:01:00.000Z');
+  assert.equal(first.isUnreachable, false);
+
+  const second = db.getData(`${botPath}/users/2`);
+  assert.equal(second.joinedAt, '2023-01-01T00:00:00.000Z');
+  assert.equal(second.isUnreachable, true);
+});
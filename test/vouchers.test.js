@@ -0,0 +1,31 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { validateVoucherSettings } = require('../services/vouchers');
+
+function createItem(voucher) {
+  return { label: 'Скидка 10%', voucher };
+}
+
+test('validateVoucherSettings: призы без кодов и корректные настройки', () => {
+  assert.equal(validateVoucherSettings([]), null);
+  assert.equal(validateVoucherSettings([{ label: 'Пусто' }]), null);
+  assert.equal(validateVoucherSettings([
+    createItem({ source: 'generated', prefix: 'SALE-10', validDays: 30 }),
+    createItem({ source: 'pool' })
+  ]), null);
+});
+
+test('validateVoucherSettings: неверный источник кодов', () => {
+  assert.equal(validateVoucherSettings([createItem({ source: 'manual' })]), 'Неверный источник кодов у приза «Скидка 10%»');
+});
+
+test('validateVoucherSettings: неверный префикс', () => {
+  assert.match(validateVoucherSettings([createItem({ source: 'generated', prefix: 'sale' })]), /^Префикс кода/);
+  assert.match(validateVoucherSettings([createItem({ source: 'generated', prefix: 'VERY-LONG-PREFIX' })]), /^Префикс кода/);
+});
+
+test('validateVoucherSettings: срок действия должен быть положительным целым числом дней', () => {
+  assert.match(validateVoucherSettings([createItem({ source: 'pool', validDays: 0 })]), /^Срок действия кода/);
+  assert.match(validateVoucherSettings([createItem({ source: 'pool', validDays: 1.5 })]), /^Срок действия кода/);
+  assert.equal(validateVoucherSettings([createItem({ source: 'pool', validDays: null })]), null);
+});
@@ -0,0 +1,94 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const { installFirestore } = require('./helpers/firestore');
+
+const db = installFirestore();
+const { emitWebhookEvent, replayWebhookDelivery } = require('../services/webhooks');
+const { processScheduledJobs } = require('../services/scheduler');
+
+const BOT_ID = 'bot1';
+const SECRET = 'webhook-secret';
+const deliveriesPath = `bots/${BOT_ID}/webhookDeliveries`;
+
+const requests = [];
+let responseStatus = 200;
+
+global.fetch = async (url, options) => {
+  requests.push({ url, ...options });
+  return { ok: responseStatus < 300, status: responseStatus };
+};
+
+test.before(async () => {
+  await db.doc(`bots/${BOT_ID}/webhooks/hook1`).set({
+    url: 'https://partner.example/hooks',
+    events: ['lead.created'],
+    secret: SECRET,
+    isActive: true
+  });
+  await db.doc(`bots/${BOT_ID}/webhooks/hook2`).set({
+    url: 'https://other.example/hooks',
+    events: ['spin.created'],
+    secret: 'other-secret',
+    isActive: true
+  });
+});
+
+test('emitWebhookEvent: доставка подписана HMAC-SHA256 от "<timestamp>.<body>"', async () => {
+  await emitWebhookEvent(BOT_ID, 'lead.created', 'spin1', { leadId: 'spin1', phone: '+79001234567' });
+  await processScheduledJobs();
+
+  assert.equal(requests.length, 1);
+
+  const [request] = requests;
+  const timestamp = request.headers['X-Webhook-Timestamp'];
+  const expected = crypto.createHmac('sha256', SECRET).update(`${timestamp}.${request.body}`).digest('hex');
+
+  assert.equal(request.url, 'https://partner.example/hooks');
+  assert.equal(request.headers['X-Webhook-Event'], 'lead.created');
+  assert.equal(request.headers['X-Webhook-Signature'], `sha256=${expected}`);
+  assert.deepEqual(JSON.parse(request.body).data, { leadId: 'spin1', phone: '+79001234567' });
+
+  const delivery = db.getData(`${deliveriesPath}/lead.created_spin1_hook1`);
+  assert.equal(delivery.status, 'delivered');
+  assert.equal(delivery.attempts, 1);
+});
+
+test('emitWebhookEvent: повтор события с тем же ключом не создаёт вторую доставку', async () => {
+  await emitWebhookEvent(BOT_ID, 'lead.created', 'spin1', { leadId: 'spin1' });
+  await processScheduledJobs();
+
+  assert.equal(requests.length, 1);
+  assert.deepEqual(Object.keys(db.getCollection(deliveriesPath)), ['lead.created_spin1_hook1']);
+});
+
+test('deliverWebhook: ошибка ответа записывается в журнал попыток и доставка повторяется', async () => {
+  responseStatus = 500;
+  await emitWebhookEvent(BOT_ID, 'lead.created', 'spin2', { leadId: 'spin2' });
+  await processScheduledJobs();
+
+  const deliveryPath = `${deliveriesPath}/lead.created_spin2_hook1`;
+  const delivery = db.getData(deliveryPath);
+  assert.equal(delivery.status, 'retrying');
+  assert.equal(delivery.lastStatusCode, 500);
+
+  const attempts = Object.values(db.getCollection(`${deliveryPath}/attempts`));
+  assert.equal(attempts.length, 1);
+  assert.equal(attempts[0].error, 'HTTP 500');
+
+  const job = db.getData(`scheduledJobs/webhook_${BOT_ID}_lead.created_spin2_hook1`);
+  assert.equal(job.status, 'pending');
+  assert.equal(job.lastError, 'Вебхук hook1: HTTP 500');
+});
+
+test('replayWebhookDelivery: повторная отправка доставки', async () => {
+  responseStatus = 200;
+  assert.equal(await replayWebhookDelivery(BOT_ID, 'missing'), false);
+  assert.equal(await replayWebhookDelivery(BOT_ID, 'lead.created_spin2_hook1'), true);
+
+  await processScheduledJobs();
+
+  const delivery = db.getData(`${deliveriesPath}/lead.created_spin2_hook1`);
+  assert.equal(delivery.status, 'delivered');
+  assert.equal(delivery.attempts, 2);
+});
@@ -0,0 +1,42 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { calculateAttempts } = require('../services/wheel');
+
+const defaultConfig = { rules: {} };
+
+test('calculateAttempts: базовые попытки по умолчанию', () => {
+  assert.deepEqual(calculateAttempts({}, defaultConfig, {}), { attemptsGranted: 2, attemptsUsed: 0 });
+});
+
+test('calculateAttempts: бонус за рефералов по уровням и бонусные попытки', () => {
+  const botData = { baseAttempts: 3, referralRewards: [2, 1] };
+  const userData = { referralCredits: { 1: 2, 2: 3 }, bonusAttempts: 1, totalSpins: 4 };
+
+  // 3 базовые + 2 × 2 за первый уровень + 1 × 3 за второй + 1 бонусная
+  assert.deepEqual(calculateAttempts(botData, defaultConfig, userData), { attemptsGranted: 11, attemptsUsed: 4 });
+});
+
+test('calculateAttempts: правила кампании важнее настроек бота', () => {
+  const botData = { baseAttempts: 3, referralRewards: [2] };
+  const wheelConfig = { rules: { baseAttempts: 1, referralBonus: 5 } };
+
+  assert.equal(calculateAttempts(botData, wheelConfig, { referralCredits: { 1: 1 } }).attemptsGranted, 6);
+});
+
+test('calculateAttempts: без referralCredits используется totalReferrals', () => {
+  const { attemptsGranted } = calculateAttempts({}, defaultConfig, { totalReferrals: 3 }, 10);
+
+  assert.equal(attemptsGranted, 2 + 2 * 3);
+});
+
+test('calculateAttempts: без счётчиков используется число рефералов по старой схеме', () => {
+  assert.equal(calculateAttempts({}, defaultConfig, {}, 2).attemptsGranted, 2 + 2 * 2);
+});
+
+test('calculateAttempts: именованная кампания считает свои спины', () => {
+  const userData = { totalSpins: 5, campaignSpins: { summer: 1 } };
+
+  assert.equal(calculateAttempts({}, { campaignId: 'summer', rules: {} }, userData).attemptsUsed, 1);
+  assert.equal(calculateAttempts({}, { campaignId: 'autumn', rules: {} }, userData).attemptsUsed, 0);
+  assert.equal(calculateAttempts({}, { campaignId: 'default', rules: {} }, userData).attemptsUsed, 5);
+});